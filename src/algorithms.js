@@ -0,0 +1,361 @@
+/**
+ * Alpine Flow - Graph Algorithms
+ * Paths, cycles, ordering and components over plain node/edge arrays.
+ * Pure functions with no DOM access, so they also run in Node.js.
+ *
+ * Edges whose source or target is not in `nodes` are ignored. Results return
+ * the node and edge objects that were passed in, in traversal order.
+ */
+
+/**
+ * Thrown by topologicalSort when the graph has a cycle.
+ * `cycle` holds the offending { nodes, edges } in walk order.
+ */
+export class GraphCycleError extends Error {
+  constructor(cycle) {
+    super(`Graph has a cycle: ${cycle.nodes.map((n) => n.id).join(' → ')} → ${cycle.nodes[0].id}`);
+    this.name = 'GraphCycleError';
+    this.cycle = cycle;
+  }
+}
+
+const toId = (nodeOrId) => (typeof nodeOrId === 'string' ? nodeOrId : nodeOrId?.id);
+
+/**
+ * Index the graph once per call.
+ * `out` / `in` map a node id to its [edge, neighborId] pairs.
+ */
+function buildGraph(nodes, edges, directed = true) {
+  const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+  const out = new Map(nodes.map((n) => [n.id, []]));
+  const inc = new Map(nodes.map((n) => [n.id, []]));
+
+  for (const edge of edges) {
+    if (!nodeMap.has(edge.source) || !nodeMap.has(edge.target)) continue;
+    out.get(edge.source).push([edge, edge.target]);
+    inc.get(edge.target).push([edge, edge.source]);
+    if (!directed && edge.source !== edge.target) {
+      out.get(edge.target).push([edge, edge.source]);
+      inc.get(edge.source).push([edge, edge.target]);
+    }
+  }
+  return { nodeMap, out, in: inc };
+}
+
+// ─── Shortest Path ───────────────────────────────────────────
+
+/**
+ * Find the shortest path between two nodes. Without `weight` every edge costs 1
+ * and a breadth-first search is used; with it, Dijkstra's algorithm.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {object|string} source - Node or node id
+ * @param {object|string} target - Node or node id
+ * @param {{ weight?: (edge) => number, directed?: boolean }} [options]
+ *   `weight` must return a finite number >= 0; `directed: false` walks edges both ways
+ * @returns {{ nodes: Array, edges: Array, distance: number } | null} null when unreachable
+ * @throws {RangeError} when `weight` returns a negative or non-finite value
+ */
+export function shortestPath(nodes, edges, source, target, { weight = null, directed = true } = {}) {
+  const graph = buildGraph(nodes, edges, directed);
+  const sourceId = toId(source);
+  const targetId = toId(target);
+  if (!graph.nodeMap.has(sourceId) || !graph.nodeMap.has(targetId)) return null;
+
+  const previous = new Map(); // id → [edge, fromId]
+  const distances = new Map([[sourceId, 0]]);
+
+  if (!weight) {
+    const queue = [sourceId];
+    for (let head = 0; head < queue.length && !distances.has(targetId); head++) {
+      const id = queue[head];
+      for (const [edge, next] of graph.out.get(id)) {
+        if (distances.has(next)) continue;
+        distances.set(next, distances.get(id) + 1);
+        previous.set(next, [edge, id]);
+        queue.push(next);
+      }
+    }
+  } else {
+    const heap = createMinHeap();
+    const settled = new Set();
+    heap.push(0, sourceId);
+    while (heap.size() > 0) {
+      const { priority, value: id } = heap.pop();
+      if (settled.has(id)) continue;
+      settled.add(id);
+      if (id === targetId) break;
+
+      for (const [edge, next] of graph.out.get(id)) {
+        const cost = weight(edge);
+        if (!Number.isFinite(cost) || cost < 0) {
+          throw new RangeError(`shortestPath: weight of edge "${edge.id}" must be a finite number >= 0, got ${cost}`);
+        }
+        const distance = priority + cost;
+        if (settled.has(next) || distance >= (distances.get(next) ?? Infinity)) continue;
+        distances.set(next, distance);
+        previous.set(next, [edge, id]);
+        heap.push(distance, next);
+      }
+    }
+  }
+
+  if (!distances.has(targetId)) return null;
+
+  const pathNodes = [graph.nodeMap.get(targetId)];
+  const pathEdges = [];
+  for (let id = targetId; id !== sourceId;) {
+    const [edge, from] = previous.get(id);
+    pathEdges.unshift(edge);
+    pathNodes.unshift(graph.nodeMap.get(from));
+    id = from;
+  }
+  return { nodes: pathNodes, edges: pathEdges, distance: distances.get(targetId) };
+}
+
+/**
+ * Binary heap of { priority, value }, smallest priority first.
+ * @returns {{ push(priority, value), pop(): { priority, value }, size(): number }}
+ */
+export function createMinHeap() {
+  const items = [];
+
+  function push(priority, value) {
+    items.push({ priority, value });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  function pop() {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  return { push, pop, size: () => items.length };
+}
+
+// ─── Cycles & Ordering ───────────────────────────────────────
+
+/**
+ * Find one directed cycle. A self-loop is a cycle of one node.
+ *
+ * @returns {{ nodes: Array, edges: Array } | null} The cycle in walk order
+ *   (the last edge leads back to nodes[0]), or null for an acyclic graph
+ */
+export function findCycle(nodes, edges) {
+  const graph = buildGraph(nodes, edges);
+  const state = new Map(); // id → 'open' | 'done'
+
+  // Iterative DFS; `stack` holds [id, edgeIndex, viaEdge] frames
+  for (const start of nodes) {
+    if (state.has(start.id)) continue;
+    const stack = [[start.id, 0, null]];
+    state.set(start.id, 'open');
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const [id, index] = frame;
+      const outgoing = graph.out.get(id);
+
+      if (index >= outgoing.length) {
+        state.set(id, 'done');
+        stack.pop();
+        continue;
+      }
+      frame[1] += 1;
+
+      const [edge, next] = outgoing[index];
+      if (state.get(next) === 'open') {
+        // Unwind the stack from `next` to here
+        const from = stack.findIndex(([frameId]) => frameId === next);
+        const cycleFrames = stack.slice(from);
+        return {
+          nodes: cycleFrames.map(([frameId]) => graph.nodeMap.get(frameId)),
+          edges: [...cycleFrames.slice(1).map(([, , via]) => via), edge],
+        };
+      }
+      if (!state.has(next)) {
+        state.set(next, 'open');
+        stack.push([next, 0, edge]);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Order nodes so every edge points from an earlier node to a later one
+ * (Kahn's algorithm; ties keep the input order).
+ *
+ * @returns {Array} Nodes in topological order
+ * @throws {GraphCycleError} when the graph has a cycle
+ */
+export function topologicalSort(nodes, edges) {
+  const graph = buildGraph(nodes, edges);
+  const inDegree = new Map(nodes.map((n) => [n.id, graph.in.get(n.id).length]));
+
+  const queue = nodes.filter((n) => inDegree.get(n.id) === 0).map((n) => n.id);
+  const order = [];
+  for (let head = 0; head < queue.length; head++) {
+    const id = queue[head];
+    order.push(graph.nodeMap.get(id));
+    for (const [, next] of graph.out.get(id)) {
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) queue.push(next);
+    }
+  }
+
+  if (order.length < graph.nodeMap.size) {
+    throw new GraphCycleError(findCycle(nodes, edges));
+  }
+  return order;
+}
+
+// ─── Components ──────────────────────────────────────────────
+
+/**
+ * Strongly connected components (Tarjan's algorithm, iterative).
+ * Every node belongs to exactly one component; acyclic parts are singletons.
+ *
+ * @returns {Array<Array>} Components in reverse topological order of the condensed graph
+ */
+export function getStronglyConnectedComponents(nodes, edges) {
+  const graph = buildGraph(nodes, edges);
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const start of nodes) {
+    if (index.has(start.id)) continue;
+    const work = [[start.id, 0]];
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const [id, edgeIndex] = frame;
+
+      if (edgeIndex === 0) {
+        index.set(id, counter);
+        lowLink.set(id, counter);
+        counter += 1;
+        stack.push(id);
+        onStack.add(id);
+      }
+
+      const outgoing = graph.out.get(id);
+      if (edgeIndex < outgoing.length) {
+        frame[1] += 1;
+        const next = outgoing[edgeIndex][1];
+        if (!index.has(next)) {
+          work.push([next, 0]);
+        } else if (onStack.has(next)) {
+          lowLink.set(id, Math.min(lowLink.get(id), index.get(next)));
+        }
+        continue;
+      }
+
+      // All edges done: close the component rooted here, then report to the parent
+      work.pop();
+      if (lowLink.get(id) === index.get(id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(graph.nodeMap.get(member));
+        } while (member !== id);
+        components.push(component.reverse());
+      }
+      if (work.length > 0) {
+        const parent = work[work.length - 1][0];
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(id)));
+      }
+    }
+  }
+  return components;
+}
+
+/**
+ * Weakly connected components: nodes linked by edges in either direction.
+ *
+ * @returns {Array<Array>} Components ordered by their first node in `nodes`
+ */
+export function getWeaklyConnectedComponents(nodes, edges) {
+  const graph = buildGraph(nodes, edges, false);
+  const seen = new Set();
+  const components = [];
+
+  for (const start of nodes) {
+    if (seen.has(start.id)) continue;
+    seen.add(start.id);
+    const component = [];
+    const queue = [start.id];
+    for (let head = 0; head < queue.length; head++) {
+      component.push(graph.nodeMap.get(queue[head]));
+      for (const [, next] of graph.out.get(queue[head])) {
+        if (seen.has(next)) continue;
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+    components.push(component);
+  }
+  return components;
+}
+
+// ─── Reachability ────────────────────────────────────────────
+
+function walkFrom(nodeOrId, nodes, edges, direction) {
+  const graph = buildGraph(nodes, edges);
+  const startId = toId(nodeOrId);
+  if (!graph.nodeMap.has(startId)) return [];
+
+  const adjacency = direction === 'out' ? graph.out : graph.in;
+  const seen = new Set([startId]);
+  const queue = [startId];
+  for (let head = 0; head < queue.length; head++) {
+    for (const [, next] of adjacency.get(queue[head])) {
+      if (seen.has(next)) continue;
+      seen.add(next);
+      queue.push(next);
+    }
+  }
+  return nodes.filter((n) => seen.has(n.id) && n.id !== startId);
+}
+
+/**
+ * All nodes with a directed path to the given node (not the node itself, even on a cycle).
+ */
+export function getAncestors(nodeOrId, nodes, edges) {
+  return walkFrom(nodeOrId, nodes, edges, 'in');
+}
+
+/**
+ * All nodes reachable from the given node along directed edges (not the node itself).
+ */
+export function getDescendants(nodeOrId, nodes, edges) {
+  return walkFrom(nodeOrId, nodes, edges, 'out');
+}
@@ -0,0 +1,88 @@
+/**
+ * Alpine Flow - Animation
+ * Easing curves and a requestAnimationFrame tween for animated viewport and
+ * node-position transitions.
+ */
+
+export const EASINGS = Object.freeze({
+  linear: (t) => t,
+  'ease-in': (t) => t * t * t,
+  'ease-out': (t) => 1 - (1 - t) ** 3,
+  'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+});
+
+const DEFAULT_EASING = 'ease-in-out';
+
+/**
+ * Turn an easing name or function into a function of progress (0 → 1).
+ */
+export function resolveEasing(easing) {
+  if (typeof easing === 'function') return easing;
+  if (easing == null) return EASINGS[DEFAULT_EASING];
+  if (EASINGS[easing]) return EASINGS[easing];
+  console.warn(`[Alpine Flow] unknown easing "${easing}", using "${DEFAULT_EASING}"`);
+  return EASINGS[DEFAULT_EASING];
+}
+
+/**
+ * Linear interpolation that lands exactly on `to` at t = 1.
+ */
+export function interpolate(from, to, t) {
+  return t === 1 ? to : from + (to - from) * t;
+}
+
+/**
+ * Interpolate between two viewports ({ x, y, zoom }).
+ */
+export function interpolateViewport(from, to, t) {
+  return {
+    x: interpolate(from.x, to.x, t),
+    y: interpolate(from.y, to.y, t),
+    zoom: interpolate(from.zoom, to.zoom, t),
+  };
+}
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Call `onFrame(progress)` once per animation frame for `duration` ms, with
+ * progress eased from 0 to 1. The first frame (progress 0) runs synchronously,
+ * so the starting state is drawn before the browser paints.
+ *
+ * `onEnd(completed)` runs synchronously when the animation completes or is
+ * canceled, before the promise settles, so a new animation can take over
+ * without a stale end state landing after it.
+ *
+ * @param {{ duration: number, easing?: string|Function, onFrame: Function, onEnd?: Function }} options
+ * @returns {{ promise: Promise<boolean>, cancel: () => void }}
+ *   `promise` resolves to true when the animation completed, false when canceled
+ */
+export function animate({ duration, easing, onFrame, onEnd }) {
+  const ease = resolveEasing(easing);
+  const start = now();
+  let frameId = null;
+  let done = false;
+  let settle;
+  const promise = new Promise((resolve) => { settle = resolve; });
+
+  const finish = (completed) => {
+    if (done) return;
+    done = true;
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    onEnd?.(completed);
+    settle(completed);
+  };
+
+  const step = () => {
+    frameId = null;
+    const t = Math.min(1, (now() - start) / duration);
+    onFrame(t === 1 ? 1 : ease(t));
+    if (t === 1) finish(true);
+    else frameId = requestAnimationFrame(step);
+  };
+
+  onFrame(0);
+  frameId = requestAnimationFrame(step);
+
+  return { promise, cancel: () => finish(false) };
+}
@@ -0,0 +1,158 @@
+/**
+ * Alpine Flow - Parallel Edges & Self-loops
+ * Finds edges that would be drawn on top of each other and gives each one
+ * automatic bend points: parallel edges between the same two handles fan out
+ * on both sides of the straight line between them, and self-loops become
+ * nested loops on one side of their node. No DOM access.
+ *
+ * Bend points are plain waypoints, so every edge type draws them in its own
+ * style (curves for bezier, brackets for step edges).
+ */
+
+import { Position } from './constants.js';
+
+export const BUNDLE_DEFAULTS = Object.freeze({
+  spacing: 24,              // Distance between neighbouring edges of a bundle, at their middle
+  loopSize: 30,             // How far the innermost self-loop reaches out of its node
+  loopSide: Position.Top,   // Side self-loops are drawn on (per-edge `loopSide` overrides)
+});
+
+// Size of the edge label box (see _renderEdge) plus a gap, for keeping labels apart
+const LABEL_WIDTH = 104;
+const LABEL_HEIGHT = 28;
+
+const NORMALS = {
+  [Position.Top]: { x: 0, y: -1 },
+  [Position.Right]: { x: 1, y: 0 },
+  [Position.Bottom]: { x: 0, y: 1 },
+  [Position.Left]: { x: -1, y: 0 },
+};
+
+/**
+ * Group edges that share both ends (in either direction, same handles) and
+ * self-loops that share a node and side. Edges keep their array order within
+ * a bundle; edges alone in their bundle are left out.
+ *
+ * @param {Array} edges - Visible edges
+ * @param {{ loopSide?: string, isParallel?: (edge) => boolean }} [options]
+ *   `isParallel` returning false keeps an edge out of parallel bundles (self-loops
+ *   are always bundled)
+ * @returns {Map<string, { index: number, count: number, reversed: boolean, loopSide: string|null, labeled: boolean }>}
+ *   Edge id → its slot; `reversed` is true when the edge runs against the
+ *   bundle's direction, `labeled` when any edge of the bundle has a label
+ */
+export function getEdgeBundles(edges, { loopSide = BUNDLE_DEFAULTS.loopSide, isParallel = () => true } = {}) {
+  const groups = new Map();
+  for (const edge of edges) {
+    let key;
+    let reversed = false;
+    let side = null;
+    if (edge.source === edge.target) {
+      side = NORMALS[edge.loopSide] ? edge.loopSide : loopSide;
+      key = `loop\u0000${edge.source}\u0000${side}`;
+    } else {
+      if (!isParallel(edge)) continue;
+      const from = `${edge.source}\u0000${edge.sourceHandle ?? ''}`;
+      const to = `${edge.target}\u0000${edge.targetHandle ?? ''}`;
+      reversed = from > to;
+      key = reversed ? `${to}\u0000${from}` : `${from}\u0000${to}`;
+    }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ edge, reversed, side });
+  }
+
+  const bundles = new Map();
+  for (const members of groups.values()) {
+    // A lone self-loop still needs its loop; a lone edge needs nothing
+    if (members.length < 2 && members[0].side === null) continue;
+    const labeled = members.some(({ edge }) => !!edge.label);
+    members.forEach(({ edge, reversed, side }, index) => {
+      bundles.set(edge.id, { index, count: members.length, reversed, loopSide: side, labeled });
+    });
+  }
+  return bundles;
+}
+
+/**
+ * Bend point for one edge of a parallel bundle: its offset from the middle of
+ * the line between the ends, along the line's normal. The middle edge of an
+ * odd-sized bundle stays straight and gets no waypoint.
+ *
+ * @param {{ sourceX, sourceY, targetX, targetY }} edgePos
+ * @param {{ index, count, reversed, labeled }} slot - From getEdgeBundles
+ * @param {{ spacing?: number }} [options]
+ * @returns {{ waypoints: Array<{ x, y }>, label: { x, y } }}
+ */
+export function getParallelEdgeGeometry(edgePos, slot, { spacing = BUNDLE_DEFAULTS.spacing } = {}) {
+  const dx = (edgePos.targetX - edgePos.sourceX) * (slot.reversed ? -1 : 1);
+  const dy = (edgePos.targetY - edgePos.sourceY) * (slot.reversed ? -1 : 1);
+  const length = Math.hypot(dx, dy);
+  const mid = { x: (edgePos.sourceX + edgePos.targetX) / 2, y: (edgePos.sourceY + edgePos.targetY) / 2 };
+  const shift = slot.index - (slot.count - 1) / 2;
+  if (length === 0 || shift === 0) return { waypoints: [], label: mid };
+
+  const normal = { x: -dy / length, y: dx / length };
+  const distance = shift * getStep(normal, slot.labeled, spacing);
+  const point = { x: mid.x + normal.x * distance, y: mid.y + normal.y * distance };
+  return { waypoints: [point], label: point };
+}
+
+/**
+ * Ends and bend points for a self-loop. Loops leave and re-enter the node on
+ * `slot.loopSide`, running clockwise; each further loop on the same side sits
+ * outside the previous one.
+ *
+ * @param {{ x, y, width, height }} rect - The node in flow coordinates
+ * @param {{ index, loopSide, labeled }} slot - From getEdgeBundles
+ * @param {{ spacing?: number, loopSize?: number }} [options]
+ * @returns {{ edgePos: object, waypoints: Array<{ x, y }>, label: { x, y } }}
+ *   `edgePos` has the same shape as getEdgePosition's result
+ */
+export function getSelfLoopGeometry(rect, slot, { spacing = BUNDLE_DEFAULTS.spacing, loopSize = BUNDLE_DEFAULTS.loopSize } = {}) {
+  const normal = NORMALS[slot.loopSide];
+  // Clockwise along the side
+  const tangent = { x: -normal.y, y: normal.x };
+  const sideLength = normal.x === 0 ? rect.width : rect.height;
+  const base = {
+    x: rect.x + rect.width / 2 + normal.x * rect.width / 2,
+    y: rect.y + rect.height / 2 + normal.y * rect.height / 2,
+  };
+
+  const step = getStep(normal, slot.labeled, spacing);
+  // A label centred on the loop must also clear the node
+  const innerReach = slot.labeled
+    ? Math.max(loopSize, (normal.x === 0 ? LABEL_HEIGHT : LABEL_WIDTH) / 2)
+    : loopSize;
+  const reach = innerReach + slot.index * step;
+  const spread = Math.min(sideLength / 2, loopSize / 2 + slot.index * spacing / 2);
+
+  const at = (along, out) => ({
+    x: base.x + tangent.x * along + normal.x * out,
+    y: base.y + tangent.y * along + normal.y * out,
+  });
+  const source = at(-spread, 0);
+  const target = at(spread, 0);
+  return {
+    edgePos: {
+      sourceX: source.x,
+      sourceY: source.y,
+      targetX: target.x,
+      targetY: target.y,
+      sourcePosition: slot.loopSide,
+      targetPosition: slot.loopSide,
+    },
+    waypoints: [at(-spread, reach), at(spread, reach)],
+    label: at(0, reach),
+  };
+}
+
+// Distance between neighbouring edges along `normal`; with labels, far enough
+// that label boxes centred on the edges don't overlap
+function getStep(normal, labeled, spacing) {
+  if (!labeled) return spacing;
+  const clearance = Math.min(
+    normal.x === 0 ? Infinity : LABEL_WIDTH / Math.abs(normal.x),
+    normal.y === 0 ? Infinity : LABEL_HEIGHT / Math.abs(normal.y)
+  );
+  return Math.max(spacing, clearance);
+}
@@ -0,0 +1,136 @@
+/**
+ * Alpine Flow - Clipboard Utilities
+ * Serializes a selection to toJSON()-shaped data ({ nodes, edges }) and turns
+ * such data back into fresh nodes/edges for paste and duplicate.
+ * Pure functions; the component owns keyboard and system-clipboard access.
+ */
+
+import { serializeNode, serializeEdge } from './graph.js';
+import { uniqueId } from './dom.js';
+
+/**
+ * Serialize the selected nodes (plus their descendants) and the edges between them.
+ * Nodes whose parent is not part of the copy are detached and given their
+ * absolute position, so the data is self-contained.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {Map} [nodeLookup] - Used to read absolute positions of nested nodes
+ * @returns {{ nodes: Array, edges: Array } | null} null when nothing is selected
+ */
+export function serializeSelection(nodes, edges, nodeLookup = new Map()) {
+  const ids = new Set(nodes.filter((n) => n.selected).map((n) => n.id));
+  if (ids.size === 0) return null;
+
+  // Copying a group copies its contents too
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const node of nodes) {
+      if (node.parentId && ids.has(node.parentId) && !ids.has(node.id)) {
+        ids.add(node.id);
+        grew = true;
+      }
+    }
+  }
+
+  const copiedNodes = nodes
+    .filter((n) => ids.has(n.id))
+    .map((n) => {
+      const serialized = serializeNode(n);
+      if (n.parentId && !ids.has(n.parentId)) {
+        const absPos = nodeLookup.get(n.id)?.internals?.positionAbsolute ?? n.position;
+        delete serialized.parentId;
+        serialized.position = { ...absPos };
+      }
+      return serialized;
+    });
+
+  const copiedEdges = edges
+    .filter((e) => ids.has(e.source) && ids.has(e.target))
+    .map(serializeEdge);
+
+  return { nodes: copiedNodes, edges: copiedEdges };
+}
+
+/**
+ * Parse clipboard text into { nodes, edges }. Accepts any toJSON()-shaped object.
+ *
+ * @param {string} text
+ * @returns {{ nodes: Array, edges: Array } | null} null when the text is not flow data
+ */
+export function parseClipboardData(text) {
+  if (!text || typeof text !== 'string') return null;
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!data || !Array.isArray(data.nodes)) return null;
+
+  const nodes = data.nodes.filter((n) => n && n.id != null);
+  if (nodes.length === 0) return null;
+  const edges = Array.isArray(data.edges)
+    ? data.edges.filter((e) => e && e.source != null && e.target != null)
+    : [];
+  return { nodes, edges };
+}
+
+/**
+ * Re-create clipboard data as new elements with fresh ids.
+ * Parent links inside the data are remapped; links to nodes outside the data are dropped.
+ * Top-level nodes are moved so their bounding box starts at `position` (when given), then shifted by `offset`.
+ *
+ * @param {{ nodes: Array, edges: Array }} data
+ * @param {{ position?: {x, y}|null, offset?: {x, y}, createId?: Function }} opts
+ * @returns {{ nodes: Array, edges: Array }} New (unnormalized) nodes, selected, and edges
+ */
+export function materializeClipboardData(data, { position = null, offset = { x: 0, y: 0 }, createId = uniqueId } = {}) {
+  const idMap = new Map();
+  for (const node of data.nodes) {
+    idMap.set(node.id, createId(node.type || 'node'));
+  }
+
+  const isRoot = (node) => !node.parentId || !idMap.has(node.parentId);
+
+  let delta = { x: offset.x, y: offset.y };
+  if (position) {
+    let minX = Infinity;
+    let minY = Infinity;
+    for (const node of data.nodes) {
+      if (!isRoot(node)) continue;
+      minX = Math.min(minX, node.position?.x ?? 0);
+      minY = Math.min(minY, node.position?.y ?? 0);
+    }
+    if (Number.isFinite(minX) && Number.isFinite(minY)) {
+      delta = { x: position.x - minX + offset.x, y: position.y - minY + offset.y };
+    }
+  }
+
+  const nodes = data.nodes.map((node) => {
+    const pos = node.position ?? { x: 0, y: 0 };
+    const root = isRoot(node);
+    const { parentId, ...rest } = node;
+    return {
+      ...rest,
+      id: idMap.get(node.id),
+      ...(!root && { parentId: idMap.get(parentId) }),
+      position: root ? { x: pos.x + delta.x, y: pos.y + delta.y } : { ...pos },
+      selected: true,
+    };
+  });
+
+  const edges = data.edges
+    .filter((e) => idMap.has(e.source) && idMap.has(e.target))
+    .map((e) => ({
+      ...e,
+      id: createId('e'),
+      source: idMap.get(e.source),
+      target: idMap.get(e.target),
+      ...(e.waypoints && { waypoints: e.waypoints.map((p) => ({ x: p.x + delta.x, y: p.y + delta.y })) }),
+      selected: false,
+    }));
+
+  return { nodes, edges };
+}
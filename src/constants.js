@@ -61,6 +61,8 @@ export const DEFAULTS = Object.freeze({
   connectionMode: ConnectionMode.Strict,
   panOnScrollSpeed: 0.5,
   selectionMode: SelectionMode.Full,
+  pasteOffset: 20,
+  renderOverscan: 200,
 });
 
 export const ARIA_NODE_DESC = 'Press enter or space to select a node. You can then use the arrow keys to move the node around. Press delete to remove it and escape to cancel.';
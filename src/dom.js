@@ -36,6 +36,16 @@ export function hasSelector(target, selector, root) {
   return false;
 }
 
+/**
+ * Check if an event target is a text input (input, textarea, select or contenteditable),
+ * where keyboard shortcuts should be left to the browser.
+ */
+export function isInputDOMNode(target) {
+  if (!target) return false;
+  const tag = target.nodeName?.toUpperCase();
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!target.isContentEditable;
+}
+
 /**
  * Detect macOS platform.
  */
@@ -1,7 +1,11 @@
 /**
  * Alpine Flow - Edge Path Calculations
- * Provides getBezierPath, getSmoothStepPath, getStraightPath.
+ * Provides getBezierPath, getSmoothStepPath, getStraightPath, getRoutedPath.
  * All return [path, labelX, labelY, offsetX, offsetY].
+ *
+ * Every path function also takes `waypoints` ([{ x, y }] in flow coordinates)
+ * and passes through them in order. `defaultEdgeTypes` maps edge type names
+ * to these functions.
  */
 
 import { Position } from './constants.js';
@@ -10,10 +14,18 @@ import { Position } from './constants.js';
 
 /**
  * Calculate a straight edge path.
- * @param {{ sourceX, sourceY, targetX, targetY }} params
+ * @param {{ sourceX, sourceY, targetX, targetY, waypoints? }} params
  * @returns {[string, number, number, number, number]}
  */
-export function getStraightPath({ sourceX, sourceY, targetX, targetY }) {
+export function getStraightPath({ sourceX, sourceY, targetX, targetY, waypoints }) {
+  if (hasWaypoints(waypoints)) {
+    const points = [{ x: sourceX, y: sourceY }, ...waypoints, { x: targetX, y: targetY }];
+    return [
+      points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x},${p.y}`).join(''),
+      ...getPolylineLabel(points),
+    ];
+  }
+
   const [labelX, labelY, offsetX, offsetY] = getEdgeCenter({
     sourceX, sourceY, targetX, targetY,
   });
@@ -26,15 +38,24 @@ export function getStraightPath({ sourceX, sourceY, targetX, targetY }) {
 // ─── Bezier Edge ─────────────────────────────────────────────
 
 /**
- * Calculate a cubic bezier edge path.
- * @param {{ sourceX, sourceY, sourcePosition, targetX, targetY, targetPosition, curvature? }} params
+ * Calculate a cubic bezier edge path. With waypoints, a smooth curve through
+ * each of them (Catmull-Rom tangents), still leaving and entering along the handle sides.
+ * @param {{ sourceX, sourceY, sourcePosition, targetX, targetY, targetPosition, curvature?, waypoints? }} params
  * @returns {[string, number, number, number, number]}
  */
 export function getBezierPath({
   sourceX, sourceY, sourcePosition = Position.Bottom,
   targetX, targetY, targetPosition = Position.Top,
   curvature = 0.25,
+  waypoints,
 }) {
+  if (hasWaypoints(waypoints)) {
+    return getBezierPathThrough(
+      [{ x: sourceX, y: sourceY }, ...waypoints, { x: targetX, y: targetY }],
+      sourcePosition, targetPosition, curvature
+    );
+  }
+
   const [sourceControlX, sourceControlY] = getBezierControlPoint(
     sourceX, sourceY, sourcePosition, curvature, targetX, targetY
   );
@@ -71,6 +92,44 @@ function getBezierControlPoint(x, y, position, curvature, otherX, otherY) {
   return [ctX, ctY];
 }
 
+function getBezierPathThrough(stops, sourcePosition, targetPosition, curvature) {
+  const last = stops.length - 1;
+  const parts = [`M${stops[0].x},${stops[0].y}`];
+  const segments = [];
+
+  for (let i = 0; i < last; i++) {
+    const from = stops[i];
+    const to = stops[i + 1];
+    const [c1x, c1y] = i === 0
+      ? getBezierControlPoint(from.x, from.y, sourcePosition, curvature, to.x, to.y)
+      : [from.x + (to.x - stops[i - 1].x) / 6, from.y + (to.y - stops[i - 1].y) / 6];
+    const [c2x, c2y] = i === last - 1
+      ? getBezierControlPoint(to.x, to.y, targetPosition, curvature, from.x, from.y)
+      : [to.x - (stops[i + 2].x - from.x) / 6, to.y - (stops[i + 2].y - from.y) / 6];
+    parts.push(` C${c1x},${c1y} ${c2x},${c2y} ${to.x},${to.y}`);
+    segments.push({ from, to, c1x, c1y, c2x, c2y });
+  }
+
+  // Label on the middle segment, or on the middle waypoint when the segment count is even
+  let labelX;
+  let labelY;
+  if (last % 2 === 1) {
+    const { from, to, c1x, c1y, c2x, c2y } = segments[(last - 1) / 2];
+    [labelX, labelY] = getBezierEdgeCenter({
+      sourceX: from.x, sourceY: from.y, targetX: to.x, targetY: to.y,
+      sourceControlX: c1x, sourceControlY: c1y, targetControlX: c2x, targetControlY: c2y,
+    });
+  } else {
+    ({ x: labelX, y: labelY } = stops[last / 2]);
+  }
+
+  return [
+    parts.join(''),
+    labelX, labelY,
+    Math.abs(labelX - stops[0].x), Math.abs(labelY - stops[0].y),
+  ];
+}
+
 function getBezierEdgeCenter({ sourceX, sourceY, targetX, targetY, sourceControlX, sourceControlY, targetControlX, targetControlY }) {
   // Cubic bezier at t = 0.5
   const centerX = sourceX * 0.125 + sourceControlX * 0.375 + targetControlX * 0.375 + targetX * 0.125;
@@ -84,7 +143,9 @@ function getBezierEdgeCenter({ sourceX, sourceY, targetX, targetY, sourceControl
 
 /**
  * Calculate a smooth step (orthogonal with rounded corners) edge path.
- * @param {{ sourceX, sourceY, sourcePosition, targetX, targetY, targetPosition, borderRadius?, offset? }} params
+ * With waypoints, each hop gets one elbow, leaving along the source side and
+ * entering along the target side.
+ * @param {{ sourceX, sourceY, sourcePosition, targetX, targetY, targetPosition, borderRadius?, offset?, waypoints? }} params
  * @returns {[string, number, number, number, number]}
  */
 export function getSmoothStepPath({
@@ -92,7 +153,16 @@ export function getSmoothStepPath({
   targetX, targetY, targetPosition = Position.Top,
   borderRadius = 5,
   offset = 20,
+  waypoints,
 }) {
+  if (hasWaypoints(waypoints)) {
+    const points = getStepPointsThrough(
+      [{ x: sourceX, y: sourceY }, ...waypoints, { x: targetX, y: targetY }],
+      sourcePosition, targetPosition
+    );
+    return [pointsToPath(points, borderRadius), ...getPolylineLabel(points)];
+  }
+
   const points = getEdgePoints({
     sourceX, sourceY, sourcePosition,
     targetX, targetY, targetPosition,
@@ -159,6 +229,27 @@ function getEdgePoints({ sourceX, sourceY, sourcePosition, targetX, targetY, tar
   return points;
 }
 
+function getStepPointsThrough(stops, sourcePosition, targetPosition) {
+  const isHorizontal = (position) => position === Position.Left || position === Position.Right;
+  const points = [stops[0]];
+  let horizontal = isHorizontal(sourcePosition);
+
+  for (let i = 1; i < stops.length; i++) {
+    const from = stops[i - 1];
+    const to = stops[i];
+    // The last hop has to arrive along the target side
+    if (i === stops.length - 1) horizontal = !isHorizontal(targetPosition);
+    const corner = horizontal ? { x: to.x, y: from.y } : { x: from.x, y: to.y };
+    for (const point of [corner, { x: to.x, y: to.y }]) {
+      const prev = points[points.length - 1];
+      if (prev.x !== point.x || prev.y !== point.y) points.push(point);
+    }
+    // Keep going the way this hop ended, so a waypoint needs no extra bend
+    horizontal = !horizontal;
+  }
+  return points;
+}
+
 function getDirection(position) {
   switch (position) {
     case Position.Top: return { x: 0, y: -1 };
@@ -213,8 +304,54 @@ function distance(a, b) {
   return Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
 }
 
+// ─── Routed Edge ─────────────────────────────────────────────
+
+/**
+ * Draw an orthogonal route through precomputed bend points (see routing.js)
+ * with rounded corners. Without `points`, or when the edge has waypoints (the
+ * user's bends win over the router), it falls back to a smooth step path.
+ * The label sits halfway along the route.
+ * @param {{ sourceX, sourceY, sourcePosition, targetX, targetY, targetPosition, points?, borderRadius?, waypoints? }} params
+ * @returns {[string, number, number, number, number]}
+ */
+export function getRoutedPath({ points, borderRadius = 5, ...params }) {
+  if (!points || points.length < 2 || hasWaypoints(params.waypoints)) {
+    return getSmoothStepPath({ ...params, borderRadius });
+  }
+  return [pointsToPath(points, borderRadius), ...getPolylineLabel(points)];
+}
+
+// [labelX, labelY, offsetX, offsetY] halfway along a polyline
+function getPolylineLabel(points) {
+  const [labelX, labelY] = getPolylineCenter(points);
+  return [labelX, labelY, Math.abs(labelX - points[0].x), Math.abs(labelY - points[0].y)];
+}
+
+function getPolylineCenter(points) {
+  let remaining = 0;
+  for (let i = 1; i < points.length; i++) remaining += distance(points[i - 1], points[i]);
+  remaining /= 2;
+
+  for (let i = 1; i < points.length; i++) {
+    const length = distance(points[i - 1], points[i]);
+    if (length >= remaining && length > 0) {
+      const t = remaining / length;
+      return [
+        points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+        points[i - 1].y + (points[i].y - points[i - 1].y) * t,
+      ];
+    }
+    remaining -= length;
+  }
+  return [points[0].x, points[0].y];
+}
+
 // ─── Shared Utilities ────────────────────────────────────────
 
+function hasWaypoints(waypoints) {
+  return Array.isArray(waypoints) && waypoints.length > 0;
+}
+
 function getEdgeCenter({ sourceX, sourceY, targetX, targetY }) {
   const xOffset = Math.abs(targetX - sourceX) / 2;
   const yOffset = Math.abs(targetY - sourceY) / 2;
@@ -223,17 +360,50 @@ function getEdgeCenter({ sourceX, sourceY, targetX, targetY }) {
   return [centerX, centerY, xOffset, yOffset];
 }
 
+/**
+ * Built-in edge types by name. `config.edgeTypes` entries are merged over these.
+ */
+export const defaultEdgeTypes = {
+  default: getBezierPath,
+  bezier: getBezierPath,
+  straight: getStraightPath,
+  smoothstep: getSmoothStepPath,
+  step: getStepPath,
+  'orthogonal-routed': getRoutedPath,
+  floating: getStraightPath,
+};
+
 /**
  * Get the path function for a given edge type string.
  */
 export function getPathForEdgeType(type) {
-  switch (type) {
-    case 'straight': return getStraightPath;
-    case 'smoothstep': return getSmoothStepPath;
-    case 'step': return getStepPath;
-    case 'bezier':
-    case 'default':
-    default:
-      return getBezierPath;
+  return defaultEdgeTypes[type] ?? getBezierPath;
+}
+
+/**
+ * Normalize what an edge type function returned: a path string, a
+ * [path, labelX, labelY, ...] tuple like the built-ins, or
+ * { path, labelX?, labelY?, svg?, html? }. A missing label position falls
+ * back to the midpoint between the ends.
+ *
+ * @param {string|Array|object} result
+ * @param {{ sourceX, sourceY, targetX, targetY }} params - What the edge type was called with
+ * @returns {{ path: string, labelX: number, labelY: number, svg: string|null, html: string|null }}
+ */
+export function resolveEdgeTypeResult(result, params) {
+  const [centerX, centerY] = getEdgeCenter(params);
+  if (typeof result === 'string') {
+    return { path: result, labelX: centerX, labelY: centerY, svg: null, html: null };
+  }
+  if (Array.isArray(result)) {
+    const [path = '', labelX = centerX, labelY = centerY] = result;
+    return { path, labelX, labelY, svg: null, html: null };
   }
+  return {
+    path: result?.path ?? '',
+    labelX: result?.labelX ?? centerX,
+    labelY: result?.labelY ?? centerY,
+    svg: result?.svg || null,
+    html: result?.html || null,
+  };
 }
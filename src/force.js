@@ -19,8 +19,112 @@ const FORCE_DEFAULTS = {
   velocityDecay: 0.2,
   maxChargeDistance: 500,
   minDistance: 8,
+  theta: 0.9,          // Barnes–Hut accuracy (0 = exact pairwise charge and collision)
+  approximateAbove: 1000, // theta and the collision grid apply only past this many nodes
 };
 
+const QUADTREE_MAX_DEPTH = 48; // Coincident nodes share a leaf past this depth
+
+// Workers may lack requestAnimationFrame; fall back to a ~60fps timer there
+function scheduleFrame(callback) {
+  return typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(callback)
+    : setTimeout(callback, 16);
+}
+
+function cancelFrame(id) {
+  if (typeof cancelAnimationFrame === 'function') cancelAnimationFrame(id);
+  else clearTimeout(id);
+}
+
+// ─── Spatial Indexes ─────────────────────────────────────────
+
+function createQuad(x, y, size) {
+  return { x, y, size, mass: 0, cx: 0, cy: 0, points: null, children: null };
+}
+
+function insertIntoChild(quad, node, depth) {
+  const half = quad.size / 2;
+  const right = node.x >= quad.x + half;
+  const bottom = node.y >= quad.y + half;
+  const index = (bottom ? 2 : 0) + (right ? 1 : 0);
+  quad.children[index] ??= createQuad(quad.x + (right ? half : 0), quad.y + (bottom ? half : 0), half);
+  insertQuad(quad.children[index], node, depth + 1);
+}
+
+function insertQuad(quad, node, depth) {
+  if (!quad.children) {
+    if (!quad.points || depth >= QUADTREE_MAX_DEPTH) {
+      (quad.points ??= []).push(node);
+      return;
+    }
+    // Occupied leaf: split it and push the existing point down
+    const existing = quad.points;
+    quad.points = null;
+    quad.children = [null, null, null, null];
+    for (const point of existing) insertIntoChild(quad, point, depth);
+  }
+  insertIntoChild(quad, node, depth);
+}
+
+function accumulateQuad(quad) {
+  let mass = 0;
+  let cx = 0;
+  let cy = 0;
+
+  if (quad.points) {
+    for (const point of quad.points) {
+      mass += 1;
+      cx += point.x;
+      cy += point.y;
+    }
+  } else {
+    for (const child of quad.children) {
+      if (!child) continue;
+      accumulateQuad(child);
+      mass += child.mass;
+      cx += child.cx * child.mass;
+      cy += child.cy * child.mass;
+    }
+  }
+
+  quad.mass = mass;
+  quad.cx = mass ? cx / mass : 0;
+  quad.cy = mass ? cy / mass : 0;
+}
+
+/**
+ * Build a Barnes–Hut quadtree over simulation nodes. Every cell carries the
+ * node count (`mass`) and centroid (`cx`, `cy`) of everything below it.
+ *
+ * @param {Array<{x, y}>} nodeList
+ * @returns {object|null} Root cell, or null for an empty list
+ */
+export function buildQuadtree(nodeList) {
+  if (nodeList.length === 0) return null;
+
+  let x0 = Infinity;
+  let y0 = Infinity;
+  let x1 = -Infinity;
+  let y1 = -Infinity;
+  for (const node of nodeList) {
+    x0 = Math.min(x0, node.x);
+    y0 = Math.min(y0, node.y);
+    x1 = Math.max(x1, node.x);
+    y1 = Math.max(y1, node.y);
+  }
+
+  const root = createQuad(x0, y0, Math.max(x1 - x0, y1 - y0, 1));
+  for (const node of nodeList) insertQuad(root, node, 0);
+  accumulateQuad(root);
+  return root;
+}
+
+// Numeric cell key; far-apart cells may share a bucket, which only adds candidates
+function gridKey(cx, cy) {
+  return ((cx & 0xffff) << 16) | (cy & 0xffff);
+}
+
 export function createForceSimulation(initialOptions = {}) {
   let options = { ...FORCE_DEFAULTS, ...initialOptions };
   let alpha = options.alpha;
@@ -89,7 +193,7 @@ export function createForceSimulation(initialOptions = {}) {
   function stop() {
     running = false;
     if (frameId != null) {
-      cancelAnimationFrame(frameId);
+      cancelFrame(frameId);
       frameId = null;
     }
   }
@@ -111,10 +215,10 @@ export function createForceSimulation(initialOptions = {}) {
         return;
       }
 
-      frameId = requestAnimationFrame(loop);
+      frameId = scheduleFrame(loop);
     };
 
-    frameId = requestAnimationFrame(loop);
+    frameId = scheduleFrame(loop);
   }
 
   function pinNode(id, x, y) {
@@ -247,6 +351,11 @@ export function createForceSimulation(initialOptions = {}) {
     }
   }
 
+  // Smaller graphs compute every pair exactly; the spatial indexes only pay off on large ones
+  function isApproximated(count) {
+    return options.theta > 0 && count > options.approximateAbove;
+  }
+
   function applyChargeForce(currentAlpha, dt) {
     const nodeList = Array.from(nodes.values());
     if (nodeList.length < 2 || options.chargeStrength === 0) return;
@@ -255,6 +364,11 @@ export function createForceSimulation(initialOptions = {}) {
     const minDist = Math.max(1, options.minDistance);
     const k = options.chargeStrength * currentAlpha * dt;
 
+    if (isApproximated(nodeList.length)) {
+      applyBarnesHutCharge(nodeList, k, maxDist, minDist);
+      return;
+    }
+
     for (let i = 0; i < nodeList.length; i++) {
       const a = nodeList[i];
       for (let j = i + 1; j < nodeList.length; j++) {
@@ -290,6 +404,70 @@ export function createForceSimulation(initialOptions = {}) {
     }
   }
 
+  /**
+   * Charge via a quadtree: a cell whose size/distance ratio is below `theta`
+   * acts as one body at its centroid. Cells entirely beyond maxDist are skipped.
+   * Same per-pair formula as the exact loop, applied to each receiving node.
+   */
+  function applyBarnesHutCharge(nodeList, k, maxDist, minDist) {
+    const root = buildQuadtree(nodeList);
+    const maxDistSq = maxDist * maxDist;
+    const thetaSq = options.theta * options.theta;
+    const stack = [];
+
+    const applyBody = (a, bx, by, mass) => {
+      let dx = bx - a.x;
+      let dy = by - a.y;
+      let distSq = dx * dx + dy * dy;
+
+      if (!distSq) {
+        dx = (Math.random() - 0.5) * 0.01;
+        dy = (Math.random() - 0.5) * 0.01;
+        distSq = dx * dx + dy * dy;
+      }
+
+      const dist = Math.sqrt(distSq);
+      if (dist > maxDist) return;
+
+      const clamped = Math.max(minDist, dist);
+      const force = (k * mass) / (clamped * clamped);
+      a.vx -= (dx / clamped) * force;
+      a.vy -= (dy / clamped) * force;
+    };
+
+    for (const a of nodeList) {
+      if (a.fx != null) continue;
+      stack.push(root);
+
+      while (stack.length > 0) {
+        const quad = stack.pop();
+
+        const ox = Math.max(quad.x - a.x, 0, a.x - (quad.x + quad.size));
+        const oy = Math.max(quad.y - a.y, 0, a.y - (quad.y + quad.size));
+        if (ox * ox + oy * oy > maxDistSq) continue;
+
+        if (quad.points) {
+          for (const b of quad.points) {
+            if (b !== a) applyBody(a, b.x, b.y, 1);
+          }
+          continue;
+        }
+
+        const dx = quad.cx - a.x;
+        const dy = quad.cy - a.y;
+        const distSq = dx * dx + dy * dy;
+        if (quad.size * quad.size < thetaSq * distSq) {
+          applyBody(a, quad.cx, quad.cy, quad.mass);
+          continue;
+        }
+
+        for (const child of quad.children) {
+          if (child) stack.push(child);
+        }
+      }
+    }
+  }
+
   function applyCollisionForce(dt) {
     const nodeList = Array.from(nodes.values());
     if (nodeList.length < 2 || options.collisionRadius <= 0) return;
@@ -297,36 +475,76 @@ export function createForceSimulation(initialOptions = {}) {
     const radius = options.collisionRadius;
     const minDistance = radius * 2;
 
+    if (isApproximated(nodeList.length)) {
+      applyGridCollision(nodeList, minDistance, dt);
+      return;
+    }
+
     for (let i = 0; i < nodeList.length; i++) {
-      const a = nodeList[i];
       for (let j = i + 1; j < nodeList.length; j++) {
-        const b = nodeList[j];
+        resolveCollision(nodeList[i], nodeList[j], minDistance, dt);
+      }
+    }
+  }
 
-        let dx = b.x - a.x;
-        let dy = b.y - a.y;
-        let dist = Math.hypot(dx, dy);
+  /**
+   * Collision via a uniform grid with cells one collision diameter wide, so
+   * only nodes in the 3×3 neighbouring cells can overlap. Each pair is resolved once.
+   */
+  function applyGridCollision(nodeList, minDistance, dt) {
+    const cells = new Map();
+    const cellX = new Int32Array(nodeList.length);
+    const cellY = new Int32Array(nodeList.length);
+
+    for (let i = 0; i < nodeList.length; i++) {
+      cellX[i] = Math.floor(nodeList[i].x / minDistance);
+      cellY[i] = Math.floor(nodeList[i].y / minDistance);
+      const key = gridKey(cellX[i], cellY[i]);
+      let bucket = cells.get(key);
+      if (!bucket) {
+        bucket = [];
+        cells.set(key, bucket);
+      }
+      bucket.push(i);
+    }
 
-        if (!dist) {
-          dist = 0.001;
-          dx = 0.001;
+    for (let i = 0; i < nodeList.length; i++) {
+      for (let ox = -1; ox <= 1; ox++) {
+        for (let oy = -1; oy <= 1; oy++) {
+          const bucket = cells.get(gridKey(cellX[i] + ox, cellY[i] + oy));
+          if (!bucket) continue;
+          for (const j of bucket) {
+            if (j > i) resolveCollision(nodeList[i], nodeList[j], minDistance, dt);
+          }
         }
+      }
+    }
+  }
 
-        const overlap = minDistance - dist;
-        if (overlap <= 0) continue;
+  function resolveCollision(a, b, minDistance, dt) {
+    let dx = b.x - a.x;
+    let dy = b.y - a.y;
+    let dist = Math.hypot(dx, dy);
 
-        const nx = dx / dist;
-        const ny = dy / dist;
-        const push = overlap * 0.5 * dt;
+    if (!dist) {
+      dist = 0.001;
+      dx = 0.001;
+    }
 
-        if (a.fx == null) {
-          a.x -= nx * push;
-          a.y -= ny * push;
-        }
-        if (b.fx == null) {
-          b.x += nx * push;
-          b.y += ny * push;
-        }
-      }
+    const overlap = minDistance - dist;
+    if (overlap <= 0) return;
+
+    const nx = dx / dist;
+    const ny = dy / dist;
+    const push = overlap * 0.5 * dt;
+
+    if (a.fx == null) {
+      a.x -= nx * push;
+      a.y -= ny * push;
+    }
+    if (b.fx == null) {
+      b.x += nx * push;
+      b.y += ny * push;
     }
   }
 
@@ -355,7 +573,260 @@ export function createForceSimulation(initialOptions = {}) {
     unpinNode,
     pulseAmbient,
     getState,
+    destroy: stop,
   };
 }
 
+// ─── Worker-backed Simulation ────────────────────────────────
+
+// Only plain values cross the worker boundary (no functions or reactive proxies)
+function toMessageOptions(opts) {
+  const result = {};
+  for (const [key, value] of Object.entries(opts)) {
+    if (value === null || ['number', 'string', 'boolean'].includes(typeof value)) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function spawnForceWorker(workerUrl) {
+  if (typeof Worker !== 'function') return null;
+  try {
+    return new Worker(workerUrl ?? new URL('./force.worker.js', import.meta.url), { type: 'module' });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create a simulation that ticks inside a Web Worker (see force.worker.js).
+ * Exposes the same interface as createForceSimulation. Positions stream back
+ * as messages and reach the tick callback at most once per animation frame.
+ *
+ * Falls back to the in-thread engine when workers are unavailable, and swaps
+ * to it in place (replaying nodes, edges, pins and alpha) if the worker fails.
+ *
+ * @param {object} initialOptions - Merged with FORCE_DEFAULTS
+ * @param {{ workerUrl?: string|URL }} [config] - Override the worker script location
+ * @returns {object} Simulation with the createForceSimulation interface
+ */
+export function createWorkerForceSimulation(initialOptions = {}, { workerUrl = null } = {}) {
+  let worker = spawnForceWorker(workerUrl);
+  if (!worker) return createForceSimulation(initialOptions);
+
+  let options = { ...FORCE_DEFAULTS, ...initialOptions };
+  let alpha = options.alpha;
+  let nodes = new Map(); // Main-thread mirror of worker positions and pins
+  let nodeIds = [];
+  let links = [];
+  let version = 0;       // Bumped per setNodes so stale position streams are dropped
+  let running = false;
+  let onTick = null;
+  let frameId = null;
+
+  function send(message) {
+    if (!worker) return;
+    try {
+      worker.postMessage(message);
+    } catch (e) {
+      fallBack();
+    }
+  }
+
+  function deliver() {
+    if (frameId != null) return;
+    frameId = scheduleFrame(() => {
+      frameId = null;
+      onTick?.(getState());
+    });
+  }
+
+  function onMessage({ data }) {
+    if (data?.type !== 'tick' || data.version !== version) return;
+    // Ticks already in flight when stop() was sent are dropped
+    if (!running && !data.manual) return;
+
+    const { positions } = data;
+    for (let i = 0; i < nodeIds.length && i * 2 + 1 < positions.length; i++) {
+      const node = nodes.get(nodeIds[i]);
+      if (!node) continue;
+      node.x = positions[i * 2];
+      node.y = positions[i * 2 + 1];
+    }
+    alpha = data.alpha;
+    options.alphaTarget = data.alphaTarget;
+    if (!data.manual) running = data.running;
+    deliver();
+  }
+
+  function fallBack() {
+    if (!worker) return;
+    worker.terminate();
+    worker = null;
+    if (frameId != null) {
+      cancelFrame(frameId);
+      frameId = null;
+    }
+
+    const local = createForceSimulation(options);
+    local.setNodes(nodeIds.map((id) => ({ id, position: { x: nodes.get(id).x, y: nodes.get(id).y } })));
+    local.setEdges(links);
+    for (const node of nodes.values()) {
+      if (node.fx != null && node.fy != null) local.pinNode(node.id, node.fx, node.fy);
+    }
+    local.setAlpha(alpha);
+
+    // Callers keep their reference; from here on it drives the local engine
+    Object.assign(simulation, local);
+    if (running) local.start(onTick);
+  }
+
+  worker.addEventListener('message', onMessage);
+  worker.addEventListener('error', fallBack);
+  worker.addEventListener('messageerror', fallBack);
+  send({ type: 'setOptions', options: toMessageOptions(options) });
+
+  function setOptions(nextOptions = {}) {
+    options = { ...options, ...nextOptions };
+    if (nextOptions.alpha !== undefined) {
+      alpha = nextOptions.alpha;
+    }
+    send({ type: 'setOptions', options: toMessageOptions(nextOptions) });
+  }
+
+  function setNodes(nodeList = []) {
+    const next = new Map();
+    const payload = [];
+
+    for (const node of nodeList) {
+      const existing = nodes.get(node.id);
+      const x = Number.isFinite(existing?.x) ? existing.x : (Number.isFinite(node.position?.x) ? node.position.x : 0);
+      const y = Number.isFinite(existing?.y) ? existing.y : (Number.isFinite(node.position?.y) ? node.position.y : 0);
+      next.set(node.id, { id: node.id, x, y, vx: 0, vy: 0, fx: existing?.fx ?? null, fy: existing?.fy ?? null, mass: 1 });
+      payload.push({ id: node.id, position: { x: node.position?.x, y: node.position?.y } });
+    }
+
+    nodes = next;
+    nodeIds = [...next.keys()];
+    version += 1;
+    send({ type: 'setNodes', version, nodes: payload });
+  }
+
+  function setEdges(edgeList = []) {
+    links = edgeList
+      .filter((edge) => nodes.has(edge.source) && nodes.has(edge.target))
+      .map((edge) => ({ source: edge.source, target: edge.target }));
+    send({ type: 'setEdges', edges: links });
+  }
+
+  function reheat(nextAlphaTarget = 0.2) {
+    alpha = Math.max(alpha, nextAlphaTarget);
+    options.alphaTarget = Math.max(options.alphaTarget, nextAlphaTarget);
+    running = true;
+    send({ type: 'reheat', alphaTarget: nextAlphaTarget });
+  }
+
+  function setAlphaTarget(nextAlphaTarget = 0) {
+    options.alphaTarget = Math.max(0, nextAlphaTarget);
+    if (alpha > options.alphaMin || options.alphaTarget > options.alphaMin) {
+      running = true;
+    }
+    send({ type: 'setAlphaTarget', alphaTarget: nextAlphaTarget });
+  }
+
+  function setAlpha(nextAlpha = alpha) {
+    alpha = Math.max(0, nextAlpha);
+    send({ type: 'setAlpha', alpha });
+  }
+
+  function start(tickCallback) {
+    if (tickCallback) onTick = tickCallback;
+    running = true;
+    send({ type: 'start' });
+  }
+
+  function stop() {
+    running = false;
+    if (frameId != null) {
+      cancelFrame(frameId);
+      frameId = null;
+    }
+    send({ type: 'stop' });
+  }
+
+  // Pins are mirrored immediately so getState() reflects them before the next tick
+  function pinNode(id, x, y) {
+    const node = nodes.get(id);
+    if (!node) return;
+    if (Number.isFinite(x)) node.x = x;
+    if (Number.isFinite(y)) node.y = y;
+    node.fx = node.x;
+    node.fy = node.y;
+    send({ type: 'pinNode', id, x, y });
+  }
+
+  function movePinnedNode(id, x, y) {
+    const node = nodes.get(id);
+    if (!node) return;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+    node.x = node.fx = x;
+    node.y = node.fy = y;
+    send({ type: 'movePinnedNode', id, x, y });
+  }
+
+  function unpinNode(id) {
+    const node = nodes.get(id);
+    if (!node) return;
+    node.fx = null;
+    node.fy = null;
+    send({ type: 'unpinNode', id });
+  }
+
+  function pulseAmbient(phase = 0) {
+    send({ type: 'pulseAmbient', phase });
+  }
+
+  // Asynchronous here: the resulting positions arrive through the tick callback
+  function tick() {
+    send({ type: 'tick' });
+  }
+
+  function getState() {
+    return {
+      alpha,
+      running,
+      options: { ...options },
+      nodes: new Map(nodes),
+      links: [...links],
+    };
+  }
+
+  function destroy() {
+    stop();
+    worker?.terminate();
+    worker = null;
+  }
+
+  const simulation = {
+    setNodes,
+    setEdges,
+    setOptions,
+    reheat,
+    setAlphaTarget,
+    setAlpha,
+    tick,
+    start,
+    stop,
+    pinNode,
+    movePinnedNode,
+    unpinNode,
+    pulseAmbient,
+    getState,
+    destroy,
+  };
+
+  return simulation;
+}
+
 export { FORCE_DEFAULTS };
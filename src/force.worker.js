@@ -0,0 +1,87 @@
+/**
+ * Alpine Flow - Force Simulation Worker
+ * Runs createForceSimulation off the main thread for createWorkerForceSimulation.
+ * Positions stream back as a flat Float64Array ([x0, y0, x1, y1, ...]) in the
+ * order of the last setNodes message, tagged with that message's version.
+ */
+
+import { createForceSimulation } from './force.js';
+
+const simulation = createForceSimulation();
+let version = 0;
+
+function postPositions(state, manual = false) {
+  const positions = new Float64Array(state.nodes.size * 2);
+  let i = 0;
+  for (const node of state.nodes.values()) {
+    positions[i++] = node.x;
+    positions[i++] = node.y;
+  }
+
+  const { alphaMin, alphaTarget } = state.options;
+  self.postMessage({
+    type: 'tick',
+    version,
+    manual,
+    alpha: state.alpha,
+    alphaTarget,
+    // The engine stops right after this tick once alpha has settled
+    running: manual ? state.running : !(state.alpha <= alphaMin && alphaTarget <= alphaMin),
+    positions,
+  }, [positions.buffer]);
+}
+
+// reheat/setAlphaTarget may start the loop; make sure it reports back here
+function reportIfRunning() {
+  if (simulation.getState().running) simulation.start(postPositions);
+}
+
+self.addEventListener('message', ({ data }) => {
+  switch (data?.type) {
+    case 'setOptions':
+      simulation.setOptions(data.options);
+      break;
+    case 'setNodes':
+      version = data.version;
+      simulation.setNodes(data.nodes);
+      break;
+    case 'setEdges':
+      simulation.setEdges(data.edges);
+      break;
+    case 'reheat':
+      simulation.reheat(data.alphaTarget);
+      reportIfRunning();
+      break;
+    case 'setAlphaTarget':
+      simulation.setAlphaTarget(data.alphaTarget);
+      reportIfRunning();
+      break;
+    case 'setAlpha':
+      simulation.setAlpha(data.alpha);
+      break;
+    case 'start':
+      simulation.start(postPositions);
+      break;
+    case 'stop':
+      simulation.stop();
+      break;
+    case 'pinNode':
+      simulation.pinNode(data.id, data.x, data.y);
+      break;
+    case 'movePinnedNode':
+      simulation.movePinnedNode(data.id, data.x, data.y);
+      break;
+    case 'unpinNode':
+      simulation.unpinNode(data.id);
+      break;
+    case 'pulseAmbient':
+      simulation.pulseAmbient(data.phase);
+      break;
+    case 'tick':
+      simulation.tick();
+      postPositions(simulation.getState(), true);
+      break;
+    default:
+      break;
+  }
+});
@@ -157,17 +157,31 @@ export function rectsIntersect(rect1, rect2) {
   );
 }
 
+/**
+ * Bounding box of an edge's ends, widened by `points` (waypoints or route
+ * bends) to where the edge actually runs.
+ */
+export function getEdgeBounds({ sourceX, sourceY, targetX, targetY }, points = null) {
+  let minX = Math.min(sourceX, targetX);
+  let minY = Math.min(sourceY, targetY);
+  let maxX = Math.max(sourceX, targetX);
+  let maxY = Math.max(sourceY, targetY);
+  for (const point of points ?? []) {
+    minX = Math.min(minX, point.x);
+    minY = Math.min(minY, point.y);
+    maxX = Math.max(maxX, point.x);
+    maxY = Math.max(maxY, point.y);
+  }
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
 /**
  * Check if an edge's bounding box is visible in the viewport.
+ * Uses an inclusive test so perfectly horizontal/vertical edges (zero-area boxes) count.
+ * `points` (waypoints or route bends) widen the box to where the edge actually runs.
  */
-export function isEdgeVisible({ sourceX, sourceY, targetX, targetY }, viewportRect) {
-  const edgeRect = {
-    x: Math.min(sourceX, targetX),
-    y: Math.min(sourceY, targetY),
-    width: Math.abs(targetX - sourceX),
-    height: Math.abs(targetY - sourceY),
-  };
-  return isRectVisible(edgeRect, viewportRect);
+export function isEdgeVisible(edgePosition, viewportRect, points = null) {
+  return rectsIntersect(getEdgeBounds(edgePosition, points), viewportRect);
 }
 
 /**
@@ -35,8 +35,68 @@ export function getConnectedEdges(nodeOrNodes, edges) {
   return edges.filter((e) => nodeIds.has(e.source) || nodeIds.has(e.target));
 }
 
+// ─── Adjacency Index ─────────────────────────────────────────
+
+/**
+ * Build an index from node id to the ids of the edges touching that node.
+ * Keeps per-node edge queries at O(degree) instead of O(edges).
+ *
+ * @param {Array} edges
+ * @returns {Map<string, Set<string>>}
+ */
+export function buildEdgeIndex(edges) {
+  const index = new Map();
+  for (const edge of edges) indexEdge(index, edge);
+  return index;
+}
+
 /**
- * Add an edge to the edges array, deduplicating by source+target+handles.
+ * Register an edge under both of its endpoints.
+ */
+export function indexEdge(index, edge) {
+  for (const nodeId of [edge.source, edge.target]) {
+    let ids = index.get(nodeId);
+    if (!ids) {
+      ids = new Set();
+      index.set(nodeId, ids);
+    }
+    ids.add(edge.id);
+  }
+}
+
+/**
+ * Remove an edge from both of its endpoints. Empty entries are dropped.
+ */
+export function unindexEdge(index, edge) {
+  for (const nodeId of [edge.source, edge.target]) {
+    const ids = index.get(nodeId);
+    if (!ids) continue;
+    ids.delete(edge.id);
+    if (ids.size === 0) index.delete(nodeId);
+  }
+}
+
+/**
+ * Collect the ids of all edges touching any of the given node ids.
+ *
+ * @param {Map<string, Set<string>>} index
+ * @param {Iterable<string>} nodeIds
+ * @returns {Set<string>}
+ */
+export function getIndexedEdgeIds(index, nodeIds) {
+  const result = new Set();
+  for (const nodeId of nodeIds) {
+    const ids = index.get(nodeId);
+    if (ids) for (const id of ids) result.add(id);
+  }
+  return result;
+}
+
+/**
+ * Add an edge to the edges array. An edge whose id is already taken is
+ * skipped, and so is one without its own id that repeats an existing
+ * source+target+handles connection; edges with their own ids may run in
+ * parallel.
  */
 export function addEdge(edgeParams, edges) {
   if (!edgeParams.source || !edgeParams.target) {
@@ -44,21 +104,24 @@ export function addEdge(edgeParams, edges) {
     return edges;
   }
 
+  const newEdge = {
+    ...edgeParams,
+    id: edgeParams.id || `e-${edgeParams.source}${edgeParams.sourceHandle ? `-${edgeParams.sourceHandle}` : ''}-${edgeParams.target}${edgeParams.targetHandle ? `-${edgeParams.targetHandle}` : ''}`,
+  };
+
   const existing = edges.find(
     (e) =>
-      e.source === edgeParams.source &&
-      e.target === edgeParams.target &&
-      (e.sourceHandle ?? null) === (edgeParams.sourceHandle ?? null) &&
-      (e.targetHandle ?? null) === (edgeParams.targetHandle ?? null)
+      e.id === newEdge.id || (
+        !edgeParams.id &&
+        e.source === edgeParams.source &&
+        e.target === edgeParams.target &&
+        (e.sourceHandle ?? null) === (edgeParams.sourceHandle ?? null) &&
+        (e.targetHandle ?? null) === (edgeParams.targetHandle ?? null)
+      )
   );
 
   if (existing) return edges;
 
-  const newEdge = {
-    id: edgeParams.id || `e-${edgeParams.source}${edgeParams.sourceHandle ? `-${edgeParams.sourceHandle}` : ''}-${edgeParams.target}${edgeParams.targetHandle ? `-${edgeParams.targetHandle}` : ''}`,
-    ...edgeParams,
-  };
-
   return [...edges, newEdge];
 }
 
@@ -86,7 +149,7 @@ export function reconnectEdge(oldEdge, newConnection, edges) {
 }
 
 /**
- * Apply an array of node changes (add, remove, position, dimensions, select, reset) to the nodes array.
+ * Apply an array of node changes (add, remove, position, dimensions, select, parent, reset) to the nodes array.
  * Each change has a { type, id, ... } shape.
  */
 export function applyNodeChanges(changes, nodes) {
@@ -115,7 +178,7 @@ export function applyNodeChanges(changes, nodes) {
       case 'dimensions':
         result = result.map((n) => {
           if (n.id !== change.id) return n;
-          return {
+          const updated = {
             ...n,
             measured: {
               ...n.measured,
@@ -123,6 +186,13 @@ export function applyNodeChanges(changes, nodes) {
               height: change.dimensions?.height ?? n.measured?.height,
             },
           };
+          // Resizes set the explicit size too, so it survives toJSON()
+          if (change.setAttributes && change.dimensions) {
+            if (change.dimensions.width != null) updated.width = change.dimensions.width;
+            if (change.dimensions.height != null) updated.height = change.dimensions.height;
+          }
+          if (change.resizing !== undefined) updated.resizing = change.resizing;
+          return updated;
         });
         break;
 
@@ -133,6 +203,15 @@ export function applyNodeChanges(changes, nodes) {
         });
         break;
 
+      case 'parent':
+        result = result.map((n) => {
+          if (n.id !== change.id) return n;
+          const updated = { ...n, parentId: change.parentId ?? null };
+          if (change.position) updated.position = change.position;
+          return updated;
+        });
+        break;
+
       case 'reset':
         result = change.item ? [change.item] : [];
         break;
@@ -146,7 +225,7 @@ export function applyNodeChanges(changes, nodes) {
 }
 
 /**
- * Apply an array of edge changes (add, remove, select, reset) to the edges array.
+ * Apply an array of edge changes (add, remove, select, waypoints, reset) to the edges array.
  */
 export function applyEdgeChanges(changes, edges) {
   let result = [...edges];
@@ -168,6 +247,13 @@ export function applyEdgeChanges(changes, edges) {
         });
         break;
 
+      case 'waypoints':
+        result = result.map((e) => {
+          if (e.id !== change.id) return e;
+          return { ...e, waypoints: change.waypoints?.length ? change.waypoints : null };
+        });
+        break;
+
       case 'reset':
         result = change.item ? [change.item] : [];
         break;
@@ -221,3 +307,61 @@ export function deleteElements({ nodesToRemove = [], edgesToRemove = [] }, nodes
     edges: edges.filter((e) => !edgeIdsToRemove.has(e.id)),
   };
 }
+
+/**
+ * Serialize a node to the plain shape used by toJSON() (defaults omitted).
+ */
+export function serializeNode(n) {
+  return {
+    id: n.id,
+    type: n.type,
+    position: { ...n.position },
+    data: n.data ? { ...n.data } : {},
+    ...(n.sourcePosition && { sourcePosition: n.sourcePosition }),
+    ...(n.targetPosition && { targetPosition: n.targetPosition }),
+    ...(n.className && { className: n.className }),
+    ...(n.style && { style: { ...n.style } }),
+    ...(n.parentId && { parentId: n.parentId }),
+    ...(n.handles && { handles: n.handles }),
+    ...(n.shape && { shape: n.shape }),
+    ...(n.width && { width: n.width }),
+    ...(n.height && { height: n.height }),
+    ...(n.resizable != null && { resizable: n.resizable }),
+    ...(n.minWidth != null && { minWidth: n.minWidth }),
+    ...(n.minHeight != null && { minHeight: n.minHeight }),
+    ...(n.maxWidth != null && { maxWidth: n.maxWidth }),
+    ...(n.maxHeight != null && { maxHeight: n.maxHeight }),
+    ...(n.keepAspectRatio && { keepAspectRatio: true }),
+    ...(n.hidden && !n._precedenceHidden && { hidden: n.hidden }),
+    ...(n.collapsed && { collapsed: true }),
+    ...(n.draggable === false && { draggable: false }),
+    ...(n.selectable === false && { selectable: false }),
+    ...(n.connectable === false && { connectable: false }),
+    ...(n.deletable === false && { deletable: false }),
+  };
+}
+
+/**
+ * Serialize an edge to the plain shape used by toJSON() (defaults omitted).
+ */
+export function serializeEdge(e) {
+  return {
+    id: e.id,
+    source: e.source,
+    target: e.target,
+    ...(e.sourceHandle && { sourceHandle: e.sourceHandle }),
+    ...(e.targetHandle && { targetHandle: e.targetHandle }),
+    ...(e.type && { type: e.type }),
+    ...(e.label && { label: e.label }),
+    ...(e.animated && { animated: e.animated }),
+    ...(e.data && { data: { ...e.data } }),
+    ...(e.style && { style: { ...e.style } }),
+    ...(e.className && { className: e.className }),
+    ...(e.markerStart && { markerStart: e.markerStart }),
+    ...(e.markerEnd && { markerEnd: e.markerEnd }),
+    ...(e.reconnectable != null && { reconnectable: e.reconnectable }),
+    ...(e.waypoints?.length && { waypoints: e.waypoints.map((p) => ({ x: p.x, y: p.y })) }),
+    ...(e.loopSide && { loopSide: e.loopSide }),
+    ...(e.floating && { floating: true }),
+  };
+}
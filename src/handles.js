@@ -44,24 +44,44 @@ export function getHandlePosition(node, handle, fallbackPosition = Position.Top,
 
 /**
  * Resolve the source and target positions for an edge.
+ * Floating edges ignore handles: each end sits where the line between the two
+ * node centers crosses that node's border.
  * @param {object} sourceNode - Source node with internals
  * @param {string|null} sourceHandleId
  * @param {object} targetNode - Target node with internals
  * @param {string|null} targetHandleId
+ * @param {boolean} [floating=false]
  * @returns {{ sourceX, sourceY, targetX, targetY, sourcePosition, targetPosition }}
  */
-export function getEdgePosition(sourceNode, sourceHandleId, targetNode, targetHandleId) {
+export function getEdgePosition(sourceNode, sourceHandleId, targetNode, targetHandleId, floating = false) {
+  if (floating) {
+    const sourceCenter = getNodeCenter(sourceNode);
+    const targetCenter = getNodeCenter(targetNode);
+    // Overlapping centers give no direction; fall back to the handles
+    if (sourceCenter.x !== targetCenter.x || sourceCenter.y !== targetCenter.y) {
+      const source = getNodeBoundaryPoint(sourceNode, targetCenter);
+      const target = getNodeBoundaryPoint(targetNode, sourceCenter);
+      return {
+        sourceX: source.x,
+        sourceY: source.y,
+        targetX: target.x,
+        targetY: target.y,
+        sourcePosition: source.position,
+        targetPosition: target.position,
+      };
+    }
+  }
+
   const sourceHandle = findHandle(sourceNode, sourceHandleId, 'source');
   const targetHandle = findHandle(targetNode, targetHandleId, 'target');
 
-  const sourcePos = getHandlePosition(
-    sourceNode, sourceHandle,
-    sourceNode.sourcePosition ?? Position.Bottom
-  );
-  const targetPos = getHandlePosition(
-    targetNode, targetHandle,
-    targetNode.targetPosition ?? Position.Top
-  );
+  // Nodes without handles (e.g. groups) connect at the middle of their border
+  const sourcePos = sourceHandle
+    ? getHandlePosition(sourceNode, sourceHandle, sourceNode.sourcePosition ?? Position.Bottom)
+    : getNodeBorderPosition(sourceNode, sourceNode.sourcePosition ?? Position.Bottom);
+  const targetPos = targetHandle
+    ? getHandlePosition(targetNode, targetHandle, targetNode.targetPosition ?? Position.Top)
+    : getNodeBorderPosition(targetNode, targetNode.targetPosition ?? Position.Top);
 
   return {
     sourceX: sourcePos.x,
@@ -73,6 +93,62 @@ export function getEdgePosition(sourceNode, sourceHandleId, targetNode, targetHa
   };
 }
 
+/**
+ * Where the line from a node's center toward `point` crosses the node's
+ * border: its measured rectangle, or the ellipse inside it for
+ * `shape: 'circle'` nodes. `position` is the side the point faces.
+ * @param {object} node - Node with internals
+ * @param {{ x: number, y: number }} point - Absolute coordinates
+ * @returns {{ x: number, y: number, position: string }}
+ */
+export function getNodeBoundaryPoint(node, point) {
+  const { width, height } = getNodeDimensions(node);
+  const center = getNodeCenter(node);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  const halfWidth = width / 2;
+  const halfHeight = height / 2;
+  if ((dx === 0 && dy === 0) || halfWidth === 0 || halfHeight === 0) {
+    return { x: center.x, y: center.y, position: node.sourcePosition ?? Position.Bottom };
+  }
+
+  // Scale the direction vector until it reaches the border
+  const scale = node.shape === 'circle'
+    ? 1 / Math.hypot(dx / halfWidth, dy / halfHeight)
+    : 1 / Math.max(Math.abs(dx) / halfWidth, Math.abs(dy) / halfHeight);
+  const position = Math.abs(dx) / halfWidth > Math.abs(dy) / halfHeight
+    ? (dx > 0 ? Position.Right : Position.Left)
+    : (dy > 0 ? Position.Bottom : Position.Top);
+
+  return { x: center.x + dx * scale, y: center.y + dy * scale, position };
+}
+
+function getNodeCenter(node) {
+  const { x, y } = node.internals?.positionAbsolute ?? node.position;
+  const { width, height } = getNodeDimensions(node);
+  return { x: x + width / 2, y: y + height / 2 };
+}
+
+/**
+ * Middle of a node's border on the given side, in absolute coordinates.
+ */
+function getNodeBorderPosition(node, position) {
+  const { x, y } = node.internals?.positionAbsolute ?? node.position;
+  const { width, height } = getNodeDimensions(node);
+  switch (position) {
+    case Position.Top:
+      return { x: x + width / 2, y };
+    case Position.Right:
+      return { x: x + width, y: y + height / 2 };
+    case Position.Bottom:
+      return { x: x + width / 2, y: y + height };
+    case Position.Left:
+      return { x, y: y + height / 2 };
+    default:
+      return { x: x + width / 2, y: y + height / 2 };
+  }
+}
+
 /**
  * Find a handle on a node by id and type.
  */
@@ -140,9 +216,12 @@ export function getClosestHandle(position, connectionRadius, nodeLookup, fromHan
 
 /**
  * Create a connection handler. Manages the state machine for drag-to-connect.
+ * The same machine drives edge reconnection: dragging one end of an existing edge
+ * starts a connection from the handle at the edge's other end.
  *
  * @param {Function} getState - Returns { viewport, nodeLookup, options, containerBounds }
- * @param {object} callbacks - { onConnectStart, onConnect, onConnectEnd, onConnectionStateChange }
+ * @param {object} callbacks - { onConnectStart, onConnect, onConnectEnd, onConnectionStateChange,
+ *                               onReconnectStart, onReconnect, onReconnectEnd }
  * @returns {{ handlePointerDown: Function, destroy: Function }}
  */
 export function createConnectionHandler(getState, callbacks) {
@@ -151,9 +230,14 @@ export function createConnectionHandler(getState, callbacks) {
   let fromNode = null;
   let fromPosition = null;
   let connectionState = null;
+  let reconnect = null;
   let doc = document;
 
-  function handlePointerDown(event, nodeId, handleId, handleType, handlePosition) {
+  /**
+   * @param {object|null} reconnectParams - { edge, handleType } when dragging an edge end;
+   *   nodeId/handleId/handleType then describe the edge's fixed (opposite) end.
+   */
+  function handlePointerDown(event, nodeId, handleId, handleType, handlePosition, reconnectParams = null) {
     event.stopPropagation();
 
     const state = getState();
@@ -167,6 +251,7 @@ export function createConnectionHandler(getState, callbacks) {
     fromHandle = { nodeId, id: handleId, type: handleType, position: handlePosition, ...(handle || {}) };
     fromNode = node;
     fromPosition = handlePosition;
+    reconnect = reconnectParams;
 
     const handlePos = getHandlePosition(node, handle, handlePosition);
 
@@ -184,7 +269,11 @@ export function createConnectionHandler(getState, callbacks) {
       toPosition: null,
     };
 
-    callbacks.onConnectStart?.(event, { nodeId, handleId, handleType });
+    if (reconnect) {
+      callbacks.onReconnectStart?.(event, reconnect.edge, reconnect.handleType);
+    } else {
+      callbacks.onConnectStart?.(event, { nodeId, handleId, handleType });
+    }
     callbacks.onConnectionStateChange?.(connectionState);
 
     doc.addEventListener('mousemove', onPointerMove);
@@ -252,18 +341,25 @@ export function createConnectionHandler(getState, callbacks) {
     doc.removeEventListener('touchmove', onPointerMove);
     doc.removeEventListener('touchend', onPointerUp);
 
-    // If we had a valid connection target, fire onConnect
+    // If we had a valid connection target, build the connection
+    let connection = null;
     if (connectionState?.isValid && connectionState.toHandle) {
-      const connection = {
+      connection = {
         source: fromHandle.type === 'source' ? fromHandle.nodeId : connectionState.toHandle.nodeId,
         target: fromHandle.type === 'source' ? connectionState.toHandle.nodeId : fromHandle.nodeId,
         sourceHandle: fromHandle.type === 'source' ? (fromHandle.id ?? null) : (connectionState.toHandle.id ?? null),
         targetHandle: fromHandle.type === 'source' ? (connectionState.toHandle.id ?? null) : (fromHandle.id ?? null),
       };
-      callbacks.onConnect?.(connection);
     }
 
-    callbacks.onConnectEnd?.(event);
+    if (reconnect) {
+      if (connection) callbacks.onReconnect?.(reconnect.edge, connection);
+      // Fired even when dropped on the pane, so apps can remove the edge
+      callbacks.onReconnectEnd?.(event, reconnect.edge, reconnect.handleType, { connected: !!connection });
+    } else {
+      if (connection) callbacks.onConnect?.(connection);
+      callbacks.onConnectEnd?.(event);
+    }
     callbacks.onConnectionStateChange?.(null);
 
     isConnecting = false;
@@ -271,6 +367,7 @@ export function createConnectionHandler(getState, callbacks) {
     fromNode = null;
     fromPosition = null;
     connectionState = null;
+    reconnect = null;
   }
 
   function validateConnection(from, to, state) {
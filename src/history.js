@@ -0,0 +1,237 @@
+/**
+ * Alpine Flow - Undo/Redo History
+ * A bounded command stack. Each entry knows how to undo and redo itself;
+ * the component decides what an entry captures (see index.js snapshots).
+ * The patch helpers below record lists of `{ id }` items as per-id changes.
+ */
+
+const HISTORY_DEFAULTS = {
+  enabled: true,
+  maxDepth: 100,         // Oldest entries are dropped past this many
+  mergeWindowMs: 600,    // Entries sharing a mergeKey within this window coalesce
+};
+
+/**
+ * Create a history stack.
+ *
+ * Entries have the shape { label, undo(), redo(), mergeKey?, merge?(next) }.
+ * When `mergeKey` matches the top entry and arrives within `mergeWindowMs`,
+ * the top entry's `merge(next)` is called instead of pushing a new one.
+ *
+ * @param {object} initialOptions - Merged with HISTORY_DEFAULTS
+ * @param {Function} [onChange] - Called with { canUndo, canRedo, undoLabel, redoLabel, size }
+ * @returns {object} History controller
+ */
+export function createHistory(initialOptions = {}, onChange = null) {
+  let options = { ...HISTORY_DEFAULTS, ...initialOptions };
+  let undoStack = [];
+  let redoStack = [];
+  let applying = false;
+
+  function getStatus() {
+    return {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoLabel: undoStack[undoStack.length - 1]?.label ?? null,
+      redoLabel: redoStack[redoStack.length - 1]?.label ?? null,
+      size: undoStack.length,
+    };
+  }
+
+  function notify() {
+    onChange?.(getStatus());
+  }
+
+  function trim() {
+    const maxDepth = Math.max(1, options.maxDepth);
+    if (undoStack.length > maxDepth) {
+      undoStack = undoStack.slice(undoStack.length - maxDepth);
+    }
+  }
+
+  function push(entry) {
+    if (!entry || applying) return;
+
+    const now = Date.now();
+    const top = undoStack[undoStack.length - 1];
+    const canMerge = entry.mergeKey != null &&
+      top?.mergeKey === entry.mergeKey &&
+      typeof top.merge === 'function' &&
+      now - top.timestamp <= options.mergeWindowMs;
+
+    if (canMerge) {
+      top.merge(entry);
+      top.timestamp = now;
+    } else {
+      entry.timestamp = now;
+      undoStack.push(entry);
+      trim();
+    }
+
+    redoStack = [];
+    notify();
+  }
+
+  function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return false;
+    applying = true;
+    try {
+      entry.undo();
+    } finally {
+      applying = false;
+    }
+    redoStack.push(entry);
+    notify();
+    return true;
+  }
+
+  function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return false;
+    applying = true;
+    try {
+      entry.redo();
+    } finally {
+      applying = false;
+    }
+    undoStack.push(entry);
+    trim();
+    notify();
+    return true;
+  }
+
+  function clear() {
+    undoStack = [];
+    redoStack = [];
+    notify();
+  }
+
+  function setOptions(nextOptions = {}) {
+    options = { ...options, ...nextOptions };
+    trim();
+    notify();
+  }
+
+  return {
+    push,
+    undo,
+    redo,
+    clear,
+    setOptions,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    isApplying: () => applying,
+    getStatus,
+  };
+}
+
+// ─── List Patches ───────────────────────────────────────────
+
+function sameItem(a, b) {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => {
+    if (!(key in b)) return false;
+    if (key === 'position') return a.position?.x === b.position?.x && a.position?.y === b.position?.y;
+    return a[key] === b[key];
+  });
+}
+
+/**
+ * Diff two lists of `{ id }` items.
+ *
+ * @param {Array} before - Copies taken before the change
+ * @param {Array} after - The current items
+ * @param {Function} copy - Copies an item of `after` into the patch
+ * @returns {{ changes: Map, order: object|null } | null} null when nothing changed.
+ *   `changes` maps id → { before, after }, each `{ index, value }` or null when
+ *   the item is absent on that side; `order` holds both id orders when items
+ *   present on both sides were reordered
+ */
+export function diffHistoryList(before, after, copy) {
+  const beforeIndex = new Map(before.map((item, index) => [item.id, index]));
+  const afterIndex = new Map(after.map((item, index) => [item.id, index]));
+  const changes = new Map();
+
+  after.forEach((item, index) => {
+    const prior = beforeIndex.has(item.id) ? before[beforeIndex.get(item.id)] : null;
+    const value = copy(item);
+    if (prior && sameItem(prior, value)) return;
+    changes.set(item.id, {
+      before: prior && { index: beforeIndex.get(item.id), value: prior },
+      after: { index, value },
+    });
+  });
+  before.forEach((item, index) => {
+    if (!afterIndex.has(item.id)) changes.set(item.id, { before: { index, value: item }, after: null });
+  });
+
+  const kept = (list, index) => list.filter((item) => index.has(item.id)).map((item) => item.id);
+  const keptBefore = kept(before, afterIndex);
+  const keptAfter = kept(after, beforeIndex);
+  const reordered = keptBefore.some((id, i) => id !== keptAfter[i]);
+  if (changes.size === 0 && !reordered) return null;
+
+  return {
+    changes,
+    order: reordered ? { before: before.map((item) => item.id), after: after.map((item) => item.id) } : null,
+  };
+}
+
+/**
+ * Bring a list to one side of a diffHistoryList() patch. Items the patch does
+ * not mention are kept as they are.
+ *
+ * @param {Array} list
+ * @param {object|null} patch
+ * @param {'before'|'after'} side
+ * @param {Function} copy - Copies a recorded value into the list
+ * @returns {Array} A new list
+ */
+export function applyHistoryPatch(list, patch, side, copy) {
+  if (!patch) return list;
+  const { changes, order } = patch;
+
+  const result = [];
+  const present = new Set();
+  for (const item of list) {
+    const change = changes.get(item.id);
+    if (change && !change[side]) continue;
+    result.push(change ? copy(change[side].value) : item);
+    present.add(item.id);
+  }
+
+  const inserts = [...changes.values()]
+    .map((change) => change[side])
+    .filter((entry) => entry && !present.has(entry.value.id))
+    .sort((a, b) => a.index - b.index);
+  for (const { index, value } of inserts) {
+    result.splice(Math.min(index, result.length), 0, copy(value));
+  }
+
+  if (order) {
+    const rank = new Map(order[side].map((id, index) => [id, index]));
+    result.sort((a, b) => (rank.get(a.id) ?? result.length) - (rank.get(b.id) ?? result.length));
+  }
+  return result;
+}
+
+/**
+ * Combine two consecutive patches of one list into a patch spanning both.
+ */
+export function mergeHistoryPatches(first, second) {
+  if (!first || !second) return first ?? second;
+
+  const changes = new Map(first.changes);
+  for (const [id, change] of second.changes) {
+    const earlier = changes.get(id);
+    changes.set(id, { before: earlier ? earlier.before : change.before, after: change.after });
+  }
+  const order = first.order || second.order
+    ? { before: (first.order ?? second.order).before, after: (second.order ?? first.order).after }
+    : null;
+  return { changes, order };
+}
+
+export { HISTORY_DEFAULTS };
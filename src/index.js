@@ -8,18 +8,45 @@
  */
 
 import { DEFAULTS, Position, BackgroundVariant, ConnectionLineType, ConnectionMode } from './constants.js';
-import { clamp, getNodesBounds, getNodeDimensions, getViewportRect, snapPosition, isEdgeVisible } from './geometry.js';
-import { createElement, createSvgElement, uniqueId, getZoomFromElement } from './dom.js';
+import { clamp, getNodesBounds, getNodeDimensions, getViewportRect, snapPosition, getEdgeBounds, nodeToRect, rectsIntersect } from './geometry.js';
+import { createElement, createSvgElement, uniqueId, getZoomFromElement, isInputDOMNode } from './dom.js';
 import { screenToFlowPosition, flowToScreenPosition, getPointerPosition, zoomAtPoint, getTransformForBounds, createPanZoomHandler, wheelDelta } from './viewport.js';
-import { buildNodeLookup, createNodeResizeObserver, createNodeDragHandler, defaultNodeTypes } from './nodes.js';
-import { getHandlePosition, getEdgePosition, createConnectionHandler } from './handles.js';
-import { getBezierPath, getSmoothStepPath, getStraightPath, getStepPath, getPathForEdgeType } from './edges.js';
-import { getIncomers, getOutgoers, getConnectedEdges, addEdge, reconnectEdge, applyNodeChanges, applyEdgeChanges, deleteElements, isNode, isEdge } from './graph.js';
+import { buildNodeLookup, clampNodePosition, createNodeResizeObserver, createNodeDragHandler, defaultNodeTypes } from './nodes.js';
+import { createNodeResizer, getResizedRect, RESIZE_CONTROLS, RESIZER_DEFAULTS } from './resizer.js';
+import { getHandlePosition, getEdgePosition, getNodeBoundaryPoint, createConnectionHandler } from './handles.js';
+import { getBezierPath, getSmoothStepPath, getStraightPath, getStepPath, getRoutedPath, getPathForEdgeType, defaultEdgeTypes, resolveEdgeTypeResult } from './edges.js';
+import { getIncomers, getOutgoers, getConnectedEdges, addEdge, reconnectEdge, applyNodeChanges, applyEdgeChanges, deleteElements, isNode, isEdge, serializeNode, serializeEdge, buildEdgeIndex, indexEdge, unindexEdge, getIndexedEdgeIds } from './graph.js';
 import { createBackground } from './background.js';
 import { createControls } from './controls.js';
 import { createMinimap } from './minimap.js';
 import { layoutNodes, LAYOUT_DEFAULTS } from './layout.js';
-import { createForceSimulation, FORCE_DEFAULTS } from './force.js';
+import { createForceSimulation, createWorkerForceSimulation, FORCE_DEFAULTS } from './force.js';
+import { createHistory, HISTORY_DEFAULTS, diffHistoryList, applyHistoryPatch, mergeHistoryPatches } from './history.js';
+import { serializeSelection, parseClipboardData, materializeClipboardData } from './clipboard.js';
+import { parsePrecedence, evaluatePrecedence, precedenceRankBounds, applyPrecedence, clearPrecedence, PrecedenceSyntaxError } from './precedence.js';
+import { parseQuery, queryGraph, QuerySyntaxError, PSEUDO_CLASSES } from './query.js';
+import {
+  shortestPath, findCycle, topologicalSort,
+  getStronglyConnectedComponents, getWeaklyConnectedComponents,
+  getAncestors, getDescendants, GraphCycleError,
+} from './algorithms.js';
+import { animate, interpolate, interpolateViewport, resolveEasing, EASINGS } from './animation.js';
+import { routeOrthogonal, separateChannels, createEdgeRouter, ROUTING_DEFAULTS } from './routing.js';
+import { createWaypointDragHandler, getWaypointInsertIndex, isWaypointMerged } from './waypoints.js';
+import { getEdgeBundles, getParallelEdgeGeometry, getSelfLoopGeometry, BUNDLE_DEFAULTS } from './bundles.js';
+
+// Markup last written into an edge's custom SVG / HTML container
+const renderedEdgeMarkup = new WeakMap();
+
+// Id prefix for the stand-in edges drawn to collapsed nodes
+const AGGREGATED_EDGE_PREFIX = 'aggregated:';
+
+const PRECEDENCE_MODES = ['hide', 'dim', 'highlight'];
+
+const HOVER_EMPHASIS_MODES = ['neighbors', 'upstream', 'downstream', 'lineage', 'none'];
+
+// Screen px within which a dropped waypoint merges into its neighbour
+const WAYPOINT_MERGE_DISTANCE = 10;
 
 const FORCE_LAYOUT_DEFAULTS = {
   enabled: false,
@@ -37,10 +64,14 @@ const FORCE_LAYOUT_DEFAULTS = {
   alphaDecay: FORCE_DEFAULTS.alphaDecay,
   alphaTarget: FORCE_DEFAULTS.alphaTarget,
   velocityDecay: FORCE_DEFAULTS.velocityDecay,
+  theta: FORCE_DEFAULTS.theta,
+  approximateAbove: FORCE_DEFAULTS.approximateAbove,
   ambientMotion: true,
   ambientIntervalMs: 50,
   ambientPhaseStep: 0.001,
   ambientAlphaPulse: 0.1,
+  worker: false,       // Tick in a Web Worker (falls back to the main thread)
+  workerUrl: null,     // Override the force.worker.js location
 };
 
 /**
@@ -91,14 +122,28 @@ export default function AlpineFlow(Alpine) {
       autoPanEdgeDistance: DEFAULTS.autoPanEdgeDistance,
       nodeOrigin: [...DEFAULTS.nodeOrigin],
       defaultEdgeType: 'default',
+      edgeRouting: null,           // { padding, bendPenalty, channelSpacing } for 'orthogonal-routed' edges
+      edgeBundles: null,           // { spacing, loopSize, loopSide } for parallel edges and self-loops; false draws them as is
+      edgesReconnectable: false,   // true | 'source' | 'target' (per-edge `reconnectable` overrides)
+      waypointsEditable: true,     // Selected edges show draggable waypoints; double-click an edge to add one
+      resizableNodeTypes: [],      // Node types that get resize grips (per-node `resizable` overrides)
+      onlyRenderVisibleElements: false,
+      renderOverscan: DEFAULTS.renderOverscan, // Screen px beyond the viewport that stay mounted
       background: { variant: BackgroundVariant.Dots, gap: 20, size: 1, color: null },
       showBackground: true,
       showControls: true,
       showMinimap: false,
       minimapPanSensitivity: 0.02,
       isValidConnection: null,
+      hoverEmphasis: 'neighbors',  // 'neighbors' | 'upstream' | 'downstream' | 'lineage' | 'none'
+      hoverEmphasisDepth: null,    // Max hops; null = 1 for 'neighbors', unlimited otherwise
+      hoverEmphasisOnSelect: true, // Without a hovered node, emphasize around the selection
+      precedence: null,            // Precedence DSL string, e.g. ':Person > ** > :Product'
+      precedenceMode: 'hide',      // 'hide' | 'dim' | 'highlight' — what happens to unmatched elements
       autoLayout: false,           // true | { direction, nodeSpacing, rankSpacing, ... }
       forceLayout: false,
+      history: true,               // true | false | { maxDepth, mergeWindowMs }
+      pasteOffset: DEFAULTS.pasteOffset,
       ...config.options,
     },
 
@@ -115,13 +160,18 @@ export default function AlpineFlow(Alpine) {
     _markerDefs: null,
     _nodeLookup: new Map(),
     _edgeLookup: new Map(),
+    _nodeEdgeIndex: new Map(),
+    _edgeIndexById: new Map(),
     _nodeElements: new Map(),
     _edgeElements: new Map(),
     _edgeInteractionElements: new Map(),
     _edgeLabelElements: new Map(),
+    _edgeBounds: new Map(),
     _resizeObserver: null,
     _panZoomHandler: null,
     _dragHandler: null,
+    _resizeHandler: null,
+    _waypointDragHandler: null,
     _connectionHandler: null,
     _backgroundComponent: null,
     _controlsComponent: null,
@@ -130,12 +180,15 @@ export default function AlpineFlow(Alpine) {
     _containerHeight: 0,
     _flowId: uniqueId('flow'),
     _nodeTypes: { ...defaultNodeTypes, ...(config.nodeTypes || {}) },
+    _edgeTypes: { ...defaultEdgeTypes, ...(config.edgeTypes || {}) },
     _initialized: false,
     _selectionBoxEl: null,
     _isSelecting: false,
     _selectionStart: null,
     _hoveredNodeId: null,
-    _hoverNeighborIds: new Set(),
+    _emphasisCache: null,        // { key, nodeIds, edgeIds, stroke } for the current sources
+    _emphasisApplied: false,
+    _edgeEmphasisState: new Map(), // edge id → 'focus|stroke' / 'dim' last written to its path
     _forceSimulation: null,
     _forceTickCount: 0,
     _boundVisibilityChange: null,
@@ -144,6 +197,27 @@ export default function AlpineFlow(Alpine) {
     _persistentPinnedNodeIds: new Set(),
     _autoLayoutOptionsCache: null,
     _lastNodePointerDown: null,
+    _history: null,
+    _gestureHistorySnapshot: null,
+    _dragStartPositions: null,   // node id → position when the current node drag started
+    _clipboard: null,
+    _pasteCount: 0,
+    _pointerClientPos: null,
+    _reconnectingEdgeId: null,
+    _dropTargetId: null,
+    _aggregatedEdges: [],
+    _collapsedHidden: new Map(),  // node id inside a collapsed group → its outermost collapsed ancestor
+    _collapseInputs: null,       // node id → { parentId, collapsed } that _collapsedHidden was derived from
+    _collapseEdges: null,        // edge list the aggregated edges were built from
+    _precedenceCache: null,
+    _precedenceResult: null,     // { nodeIds, edgeIds, nodeRanks } of the active filter
+    _cullFrameId: null,
+    _viewportAnimation: null,    // running viewport transition ({ promise, cancel })
+    _positionAnimation: null,    // running node transition ({ promise, cancel, targets })
+    _edgeRouter: null,           // routes of 'orthogonal-routed' edges, created on first use
+    _edgeBundles: new Map(),     // edge id → slot among parallel edges / self-loops (see bundles.js)
+    _childIdsByParent: new Map(), // parent id → Set of child ids, rebuilt with the lookup
+    _nodeIndexById: new Map(),   // node id → index in `this.nodes`, rebuilt with the lookup
 
     // User callbacks
     _onConnect: config.onConnect || null,
@@ -154,13 +228,20 @@ export default function AlpineFlow(Alpine) {
     _onNodeDragStart: config.onNodeDragStart || null,
     _onNodeDrag: config.onNodeDrag || null,
     _onNodeDragStop: config.onNodeDragStop || null,
+    _onNodeResizeStart: config.onNodeResizeStart || null,
+    _onNodeResize: config.onNodeResize || null,
+    _onNodeResizeEnd: config.onNodeResizeEnd || null,
     _onEdgeClick: config.onEdgeClick || null,
     _onPaneClick: config.onPaneClick || null,
     _onViewportChange: config.onViewportChange || null,
     _onConnectStart: config.onConnectStart || null,
     _onConnectEnd: config.onConnectEnd || null,
+    _onReconnectStart: config.onReconnectStart || null,
+    _onReconnect: config.onReconnect || null,
+    _onReconnectEnd: config.onReconnectEnd || null,
     _onSelectionChange: config.onSelectionChange || null,
     _onInit: config.onInit || null,
+    _onHistoryChange: config.onHistoryChange || null,
 
     // ──────────────────────────────────────────
     // Lifecycle
@@ -179,10 +260,15 @@ export default function AlpineFlow(Alpine) {
           : { ...this.options.autoLayout };
       }
 
+      this._applyPrecedence();
       this._applyAutoLayout();
+      this._rebuildEdgeLookup();
       this._initNodeLookup();
+      this._initHistory();
       this._initPanZoom();
       this._initNodeDrag();
+      this._initNodeResizer();
+      this._initWaypointDragHandler();
       this._initConnectionHandler();
       this._initResizeObserver();
       this._initKeyboardHandler();
@@ -235,9 +321,13 @@ export default function AlpineFlow(Alpine) {
     },
 
     destroy() {
+      if (this._cullFrameId) cancelAnimationFrame(this._cullFrameId);
+      this._cancelTransitions();
       this._destroyForceSimulation();
       this._panZoomHandler?.destroy();
       this._dragHandler?.destroy();
+      this._resizeHandler?.destroy();
+      this._waypointDragHandler?.destroy();
       this._connectionHandler?.destroy();
       this._resizeObserver?.disconnect();
       this._containerResizeObserver?.disconnect();
@@ -321,6 +411,21 @@ export default function AlpineFlow(Alpine) {
         this._maybeReheatForce(0.06);
       });
 
+      // Track the pointer so pastes can land under it
+      this._containerEl.addEventListener('pointermove', (event) => {
+        this._pointerClientPos = { x: event.clientX, y: event.clientY };
+        this._pasteCount = 0;
+      });
+      this._containerEl.addEventListener('pointerleave', () => {
+        this._pointerClientPos = null;
+      });
+
+      // Any user gesture takes over from a running transition
+      const cancelTransitions = () => this._cancelTransitions();
+      this._containerEl.addEventListener('pointerdown', cancelTransitions, true);
+      this._containerEl.addEventListener('wheel', cancelTransitions, { capture: true, passive: true });
+      this._containerEl.addEventListener('keydown', cancelTransitions, true);
+
       this._zoomPaneEl = zoomPane;
       this._paneEl = pane;
     },
@@ -363,6 +468,8 @@ export default function AlpineFlow(Alpine) {
         options: this.options,
         nodeLookup: this._nodeLookup,
         edgeLookup: this._edgeLookup,
+        nodeEdgeIndex: this._nodeEdgeIndex,
+        collapsedHidden: this._collapsedHidden,
         containerBounds: this._containerEl?.getBoundingClientRect(),
         containerWidth: this._containerWidth,
         containerHeight: this._containerHeight,
@@ -376,23 +483,33 @@ export default function AlpineFlow(Alpine) {
         zoomIn: (opts) => this.zoomIn(opts),
         zoomOut: (opts) => this.zoomOut(opts),
         zoomTo: (level, opts) => this.zoomTo(level, opts),
-        setViewport: (vp) => this._setViewport(vp),
+        setViewport: (vp, opts) => this._setViewport(vp, opts),
         getViewport: () => ({ ...this.viewport }),
         screenToFlowPosition: (pos) => this.screenToFlowPosition(pos),
         flowToScreenPosition: (pos) => this.flowToScreenPosition(pos),
         getNode: (id) => this.getNode(id),
         getEdge: (id) => this.getEdge(id),
+        collapseNode: (id) => this.collapseNode(id),
+        expandNode: (id) => this.expandNode(id),
+        setPrecedence: (precedence) => this.setPrecedence(precedence),
+        getPrecedence: () => this.getPrecedence(),
+        setPrecedenceMode: (mode) => this.setPrecedenceMode(mode),
+        getPrecedenceMode: () => this.getPrecedenceMode(),
+        getPrecedenceRank: (id) => this.getPrecedenceRank(id),
+        setHoverEmphasis: (mode, depth) => this.setHoverEmphasis(mode, depth),
         getNodes: () => [...this.nodes],
         getEdges: () => [...this.edges],
         getSelectedNodes: () => this.nodes.filter((n) => n.selected),
         getSelectedEdges: () => this.edges.filter((e) => e.selected),
+        query: (selector) => this.query(selector),
+        select: (selector) => this.select(selector),
         addNodes: (n) => this.addNodes(n),
         addEdges: (e) => this.addEdges(e),
         selectAll: () => this._selectAll(),
         deselectAll: () => this._deselectAll(),
         deleteElements: (els) => this.deleteSelectedElements(els),
         toJSON: () => this.toJSON(),
-        fromJSON: (json) => this.fromJSON(json),
+        fromJSON: (json, opts) => this.fromJSON(json, opts),
         layoutNodes: (opts) => this.layoutNodesAndRender(opts),
         setAutoLayoutEnabled: (enabled) => this.setAutoLayoutEnabled(enabled),
         getAutoLayoutEnabled: () => this.getAutoLayoutEnabled(),
@@ -402,6 +519,15 @@ export default function AlpineFlow(Alpine) {
         setForceOptions: (opts) => this.setForceOptions(opts),
         pinNode: (id, point) => this.pinNode(id, point),
         unpinNode: (id) => this.unpinNode(id),
+        undo: () => this.undo(),
+        redo: () => this.redo(),
+        canUndo: () => this.canUndo(),
+        canRedo: () => this.canRedo(),
+        clearHistory: () => this.clearHistory(),
+        copySelection: () => this.copySelection(),
+        cutSelection: () => this.cutSelection(),
+        paste: (opts) => this.paste(opts),
+        duplicateSelection: () => this.duplicateSelection(),
       };
     },
 
@@ -411,6 +537,7 @@ export default function AlpineFlow(Alpine) {
     _updateContainerDimensions() {
       this._containerWidth = this._containerEl.clientWidth;
       this._containerHeight = this._containerEl.clientHeight;
+      this._scheduleVisibleElementsUpdate();
     },
 
     getAutoLayoutEnabled() {
@@ -465,25 +592,189 @@ export default function AlpineFlow(Alpine) {
     // ──────────────────────────────────────────
     // Auto Layout
     // ──────────────────────────────────────────
-    _applyAutoLayout() {
+    /**
+     * Lay out visible nodes. With `force` (the initial pass) every visible node is
+     * placed; otherwise only nodes still marked `_needsLayout` move, so nodes the
+     * user placed keep their positions. Laid-out nodes stay marked until dragged,
+     * and are flagged `_laidOut` so an incremental pass can tell them from new ones.
+     */
+    _applyAutoLayout({ force = true } = {}) {
       if (!this.options.autoLayout) return;
       const opts = typeof this.options.autoLayout === 'object' ? this.options.autoLayout : {};
+      const incremental = !force && !!opts.incremental;
 
       // Only layout visible nodes/edges (precedence may have hidden some)
       const visibleNodes = this.nodes
-        .filter((n) => !n.hidden)
-        .map((n) => ({ ...n, _needsLayout: true }));
-      const visibleEdges = this.edges.filter((e) => !e.hidden);
-      const laid = layoutNodes(visibleNodes, visibleEdges, opts);
+        .filter((n) => !this._isNodeHidden(n))
+        .map((n) => {
+          if (force) return { ...n, _needsLayout: true };
+          return incremental ? this._markNewForLayout(n) : n;
+        });
+      const visibleEdges = this.edges.filter((e) => !this._isEdgeHidden(e));
+      const laid = layoutNodes(visibleNodes, visibleEdges, this._withPrecedenceRanks(opts, visibleEdges));
 
       // Merge computed positions back into the full array
       const posMap = new Map(laid.map((n) => [n.id, n.position]));
       this.nodes = this.nodes.map((n) => {
         const pos = posMap.get(n.id);
-        return pos ? { ...n, position: pos } : n;
+        if (!pos) return n;
+        if (incremental) return { ...n, position: pos, _laidOut: true };
+        if (!force && n._needsLayout !== true) return n;
+        return { ...n, position: pos, _needsLayout: true, _laidOut: true };
       });
     },
 
+    /**
+     * For incremental layout only nodes that never had a place are new;
+     * auto-laid-out and user-placed nodes are kept (softly) where they are.
+     */
+    _markNewForLayout(node) {
+      return { ...node, _needsLayout: node._needsLayout === true && !node._laidOut };
+    },
+
+    /**
+     * Add the active precedence ranks to layout options as rank constraints:
+     * each concrete group gets its own row, in chain order, and wildcard members
+     * a band of rows between their neighbours (see precedenceRankBounds).
+     * Constraints passed in `opts.rankConstraints` are kept and win on conflict.
+     */
+    _withPrecedenceRanks(opts, edges) {
+      const result = this._precedenceResult;
+      if (!result || result.nodeRanks.size === 0) return opts;
+
+      const bounds = precedenceRankBounds(result, edges);
+      const own = opts.rankConstraints ?? {};
+      return {
+        ...opts,
+        rankConstraints: {
+          sameRank: own.sameRank ?? [],
+          minRank: { ...bounds.minRank, ...own.minRank },
+          maxRank: { ...bounds.maxRank, ...own.maxRank },
+        },
+      };
+    },
+
+    // ──────────────────────────────────────────
+    // Precedence
+    // ──────────────────────────────────────────
+    /**
+     * Re-run the precedence filter over the current nodes and edges (in place).
+     * Aggregated edges skip hidden edges, so they are rebuilt on the next lookup.
+     */
+    _applyPrecedence() {
+      this._collapseEdges = null;
+      clearPrecedence(this.nodes, this.edges);
+      const rules = this._getPrecedenceRules();
+      const mode = this.getPrecedenceMode();
+      // 'dim' and 'highlight' keep every element and only classify them
+      this._precedenceResult = mode === 'hide'
+        ? applyPrecedence(this.nodes, this.edges, rules)
+        : evaluatePrecedence(this.nodes, this.edges, rules);
+
+      for (const variant of PRECEDENCE_MODES) {
+        this._containerEl?.classList.toggle(
+          `alpine-flow--precedence-${variant}`,
+          !!this._precedenceResult && variant === mode,
+        );
+      }
+    },
+
+    // Match / dim classes plus the rank as data-precedence-rank and --alpine-flow-precedence-rank
+    _syncNodePrecedenceState(nodeEl, node) {
+      const result = this._precedenceResult;
+      nodeEl.classList.toggle('is-precedence-match', !!result?.nodeIds.has(node.id));
+      nodeEl.classList.toggle('is-precedence-dim', !!result && !result.nodeIds.has(node.id));
+
+      const rank = result?.nodeRanks.get(node.id);
+      if (rank === undefined) {
+        delete nodeEl.dataset.precedenceRank;
+        nodeEl.style.removeProperty('--alpine-flow-precedence-rank');
+      } else {
+        nodeEl.dataset.precedenceRank = String(rank);
+        nodeEl.style.setProperty('--alpine-flow-precedence-rank', String(rank));
+      }
+    },
+
+    _syncEdgePrecedenceState(edgeGroup, edge) {
+      const result = this._precedenceResult;
+      const dimmed = !!result && !edge.aggregated && !result.edgeIds.has(edge.id);
+      edgeGroup.classList.toggle('is-precedence-dim', dimmed);
+      this._edgeLabelElements.get(edge.id)?.classList.toggle('is-precedence-dim', dimmed);
+    },
+
+    // Parsed once per DSL string; an invalid string filters nothing and warns once
+    _getPrecedenceRules() {
+      const source = this.options.precedence || null;
+      if (this._precedenceCache?.source === source) return this._precedenceCache.rules;
+      let rules = null;
+      try {
+        rules = parsePrecedence(source);
+      } catch (error) {
+        console.warn(`[Alpine Flow] precedence: ${error.message}`);
+      }
+      this._precedenceCache = { source, rules };
+      return rules;
+    },
+
+    // Filter, then give newly revealed nodes a place when autoLayout is on
+    _refreshPrecedence({ relayout = !!this.options.precedence } = {}) {
+      this._applyPrecedence();
+      if (relayout) this._applyAutoLayout({ force: false });
+    },
+
+    /**
+     * Replace the precedence filter. Precedence changes are not undoable;
+     * they only alter what is shown.
+     * @returns {PrecedenceSyntaxError|null} The parse error (the current filter is kept), or null
+     */
+    setPrecedence(precedence) {
+      let rules = null;
+      try {
+        rules = parsePrecedence(precedence || null);
+      } catch (error) {
+        return error;
+      }
+      this.options.precedence = precedence || null;
+      this._precedenceCache = { source: this.options.precedence, rules };
+      this._refreshPrecedence({ relayout: true });
+
+      this._initNodeLookup();
+      this._renderAllNodes();
+      this._renderAllEdges();
+      this._minimapComponent?.update();
+      this._refreshForceGraphData({ restart: true, reheat: true });
+      return null;
+    },
+
+    getPrecedence() {
+      return this.options.precedence ?? null;
+    },
+
+    setPrecedenceMode(mode) {
+      this.options.precedenceMode = PRECEDENCE_MODES.includes(mode) ? mode : 'hide';
+      // Leaving 'hide' can reveal nodes that were never laid out
+      this._refreshPrecedence({ relayout: true });
+
+      this._initNodeLookup();
+      this._renderAllNodes();
+      this._renderAllEdges();
+      this._minimapComponent?.update();
+      this._refreshForceGraphData({ restart: true, reheat: true });
+    },
+
+    getPrecedenceMode() {
+      const mode = this.options.precedenceMode;
+      return PRECEDENCE_MODES.includes(mode) ? mode : 'hide';
+    },
+
+    /**
+     * Rank of a node in the active precedence filter (0 = highest precedence).
+     * @returns {number|null} null when no filter is active or the node is unmatched
+     */
+    getPrecedenceRank(id) {
+      return this._precedenceResult?.nodeRanks.get(id) ?? null;
+    },
+
     // ──────────────────────────────────────────
     // Force Layout
     // ──────────────────────────────────────────
@@ -506,7 +797,9 @@ export default function AlpineFlow(Alpine) {
       if (!this._isForceEnabled()) return;
 
       const forceOptions = this._getForceLayoutOptions();
-      this._forceSimulation = createForceSimulation(forceOptions);
+      this._forceSimulation = forceOptions.worker
+        ? createWorkerForceSimulation(forceOptions, { workerUrl: forceOptions.workerUrl })
+        : createForceSimulation(forceOptions);
       this._refreshForceGraphData({ restart: false, reheat: false });
       this._updateAmbientLoop();
 
@@ -532,7 +825,7 @@ export default function AlpineFlow(Alpine) {
 
     _destroyForceSimulation() {
       this._stopAmbientLoop();
-      this._forceSimulation?.stop();
+      this._forceSimulation?.destroy();
       this._forceSimulation = null;
       if (this._boundVisibilityChange) {
         document.removeEventListener('visibilitychange', this._boundVisibilityChange);
@@ -543,8 +836,8 @@ export default function AlpineFlow(Alpine) {
     _refreshForceGraphData({ restart = true, reheat = false } = {}) {
       if (!this._forceSimulation || !this._isForceEnabled()) return;
 
-      const visibleNodes = this.nodes.filter((node) => !node.hidden);
-      const visibleEdges = this.edges.filter((edge) => !edge.hidden);
+      const visibleNodes = this.nodes.filter((node) => !this._isNodeHidden(node));
+      const visibleEdges = this.edges.filter((edge) => !this._isEdgeHidden(edge));
 
       this._forceSimulation.setOptions(this._getForceLayoutOptions());
       this._forceSimulation.setNodes(visibleNodes);
@@ -569,7 +862,7 @@ export default function AlpineFlow(Alpine) {
 
       for (const node of this.nodes) {
         const simNode = state.nodes.get(node.id);
-        if (!simNode || node.hidden) continue;
+        if (!simNode || this._isNodeHidden(node)) continue;
 
         if (node.position.x !== simNode.x || node.position.y !== simNode.y) {
           node.position = { x: simNode.x, y: simNode.y };
@@ -590,11 +883,12 @@ export default function AlpineFlow(Alpine) {
 
       if (movedNodeIds.size > 0) {
         this._updateEdgesForNodes(movedNodeIds);
+        this._scheduleVisibleElementsUpdate();
         this._forceTickCount += 1;
         if (this._forceTickCount % 4 === 0) {
           this._minimapComponent?.update();
         }
-        this._applyHoverEmphasis();
+        if (this._emphasisApplied) this._applyHoverEmphasis();
       }
     },
 
@@ -607,7 +901,7 @@ export default function AlpineFlow(Alpine) {
       if (!this._forceSimulation || !this._isForceEnabled()) return;
       const forceOptions = this._getForceLayoutOptions();
       const anchorNodeId = forceOptions.anchorNodeId || 'streamline';
-      const anchorNode = this.nodes.find((node) => node.id === anchorNodeId && !node.hidden);
+      const anchorNode = this.nodes.find((node) => node.id === anchorNodeId && !this._isNodeHidden(node));
       if (!anchorNode) return;
 
       const centerFlowPos = {
@@ -623,7 +917,7 @@ export default function AlpineFlow(Alpine) {
       if (!this._forceSimulation || !this._isForceEnabled()) return;
       for (const nodeId of this._persistentPinnedNodeIds) {
         const node = this._nodeLookup.get(nodeId) || this.getNode(nodeId);
-        if (!node || node.hidden) continue;
+        if (!node || this._isNodeHidden(node)) continue;
         const absPos = node.internals?.positionAbsolute ?? node.position;
         this._forceSimulation.pinNode(nodeId, absPos.x, absPos.y);
       }
@@ -662,12 +956,232 @@ export default function AlpineFlow(Alpine) {
       }, intervalMs);
     },
 
+    // ──────────────────────────────────────────
+    // Undo / Redo History
+    // ──────────────────────────────────────────
+    _getHistoryOptions() {
+      const raw = this.options.history;
+      if (raw === false) return { ...HISTORY_DEFAULTS, enabled: false };
+      if (!raw || raw === true) return { ...HISTORY_DEFAULTS };
+      return {
+        ...HISTORY_DEFAULTS,
+        ...raw,
+        enabled: raw.enabled !== false,
+      };
+    },
+
+    _initHistory() {
+      this._history = createHistory(this._getHistoryOptions(), (status) => {
+        this._onHistoryChange?.(status);
+      });
+    },
+
+    _isHistoryRecording() {
+      return !!this._history && this._getHistoryOptions().enabled && !this._history.isApplying();
+    },
+
+    _captureGraphSnapshot() {
+      return {
+        nodes: this.nodes.map((n) => this._copyHistoryNode(n)),
+        edges: this.edges.map((e) => ({ ...e })),
+      };
+    },
+
+    _copyHistoryNode(node) {
+      return { ...node, position: { ...node.position }, dragging: false, resizing: false };
+    },
+
+    /**
+     * Run a graph mutation and record it as one undoable entry.
+     * Entries sharing `mergeKey` in quick succession coalesce (e.g. arrow-key nudges).
+     */
+    _recordHistory(label, mutate, { mergeKey = null } = {}) {
+      if (!this._isHistoryRecording()) return mutate();
+      const before = this._captureGraphSnapshot();
+      const result = mutate();
+      this._pushHistorySnapshot(label, before, mergeKey);
+      return result;
+    },
+
+    /**
+     * Push an entry holding only what changed since `before` (a full snapshot,
+     * dropped afterwards): per-id before / after copies of the nodes and edges
+     * that were added, removed or modified. Nothing is pushed for a no-op.
+     */
+    _pushHistorySnapshot(label, before, mergeKey = null) {
+      const patch = {
+        nodes: diffHistoryList(before.nodes, this.nodes, (n) => this._copyHistoryNode(n)),
+        edges: diffHistoryList(before.edges, this.edges, (e) => ({ ...e })),
+      };
+      if (!patch.nodes && !patch.edges) return;
+
+      const entry = {
+        label,
+        mergeKey,
+        patch,
+        undo: () => this._restoreGraphSnapshot(entry.patch, 'before'),
+        redo: () => this._restoreGraphSnapshot(entry.patch, 'after'),
+        merge: (next) => {
+          entry.patch = {
+            nodes: mergeHistoryPatches(entry.patch.nodes, next.patch.nodes),
+            edges: mergeHistoryPatches(entry.patch.edges, next.patch.edges),
+          };
+        },
+      };
+      this._history.push(entry);
+    },
+
+    // Bring the graph to one side ('before' | 'after') of a recorded patch
+    _restoreGraphSnapshot(patch, side) {
+      if (patch.nodes) {
+        this.nodes = applyHistoryPatch(this.nodes, patch.nodes, side, (n) => ({ ...n, position: { ...n.position } }));
+      }
+      if (patch.edges) {
+        this.edges = applyHistoryPatch(this.edges, patch.edges, side, (e) => ({ ...e }));
+      }
+      this._rebuildEdgeLookup();
+      // The snapshot may predate a setPrecedence() call
+      this._applyPrecedence();
+      this._initNodeLookup();
+      this._renderAllNodes();
+      this._renderAllEdges();
+      this._minimapComponent?.update();
+      this._syncForcePositions();
+      this._refreshForceGraphData({ restart: true, reheat: true });
+      this._onSelectionChange?.({
+        nodes: this.nodes.filter((n) => n.selected),
+        edges: this.edges.filter((e) => e.selected),
+      });
+    },
+
+    // The simulation keeps its own coordinates; push restored positions into it.
+    _syncForcePositions() {
+      if (!this._forceSimulation || !this._isForceEnabled()) return;
+      for (const node of this.nodes) {
+        if (this._isNodeHidden(node)) continue;
+        const absPos = this._nodeLookup.get(node.id)?.internals?.positionAbsolute ?? node.position;
+        this._forceSimulation.pinNode(node.id, absPos.x, absPos.y);
+        if (!this._persistentPinnedNodeIds.has(node.id)) {
+          this._forceSimulation.unpinNode(node.id);
+        }
+      }
+    },
+
+    // ──────────────────────────────────────────
+    // Viewport Culling
+    // ──────────────────────────────────────────
+
+    /**
+     * The flow-space rect whose contents stay mounted when `onlyRenderVisibleElements`
+     * is on: the visible area grown by `renderOverscan` screen pixels. null when off.
+     */
+    _getCullingRect() {
+      if (!this.options.onlyRenderVisibleElements || !this._containerWidth || !this._containerHeight) {
+        return null;
+      }
+      const zoom = this.viewport.zoom || 1;
+      const overscan = (this.options.renderOverscan ?? DEFAULTS.renderOverscan) / zoom;
+      const rect = getViewportRect(this.viewport, this._containerWidth, this._containerHeight);
+      return {
+        x: rect.x - overscan,
+        y: rect.y - overscan,
+        width: rect.width + overscan * 2,
+        height: rect.height + overscan * 2,
+      };
+    },
+
+    _isNodeInView(node, internalNode, cullRect) {
+      // Nodes under the pointer must keep their element (pointer capture lives on it)
+      if (node.dragging || node.resizing) return true;
+      // Unmeasured nodes are treated as points so they still get mounted and measured
+      return rectsIntersect(nodeToRect(internalNode), cullRect);
+    },
+
+    // Re-cull once per frame after the viewport (or a simulation) moves things
+    _scheduleVisibleElementsUpdate() {
+      if (!this.options.onlyRenderVisibleElements || !this._initialized || this._cullFrameId) return;
+      this._cullFrameId = requestAnimationFrame(() => {
+        this._cullFrameId = null;
+        this._updateVisibleElements();
+      });
+    },
+
+    /**
+     * Mount the nodes and edges that came into view and unmount those that left
+     * it. Mounted elements are left alone: panning and zooming change no
+     * geometry, and whatever moves things re-renders them itself. Edges are
+     * tested against the bounds their last render stored.
+     */
+    _updateVisibleElements() {
+      const cullRect = this._getCullingRect();
+      if (!cullRect) return;
+      let mounted = false;
+
+      for (const node of this.nodes) {
+        if (this._isNodeHidden(node)) continue;
+        const enriched = this._nodeLookup.get(node.id);
+        const inView = !enriched || this._isNodeInView(node, enriched, cullRect);
+        if (inView === this._nodeElements.has(node.id)) continue;
+        if (inView) {
+          this._renderNode(node, cullRect);
+          mounted = true;
+        } else {
+          this._unmountNode(node.id);
+        }
+      }
+
+      for (const edge of [...this.edges, ...this._aggregatedEdges]) {
+        if (this._isEdgeHidden(edge)) continue;
+        const bounds = this._edgeBounds.get(edge.id);
+        const inView = !bounds || edge.id === this._reconnectingEdgeId || rectsIntersect(bounds, cullRect);
+        if (inView === this._edgeElements.has(edge.id)) continue;
+        if (inView) {
+          // Edges to missing nodes never mount
+          this._renderEdge(edge, cullRect);
+          if (this._edgeElements.has(edge.id)) mounted = true;
+        } else {
+          this._unmountEdge(edge.id);
+        }
+      }
+
+      if (mounted) {
+        this._flushEdgeRoutes();
+        this._applyHoverEmphasis();
+      }
+    },
+
+    _unmountNode(id) {
+      const el = this._nodeElements.get(id);
+      if (!el) return;
+      if (this._hoveredNodeId === id) this._setHoveredNode(null);
+      this._resizeObserver.unobserve(el);
+      el.remove();
+      this._nodeElements.delete(id);
+    },
+
+    _unmountEdge(id) {
+      this._edgeElements.get(id)?.remove();
+      this._edgeElements.delete(id);
+      this._edgeInteractionElements.get(id)?.remove();
+      this._edgeInteractionElements.delete(id);
+      this._edgeLabelElements.get(id)?.remove();
+      this._edgeLabelElements.delete(id);
+    },
+
     // ──────────────────────────────────────────
     // Node Lookup Management
     // ──────────────────────────────────────────
     _initNodeLookup() {
+      this._syncCollapsedState();
       this._nodeLookup = buildNodeLookup(this.nodes, this._nodeLookup);
-      this._edgeLookup = new Map(this.edges.map((e) => [e.id, e]));
+      this._childIdsByParent = new Map();
+      this._nodeIndexById = new Map(this.nodes.map((node, index) => [node.id, index]));
+      for (const node of this.nodes) {
+        if (!node.parentId) continue;
+        if (!this._childIdsByParent.has(node.parentId)) this._childIdsByParent.set(node.parentId, new Set());
+        this._childIdsByParent.get(node.parentId).add(node.id);
+      }
+      this._emphasisCache = null;
       const nodeIds = new Set(this.nodes.map((node) => node.id));
       for (const nodeId of this._persistentPinnedNodeIds) {
         if (!nodeIds.has(nodeId)) {
@@ -676,6 +1190,55 @@ export default function AlpineFlow(Alpine) {
       }
     },
 
+    // ──────────────────────────────────────────
+    // Edge Lookup Management
+    // ──────────────────────────────────────────
+    // The edge lookup and the node → edge ids index are rebuilt only when the
+    // whole edge list is replaced; every other change patches the edges it touched
+
+    _rebuildEdgeLookup() {
+      this._edgeLookup = new Map(this.edges.map((e) => [e.id, e]));
+      this._nodeEdgeIndex = buildEdgeIndex(this.edges);
+      this._edgeIndexById = new Map(this.edges.map((edge, index) => [edge.id, index]));
+    },
+
+    _indexEdges(edges) {
+      for (const edge of edges) {
+        this._edgeLookup.set(edge.id, edge);
+        indexEdge(this._nodeEdgeIndex, edge);
+      }
+    },
+
+    _unindexEdges(edges) {
+      for (const edge of edges) {
+        unindexEdge(this._nodeEdgeIndex, this._edgeLookup.get(edge.id) ?? edge);
+        this._edgeLookup.delete(edge.id);
+      }
+    },
+
+    _findEdgeIndex(id) {
+      const index = this._edgeIndexById.get(id);
+      if (this.edges[index]?.id === id) return index;
+      if (!this._edgeLookup.has(id)) return -1;
+      // Edges were added or removed since the positions were taken
+      this._edgeIndexById = new Map(this.edges.map((edge, i) => [edge.id, i]));
+      return this._edgeIndexById.get(id) ?? -1;
+    },
+
+    // Apply select / waypoints changes edge by edge, keeping the lookup current.
+    // Arrays are replaced, never mutated, so history snapshots stay intact
+    _patchEdges(changes) {
+      const edges = [...this.edges];
+      for (const change of changes) {
+        const index = this._findEdgeIndex(change.id);
+        if (index < 0) continue;
+        const [edge] = applyEdgeChanges([change], [edges[index]]);
+        edges[index] = edge;
+        this._edgeLookup.set(edge.id, edge);
+      }
+      this.edges = edges;
+    },
+
     // ──────────────────────────────────────────
     // Pan/Zoom Initialization
     // ──────────────────────────────────────────
@@ -691,6 +1254,7 @@ export default function AlpineFlow(Alpine) {
             this._minimapComponent?.update();
             this._controlsComponent?.update();
             this._syncForceAnchorNode();
+            this._scheduleVisibleElementsUpdate();
             this._onViewportChange?.(vp);
             this._maybeReheatForce(0.08);
           },
@@ -707,15 +1271,127 @@ export default function AlpineFlow(Alpine) {
       this._viewportEl.style.transform = `translate(${x}px, ${y}px) scale(${zoom})`;
     },
 
-    _setViewport(vp) {
-      this.viewport = { ...vp };
-      this._applyViewportTransform();
-      this._backgroundComponent?.update();
-      this._minimapComponent?.update();
-      this._controlsComponent?.update();
-      this._onViewportChange?.(this.viewport);
-      this._syncForceAnchorNode();
-      this._maybeReheatForce(0.08);
+    /**
+     * @param {object} [options] - { duration, easing } to animate the change
+     * @returns {Promise<boolean>} Resolves when the viewport arrives; false if interrupted
+     */
+    _setViewport(vp, options = {}) {
+      return this._transitionViewport({ ...this.viewport, ...vp }, options, (next) => {
+        this.viewport = next;
+        this._applyViewportTransform();
+        this._backgroundComponent?.update();
+        this._minimapComponent?.update();
+        this._controlsComponent?.update();
+        this._onViewportChange?.(this.viewport);
+        this._syncForceAnchorNode();
+        this._scheduleVisibleElementsUpdate();
+        this._maybeReheatForce(0.08);
+      });
+    },
+
+    // ──────────────────────────────────────────
+    // Animated Transitions
+    // ──────────────────────────────────────────
+
+    /**
+     * Move the viewport to `target`, over `duration` ms when one is given.
+     * `commit(viewport)` runs once at the end with the target, or with wherever
+     * the viewport was when a user gesture interrupted the animation.
+     */
+    _transitionViewport(target, { duration = 0, easing } = {}, commit) {
+      this._viewportAnimation?.cancel();
+      if (!(duration > 0)) {
+        commit(target);
+        return Promise.resolve(true);
+      }
+
+      const from = { ...this.viewport };
+      this._viewportAnimation = animate({
+        duration,
+        easing,
+        onFrame: (progress) => {
+          this.viewport = interpolateViewport(from, target, progress);
+          this._applyViewportTransform();
+          this._backgroundComponent?.update();
+          this._minimapComponent?.update();
+          this._scheduleVisibleElementsUpdate();
+        },
+        onEnd: (completed) => {
+          this._viewportAnimation = null;
+          commit(completed ? target : { ...this.viewport });
+        },
+      });
+      return this._viewportAnimation.promise;
+    },
+
+    /**
+     * Absolute positions of the laid-out nodes, taken before a change that
+     * _transitionNodePositions() should animate.
+     */
+    _captureNodePositions() {
+      const positions = new Map();
+      for (const [id, node] of this._nodeLookup) {
+        if (!this._isNodeHidden(node)) positions.set(id, { ...node.internals.positionAbsolute });
+      }
+      return positions;
+    },
+
+    /**
+     * Slide nodes from `from` (id → absolute position) to where the lookup
+     * has them now, redrawing their edges every frame. The model already holds
+     * the final positions, so an interrupted transition jumps straight there.
+     * Skipped while a force simulation owns the positions.
+     */
+    _transitionNodePositions(from, { duration = 0, easing } = {}) {
+      // A superseded transition stops where it is; `from` already holds those positions
+      const previous = this._positionAnimation;
+      this._positionAnimation = null;
+      previous?.cancel();
+      if (!from || !(duration > 0) || this._isForceEnabled()) return Promise.resolve(true);
+
+      const targets = new Map();
+      for (const [id, start] of from) {
+        const node = this._nodeLookup.get(id);
+        const end = node?.internals?.positionAbsolute;
+        if (!end || this._isNodeHidden(node) || (end.x === start.x && end.y === start.y)) continue;
+        targets.set(id, { ...end });
+      }
+      if (targets.size === 0) return Promise.resolve(true);
+
+      const movedIds = new Set(targets.keys());
+      const place = (progress) => {
+        for (const [id, end] of targets) {
+          const node = this._nodeLookup.get(id);
+          if (!node) continue;
+          const start = from.get(id);
+          const pos = { x: interpolate(start.x, end.x, progress), y: interpolate(start.y, end.y, progress) };
+          node.internals.positionAbsolute = pos;
+          const nodeEl = this._nodeElements.get(id);
+          if (nodeEl) nodeEl.style.transform = `translate(${pos.x}px, ${pos.y}px)`;
+        }
+        this._updateEdgesForNodes(movedIds);
+        this._scheduleVisibleElementsUpdate();
+      };
+
+      const animation = animate({
+        duration,
+        easing,
+        onFrame: place,
+        onEnd: () => {
+          if (this._positionAnimation?.targets !== targets) return;
+          this._positionAnimation = null;
+          place(1);
+          this._minimapComponent?.update();
+          this._applyHoverEmphasis();
+        },
+      });
+      this._positionAnimation = { ...animation, targets };
+      return animation.promise;
+    },
+
+    _cancelTransitions() {
+      this._viewportAnimation?.cancel();
+      this._positionAnimation?.cancel();
     },
 
     // ──────────────────────────────────────────
@@ -726,6 +1402,9 @@ export default function AlpineFlow(Alpine) {
         () => this._getState(),
         {
           onNodeDragStart: (event, nodeId, nodes) => {
+            // A whole drag (start → stop) becomes a single history entry
+            this._gestureHistorySnapshot = this._isHistoryRecording() ? this._captureGraphSnapshot() : null;
+            this._dragStartPositions = new Map(nodes.map((n) => [n.id, { ...n.position }]));
             if (this._isForceEnabled() && this._forceSimulation) {
               for (const node of nodes) {
                 this._persistentPinnedNodeIds.delete(node.id);
@@ -755,12 +1434,25 @@ export default function AlpineFlow(Alpine) {
               this._syncForceAnchorNode();
               this._forceSimulation.setAlphaTarget(0);
             }
+            this._reparentDroppedNodes(nodes.map((n) => n.id));
+            // A dragged node is manually placed from now on; re-layouts leave it alone.
+            // One dropped back where it started was not moved
+            for (const node of nodes) {
+              const start = this._dragStartPositions?.get(node.id);
+              const end = this.getNode(node.id)?.position;
+              if (!start || !end || end.x !== start.x || end.y !== start.y) this._patchNode(node.id, { _needsLayout: false });
+            }
+            this._dragStartPositions = null;
+            if (this._gestureHistorySnapshot) {
+              this._pushHistorySnapshot('drag', this._gestureHistorySnapshot);
+              this._gestureHistorySnapshot = null;
+            }
             this._onNodeDragStop?.(event, this.getNode(nodeId), nodes);
           },
           onDragHold: (nodeId) => {
             if (!this._isForceEnabled() || !this._forceSimulation) return;
             const currentNode = this._nodeLookup.get(nodeId) || this.getNode(nodeId);
-            if (!currentNode || currentNode.hidden) return;
+            if (!currentNode || this._isNodeHidden(currentNode)) return;
             const absPos = currentNode.internals?.positionAbsolute ?? currentNode.position;
             this._persistentPinnedNodeIds.add(nodeId);
             this._forceSimulation.pinNode(nodeId, absPos.x, absPos.y);
@@ -775,6 +1467,7 @@ export default function AlpineFlow(Alpine) {
             this._backgroundComponent?.update();
             this._minimapComponent?.update();
             this._syncForceAnchorNode();
+            this._scheduleVisibleElementsUpdate();
           },
         }
       );
@@ -788,13 +1481,13 @@ export default function AlpineFlow(Alpine) {
 
         if (change.position) {
           // Update the reactive node
-          const nodeIndex = this.nodes.findIndex((n) => n.id === change.id);
+          const nodeIndex = this._findNodeIndex(change.id);
           if (nodeIndex >= 0) {
-            this.nodes[nodeIndex] = {
+            this._setUserNode(nodeIndex, {
               ...this.nodes[nodeIndex],
               position: { ...change.position },
               dragging: change.dragging ?? false,
-            };
+            });
           }
 
           // Update lookup
@@ -826,9 +1519,9 @@ export default function AlpineFlow(Alpine) {
         }
 
         if (change.dragging !== undefined && !change.position) {
-          const nodeIndex = this.nodes.findIndex((n) => n.id === change.id);
+          const nodeIndex = this._findNodeIndex(change.id);
           if (nodeIndex >= 0) {
-            this.nodes[nodeIndex] = { ...this.nodes[nodeIndex], dragging: change.dragging };
+            this._setUserNode(nodeIndex, { ...this.nodes[nodeIndex], dragging: change.dragging });
           }
           const nodeEl = this._nodeElements.get(change.id);
           if (nodeEl) {
@@ -837,8 +1530,20 @@ export default function AlpineFlow(Alpine) {
         }
       }
 
-      // Update edges connected to moved nodes
+      // Children follow moved parents; `expandParent` nodes grow theirs
       const movedNodeIds = new Set(changes.filter((c) => c.position).map((c) => c.id));
+      const groupChanges = [];
+      for (const id of [...movedNodeIds]) {
+        if (this._childIdsByParent.has(id)) {
+          for (const childId of this._syncDescendantPositions(id)) movedNodeIds.add(childId);
+        }
+        if (this._nodeLookup.get(id)?.expandParent) {
+          groupChanges.push(...this._expandParent(id, movedNodeIds));
+        }
+      }
+      this._updateDropTarget(isFinal ? null : changes.find((c) => c.position)?.id);
+
+      // Update edges connected to moved nodes
       this._updateEdgesForNodes(movedNodeIds);
       this._updateConnectionLine();
       this._minimapComponent?.update();
@@ -846,79 +1551,599 @@ export default function AlpineFlow(Alpine) {
 
       // Fire change callback
       if (this._onNodesChange) {
-        this._onNodesChange(changes.map((c) => ({
-          type: 'position',
-          id: c.id,
-          position: c.position,
-          dragging: c.dragging,
-        })));
+        this._onNodesChange([
+          ...changes.map((c) => ({
+            type: 'position',
+            id: c.id,
+            position: c.position,
+            dragging: c.dragging,
+          })),
+          ...groupChanges,
+        ]);
       }
     },
 
     // ──────────────────────────────────────────
-    // Connection Handler Initialization
+    // Groups / Sub-flows
     // ──────────────────────────────────────────
-    _initConnectionHandler() {
-      this._connectionHandler = createConnectionHandler(
-        () => this._getState(),
-        {
-          onConnectStart: (event, params) => {
-            this._onConnectStart?.(event, params);
-          },
-          onConnect: (connection) => {
-            if (this._onConnect) {
-              this._onConnect(connection);
-            } else {
-              // Auto-add edge
-              this.edges = addEdge(connection, this.edges);
-              this._initNodeLookup();
-              this._renderAllEdges();
-              this._refreshForceGraphData({ restart: true, reheat: true });
-            }
-          },
-          onConnectEnd: (event) => {
-            this._onConnectEnd?.(event);
-          },
-          onConnectionStateChange: (state) => {
-            this.connectionState = state;
-            this._updateConnectionLine();
-          },
-        }
-      );
+    // Index of a node in `this.nodes`; the map is checked because `this.nodes` may
+    // have been replaced since the last lookup rebuild
+    _findNodeIndex(id) {
+      const index = this._nodeIndexById.get(id);
+      if (this.nodes[index]?.id === id) return index;
+      return this.nodes.findIndex((n) => n.id === id);
     },
 
-    _updateConnectionLine() {
-      if (!this._connectionPathEl) return;
+    // Replace a node object in `this.nodes`, keeping the lookup's link to it current
+    _setUserNode(nodeIndex, node) {
+      this.nodes[nodeIndex] = node;
+      const internal = this._nodeLookup.get(node.id);
+      if (internal) internal.internals.userNode = node;
+    },
 
-      if (!this.connectionState || !this.connectionState.inProgress) {
-        this._connectionPathEl.setAttribute('d', '');
-        return;
+    _patchNode(id, patch) {
+      const nodeIndex = this._findNodeIndex(id);
+      if (nodeIndex >= 0) {
+        this._setUserNode(nodeIndex, { ...this.nodes[nodeIndex], ...patch });
       }
+      const internal = this._nodeLookup.get(id);
+      if (internal) Object.assign(internal, patch);
+    },
 
-      const { from, to, fromPosition } = this.connectionState;
-      const toPosition = this.connectionState.toPosition || Position.Top;
-      const lineType = this.options.connectionLineType ?? DEFAULTS.connectionLineType;
-      const pathFn = getPathForEdgeType(lineType);
-
-      const [path] = pathFn({
-        sourceX: from.x,
-        sourceY: from.y,
-        sourcePosition: fromPosition,
-        targetX: to.x,
-        targetY: to.y,
-        targetPosition: toPosition,
-      });
-
-      this._connectionPathEl.setAttribute('d', path);
-
-      // Color based on validity
-      const { isValid } = this.connectionState;
-      if (isValid === true) {
-        this._connectionPathEl.setAttribute('stroke', '#4f8ff7');
-      } else if (isValid === false) {
-        this._connectionPathEl.setAttribute('stroke', '#ff4444');
-      } else {
-        this._connectionPathEl.setAttribute('stroke', '#b1b1b7');
+    _hasAncestorIn(node, ids) {
+      let parentId = node.parentId;
+      const seen = new Set();
+      while (parentId && !seen.has(parentId)) {
+        if (ids.has(parentId)) return true;
+        seen.add(parentId);
+        parentId = this._nodeLookup.get(parentId)?.parentId;
+      }
+      return false;
+    },
+
+    _getDescendantIds(nodeId) {
+      // Insertion order lists every parent before its children
+      const ids = new Set();
+      const stack = [nodeId];
+      while (stack.length > 0) {
+        const parentId = stack.pop();
+        for (const childId of this._childIdsByParent.get(parentId) ?? []) {
+          if (!ids.has(childId) && childId !== nodeId) {
+            ids.add(childId);
+            stack.push(childId);
+          }
+        }
+      }
+      return ids;
+    },
+
+    /**
+     * Recompute absolute positions (lookup + DOM) of everything nested in a node
+     * after the node moved. Returns the ids that were updated.
+     */
+    _syncDescendantPositions(nodeId) {
+      const ids = this._getDescendantIds(nodeId);
+      for (const id of ids) {
+        const child = this._nodeLookup.get(id);
+        const parent = child ? this._nodeLookup.get(child.parentId) : null;
+        if (!child || !parent) continue;
+        const parentPos = parent.internals.positionAbsolute;
+        const pos = { x: parentPos.x + child.position.x, y: parentPos.y + child.position.y };
+        child.internals.positionAbsolute = pos;
+        const childEl = this._nodeElements.get(id);
+        if (childEl) {
+          childEl.style.transform = `translate(${pos.x}px, ${pos.y}px)`;
+        }
+      }
+      return ids;
+    },
+
+    /**
+     * Grow a node's parent so the node fits inside it (`expandParent`).
+     * Growing left/up moves the parent and shifts its children back, so nothing
+     * else appears to move. Returns the node changes made; affected ids are
+     * added to `affectedIds`.
+     */
+    _expandParent(childId, affectedIds = new Set()) {
+      const child = this._nodeLookup.get(childId);
+      const parent = child?.parentId ? this._nodeLookup.get(child.parentId) : null;
+      if (!child || !parent) return [];
+
+      const childDims = getNodeDimensions(child);
+      const parentDims = getNodeDimensions(parent);
+      const shiftX = Math.min(0, child.position.x);
+      const shiftY = Math.min(0, child.position.y);
+      const width = Math.max(parentDims.width, child.position.x + childDims.width) - shiftX;
+      const height = Math.max(parentDims.height, child.position.y + childDims.height) - shiftY;
+      if (width === parentDims.width && height === parentDims.height) return [];
+
+      const changes = [];
+      if (shiftX < 0 || shiftY < 0) {
+        const position = { x: parent.position.x + shiftX, y: parent.position.y + shiftY };
+        const parentPos = parent.internals.positionAbsolute;
+        this._patchNode(parent.id, { position });
+        parent.internals.positionAbsolute = { x: parentPos.x + shiftX, y: parentPos.y + shiftY };
+        changes.push({ type: 'position', id: parent.id, position: { ...position } });
+
+        for (const siblingId of this._childIdsByParent.get(parent.id) ?? []) {
+          const sibling = this._nodeLookup.get(siblingId);
+          if (!sibling) continue;
+          const siblingPosition = { x: sibling.position.x - shiftX, y: sibling.position.y - shiftY };
+          this._patchNode(sibling.id, { position: siblingPosition });
+          changes.push({ type: 'position', id: sibling.id, position: { ...siblingPosition } });
+        }
+      }
+
+      const dimensions = { width, height };
+      this._patchNode(parent.id, { width, height, measured: { ...dimensions } });
+      const parentEl = this._nodeElements.get(parent.id);
+      if (parentEl) {
+        const pos = parent.internals.positionAbsolute;
+        this._applyNodeSize(parentEl, parent);
+        parentEl.style.transform = `translate(${pos.x}px, ${pos.y}px)`;
+      }
+      this._measureHandleBounds(parent.id);
+      affectedIds.add(parent.id);
+      changes.push({ type: 'dimensions', id: parent.id, dimensions, setAttributes: true });
+
+      // Nested groups propagate the growth upward
+      if (parent.expandParent) {
+        changes.push(...this._expandParent(parent.id, affectedIds));
+      }
+      return changes;
+    },
+
+    /**
+     * The topmost visible `group` node containing the center of the given node,
+     * excluding the node itself and its descendants. Nodes with `extent: 'parent'`
+     * are locked to their parent and never have a drop target.
+     */
+    _findDropTarget(nodeId) {
+      const node = this._nodeLookup.get(nodeId);
+      if (!node || node.extent === 'parent') return null;
+
+      const rect = nodeToRect(node);
+      const center = { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+      const excluded = this._getDescendantIds(nodeId);
+      excluded.add(nodeId);
+
+      let target = null;
+      for (const candidate of this._nodeLookup.values()) {
+        if (candidate.type !== 'group' || this._isNodeHidden(candidate) || candidate.collapsed || excluded.has(candidate.id)) continue;
+        const box = nodeToRect(candidate);
+        const inside = center.x >= box.x && center.x <= box.x + box.width &&
+          center.y >= box.y && center.y <= box.y + box.height;
+        if (inside && (!target || candidate.internals.z >= target.internals.z)) {
+          target = candidate;
+        }
+      }
+      return target;
+    },
+
+    _updateDropTarget(nodeId) {
+      const target = nodeId ? this._findDropTarget(nodeId) : null;
+      const targetId = target && target.id !== this._nodeLookup.get(nodeId)?.parentId ? target.id : null;
+      if (targetId === this._dropTargetId) return;
+      this._nodeElements.get(this._dropTargetId)?.classList.remove('drop-target');
+      this._dropTargetId = targetId;
+      this._nodeElements.get(targetId)?.classList.add('drop-target');
+    },
+
+    /**
+     * Reparent dropped nodes: into the group under them, or out to the top level
+     * when dropped outside their parent. Positions are converted so nothing jumps.
+     */
+    _reparentDroppedNodes(nodeIds) {
+      const changes = [];
+      for (const id of nodeIds) {
+        const node = this._nodeLookup.get(id);
+        if (!node || node.extent === 'parent') continue;
+
+        const target = this._findDropTarget(id);
+        const parentId = target?.id ?? null;
+        if (parentId === (node.parentId ?? null)) continue;
+
+        const absPos = node.internals.positionAbsolute;
+        const origin = target?.internals.positionAbsolute ?? { x: 0, y: 0 };
+        const position = { x: absPos.x - origin.x, y: absPos.y - origin.y };
+        this._patchNode(id, { parentId, position });
+        changes.push({ type: 'parent', id, parentId, position: { ...position } });
+      }
+      if (changes.length === 0) return;
+
+      this._initNodeLookup();
+      const affectedIds = new Set(changes.map((c) => c.id));
+      for (const change of [...changes]) {
+        if (change.parentId && this._nodeLookup.get(change.id)?.expandParent) {
+          changes.push(...this._expandParent(change.id, affectedIds));
+        }
+      }
+      this._renderAllNodes();
+      this._updateEdgesForNodes(affectedIds);
+      this._minimapComponent?.update();
+      this._onNodesChange?.(changes);
+    },
+
+    // ──────────────────────────────────────────
+    // Collapsible Groups
+    // ──────────────────────────────────────────
+
+    /**
+     * Derive visibility from `collapsed` nodes without writing to them: nodes
+     * inside a collapsed group go into `_collapsedHidden`, edges touching them
+     * are hidden with them, and aggregated edges stand in for edges crossing a
+     * collapsed border. The ancestor walk reruns only when `collapsed`,
+     * `parentId` or the node set changed; aggregated edges are also rebuilt
+     * when the edge list was replaced.
+     */
+    _syncCollapsedState() {
+      const nodesChanged = this._collapseInputsChanged();
+      if (nodesChanged) this._collapsedHidden = this._findCollapsedHidden();
+      if (nodesChanged || this.edges !== this._collapseEdges) {
+        this._collapseEdges = this.edges;
+        this._aggregatedEdges = this._buildAggregatedEdges();
+      }
+    },
+
+    _collapseInputsChanged() {
+      const inputs = this._collapseInputs;
+      let changed = !inputs || inputs.size !== this.nodes.length;
+      for (let i = 0; !changed && i < this.nodes.length; i++) {
+        const node = this.nodes[i];
+        const seen = inputs.get(node.id);
+        changed = !seen || seen.parentId !== (node.parentId ?? null) || seen.collapsed !== !!node.collapsed;
+      }
+      if (changed) {
+        this._collapseInputs = new Map(this.nodes.map((n) => [n.id, { parentId: n.parentId ?? null, collapsed: !!n.collapsed }]));
+      }
+      return changed;
+    },
+
+    // Each node inside a collapsed ancestor is represented by the outermost one
+    _findCollapsedHidden() {
+      const byId = new Map(this.nodes.map((n) => [n.id, n]));
+      const representative = new Map();
+      for (const node of this.nodes) {
+        let rep = null;
+        const seen = new Set();
+        let parent = byId.get(node.parentId);
+        while (parent && !seen.has(parent.id)) {
+          if (parent.collapsed) rep = parent.id;
+          seen.add(parent.id);
+          parent = byId.get(parent.parentId);
+        }
+        if (rep) representative.set(node.id, rep);
+      }
+      return representative;
+    },
+
+    _buildAggregatedEdges() {
+      const representative = this._collapsedHidden;
+      if (representative.size === 0) return [];
+
+      const byId = new Map(this.nodes.map((n) => [n.id, n]));
+      const aggregated = new Map();
+      for (const edge of this.edges) {
+        const sourceRep = representative.get(edge.source);
+        const targetRep = representative.get(edge.target);
+        if ((!sourceRep && !targetRep) || edge.hidden) continue;
+
+        const source = sourceRep ?? edge.source;
+        const target = targetRep ?? edge.target;
+        if (source === target || byId.get(source)?.hidden || byId.get(target)?.hidden) continue;
+
+        const key = `${source}\u0000${target}`;
+        let agg = aggregated.get(key);
+        if (!agg) {
+          agg = {
+            id: `${AGGREGATED_EDGE_PREFIX}${source}-${target}`,
+            source,
+            target,
+            // Ends that stay on a visible node keep their handle
+            sourceHandle: sourceRep ? null : edge.sourceHandle,
+            targetHandle: targetRep ? null : edge.targetHandle,
+            type: edge.type,
+            style: edge.style,
+            markerStart: edge.markerStart,
+            markerEnd: edge.markerEnd,
+            className: 'aggregated',
+            animated: false,
+            selected: false,
+            hidden: false,
+            reconnectable: false,
+            aggregated: true,
+            edgeIds: [],
+          };
+          aggregated.set(key, agg);
+        }
+        agg.edgeIds.push(edge.id);
+      }
+
+      return [...aggregated.values()].map((agg) => ({
+        ...agg,
+        count: agg.edgeIds.length,
+        label: String(agg.edgeIds.length),
+      }));
+    },
+
+    // Hidden by the user, the precedence filter or a collapsed ancestor
+    _isNodeHidden(node) {
+      return !!node.hidden || this._collapsedHidden.has(node.id);
+    },
+
+    _isEdgeHidden(edge) {
+      return !!edge.hidden || this._collapsedHidden.has(edge.source) || this._collapsedHidden.has(edge.target);
+    },
+
+    _setNodeCollapsed(id, collapsed) {
+      const node = this.getNode(id);
+      if (!node || !!node.collapsed === collapsed) return false;
+
+      const descendantIds = this._getDescendantIds(id);
+      this._recordHistory(collapsed ? 'collapse' : 'expand', () => {
+        this._patchNode(id, { collapsed });
+        // Hidden nodes and edges must not stay selected (they would be deleted or copied unseen)
+        if (collapsed) {
+          for (const childId of descendantIds) {
+            if (this.getNode(childId)?.selected) this._patchNode(childId, { selected: false });
+          }
+          const edgeChanges = this.getConnectedEdges([...descendantIds])
+            .filter((e) => e.selected)
+            .map((e) => ({ type: 'select', id: e.id, selected: false }));
+          if (edgeChanges.length) this._patchEdges(edgeChanges);
+        }
+      });
+
+      this._initNodeLookup();
+      this._renderAllNodes();
+      this._renderAllEdges();
+      this._minimapComponent?.update();
+      this._refreshForceGraphData({ restart: true, reheat: true });
+      return true;
+    },
+
+    // Collapsed nodes show how many nodes they contain
+    _syncCollapsedBadge(nodeEl, node) {
+      nodeEl.classList.toggle('collapsed', !!node.collapsed);
+      nodeEl.querySelector('[data-action="toggle-collapse"]')
+        ?.setAttribute('aria-expanded', node.collapsed ? 'false' : 'true');
+
+      let badge = nodeEl.querySelector(':scope > .alpine-flow__collapsed-count');
+      if (!node.collapsed) {
+        badge?.remove();
+        return;
+      }
+      if (!badge) {
+        badge = createElement('div', { className: 'alpine-flow__collapsed-count' }, nodeEl);
+      }
+      badge.textContent = String(this._getDescendantIds(node.id).size);
+    },
+
+    // ──────────────────────────────────────────
+    // Node Resizer
+    // ──────────────────────────────────────────
+    _initNodeResizer() {
+      this._resizeHandler = createNodeResizer(
+        () => this._getState(),
+        {
+          onResizeStart: (event, nodeId) => {
+            // A whole resize gesture becomes a single history entry
+            this._gestureHistorySnapshot = this._isHistoryRecording() ? this._captureGraphSnapshot() : null;
+            this._nodeElements.get(nodeId)?.classList.add('resizing');
+            this._onNodeResizeStart?.(event, this.getNode(nodeId));
+          },
+          onResize: (event, change) => {
+            this._applyResizeChange(change, false);
+            this._onNodeResize?.(event, this.getNode(change.id));
+          },
+          onResizeEnd: (event, nodeId, change) => {
+            if (change) this._applyResizeChange(change, true);
+            this._nodeElements.get(nodeId)?.classList.remove('resizing');
+            if (this._gestureHistorySnapshot && change) {
+              this._pushHistorySnapshot('resize', this._gestureHistorySnapshot);
+            }
+            this._gestureHistorySnapshot = null;
+            this._onNodeResizeEnd?.(event, this.getNode(nodeId));
+          },
+        }
+      );
+    },
+
+    _isNodeResizable(node) {
+      if (!this.options.nodesDraggable || node.collapsed) return false;
+      return node.resizable ?? (this.options.resizableNodeTypes || []).includes(node.type);
+    },
+
+    _syncResizeControls(nodeEl, node) {
+      const existing = nodeEl.querySelectorAll(':scope > .alpine-flow__resize-control');
+      const resizable = this._isNodeResizable(node);
+      nodeEl.classList.toggle('resizable', resizable);
+
+      if (!resizable) {
+        existing.forEach((el) => el.remove());
+        return;
+      }
+      if (existing.length > 0) return;
+
+      for (const control of RESIZE_CONTROLS) {
+        const controlEl = createElement('div', {
+          className: `alpine-flow__resize-control alpine-flow__resize-control-${control} nodrag`,
+          'data-control': control,
+        }, nodeEl);
+        controlEl.addEventListener('pointerdown', (event) => {
+          this._resizeHandler.onPointerDown(event, node.id, control);
+        });
+      }
+    },
+
+    _applyNodeSize(nodeEl, node) {
+      // Explicit sizes replace the stylesheet's min-width so nodes can shrink.
+      // Collapsed nodes fall back to their compact, content-sized box.
+      const width = node.collapsed ? null : node.width;
+      const height = node.collapsed ? null : node.height;
+      nodeEl.style.width = width ? `${width}px` : '';
+      nodeEl.style.height = height ? `${height}px` : '';
+      nodeEl.style.minWidth = width ? '0' : '';
+    },
+
+    _applyResizeChange(change, isFinal) {
+      const node = this._nodeLookup.get(change.id);
+      if (!node) return;
+
+      const { width, height } = change;
+      const moved = node.position.x !== change.position.x || node.position.y !== change.position.y;
+
+      const nodeIndex = this._findNodeIndex(change.id);
+      if (nodeIndex >= 0) {
+        this._setUserNode(nodeIndex, {
+          ...this.nodes[nodeIndex],
+          position: { ...change.position },
+          width,
+          height,
+          measured: { width, height },
+          resizing: !isFinal,
+        });
+      }
+
+      // Update lookup
+      node.position = { ...change.position };
+      node.width = width;
+      node.height = height;
+      node.measured = { width, height };
+      node.internals.positionAbsolute = { ...change.positionAbsolute };
+
+      // Direct DOM update (fast path)
+      const nodeEl = this._nodeElements.get(change.id);
+      if (nodeEl) {
+        this._applyNodeSize(nodeEl, node);
+        nodeEl.style.transform = `translate(${change.positionAbsolute.x}px, ${change.positionAbsolute.y}px)`;
+      }
+
+      // Children are positioned relative to this node, so a top/left resize carries them along
+      const affectedIds = new Set([change.id]);
+      if (moved) {
+        for (const childId of this._syncDescendantPositions(change.id)) affectedIds.add(childId);
+      }
+
+      this._measureHandleBounds(change.id);
+      this._updateEdgesForNodes(affectedIds);
+      this._minimapComponent?.update();
+
+      if (isFinal) {
+        this._refreshForceGraphData({ restart: true, reheat: true });
+        this._syncForcePositions();
+      }
+
+      if (this._onNodesChange) {
+        const changes = [{
+          type: 'dimensions',
+          id: change.id,
+          dimensions: { width, height },
+          resizing: !isFinal,
+          setAttributes: true,
+        }];
+        if (moved) {
+          changes.push({ type: 'position', id: change.id, position: { ...change.position } });
+        }
+        this._onNodesChange(changes);
+      }
+    },
+
+    // ──────────────────────────────────────────
+    // Connection Handler Initialization
+    // ──────────────────────────────────────────
+    _initConnectionHandler() {
+      this._connectionHandler = createConnectionHandler(
+        () => this._getState(),
+        {
+          onConnectStart: (event, params) => {
+            this._onConnectStart?.(event, params);
+          },
+          onConnect: (connection) => {
+            if (this._onConnect) {
+              this._onConnect(connection);
+            } else {
+              // Auto-add edge
+              this._recordHistory('connect', () => {
+                const count = this.edges.length;
+                this.edges = addEdge(connection, this.edges);
+                this._indexEdges(this.edges.slice(count));
+              });
+              this._initNodeLookup();
+              this._renderAllEdges();
+              this._refreshForceGraphData({ restart: true, reheat: true });
+            }
+          },
+          onConnectEnd: (event) => {
+            this._onConnectEnd?.(event);
+          },
+          onReconnectStart: (event, edge, handleType) => {
+            this._reconnectingEdgeId = edge.id;
+            this._edgeElements.get(edge.id)?.classList.add('reconnecting');
+            this._onReconnectStart?.(event, edge, handleType);
+          },
+          onReconnect: (oldEdge, connection) => {
+            if (this._onReconnect) {
+              this._onReconnect(oldEdge, connection);
+            } else {
+              // Auto-apply the reconnection
+              this._recordHistory('reconnect', () => {
+                const index = this._findEdgeIndex(oldEdge.id);
+                this.edges = reconnectEdge(oldEdge, connection, this.edges);
+                if (index < 0) return;
+                this._unindexEdges([oldEdge]);
+                this._indexEdges([this.edges[index]]);
+              });
+              this._initNodeLookup();
+              this._renderAllEdges();
+              this._refreshForceGraphData({ restart: true, reheat: true });
+            }
+          },
+          onReconnectEnd: (event, edge, handleType, result) => {
+            this._reconnectingEdgeId = null;
+            this._edgeElements.get(edge.id)?.classList.remove('reconnecting');
+            this._onReconnectEnd?.(event, edge, handleType, result);
+          },
+          onConnectionStateChange: (state) => {
+            this.connectionState = state;
+            this._updateConnectionLine();
+          },
+        }
+      );
+    },
+
+    _updateConnectionLine() {
+      if (!this._connectionPathEl) return;
+
+      if (!this.connectionState || !this.connectionState.inProgress) {
+        this._connectionPathEl.setAttribute('d', '');
+        return;
+      }
+
+      const { from, to, fromPosition } = this.connectionState;
+      const toPosition = this.connectionState.toPosition || Position.Top;
+      const lineType = this.options.connectionLineType ?? DEFAULTS.connectionLineType;
+      const pathFn = getPathForEdgeType(lineType);
+
+      const [path] = pathFn({
+        sourceX: from.x,
+        sourceY: from.y,
+        sourcePosition: fromPosition,
+        targetX: to.x,
+        targetY: to.y,
+        targetPosition: toPosition,
+      });
+
+      this._connectionPathEl.setAttribute('d', path);
+
+      // Color based on validity
+      const { isValid } = this.connectionState;
+      if (isValid === true) {
+        this._connectionPathEl.setAttribute('stroke', '#4f8ff7');
+      } else if (isValid === false) {
+        this._connectionPathEl.setAttribute('stroke', '#ff4444');
+      } else {
+        this._connectionPathEl.setAttribute('stroke', '#b1b1b7');
       }
     },
 
@@ -939,9 +2164,9 @@ export default function AlpineFlow(Alpine) {
 
         // Update node measured dimensions
         node.measured = { ...correctedDims };
-        const nodeIndex = this.nodes.findIndex((n) => n.id === nodeId);
+        const nodeIndex = this._findNodeIndex(nodeId);
         if (nodeIndex >= 0) {
-          this.nodes[nodeIndex] = { ...this.nodes[nodeIndex], measured: { ...correctedDims } };
+          this._setUserNode(nodeIndex, { ...this.nodes[nodeIndex], measured: { ...correctedDims } });
         }
 
         // Measure handle positions from DOM
@@ -1005,6 +2230,47 @@ export default function AlpineFlow(Alpine) {
     // ──────────────────────────────────────────
     _initKeyboardHandler() {
       this._containerEl.addEventListener('keydown', (event) => {
+        // Undo / redo (Ctrl/Cmd + Z, Ctrl/Cmd + Shift + Z, Ctrl + Y).
+        // Text fields inside nodes keep the browser's own text undo.
+        const inTextField = isInputDOMNode(event.target);
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z' && !inTextField) {
+          event.preventDefault();
+          if (event.shiftKey) {
+            this.redo();
+          } else {
+            this.undo();
+          }
+          return;
+        }
+        if (event.ctrlKey && event.key.toLowerCase() === 'y' && !inTextField) {
+          event.preventDefault();
+          this.redo();
+          return;
+        }
+
+        // Clipboard (Ctrl/Cmd + C / X / V) and duplicate (Ctrl/Cmd + D), also left to text fields
+        if ((event.ctrlKey || event.metaKey) && !inTextField) {
+          const key = event.key.toLowerCase();
+          if (key === 'c') {
+            if (this.copySelection()) event.preventDefault();
+            return;
+          }
+          if (key === 'x') {
+            if (this.cutSelection()) event.preventDefault();
+            return;
+          }
+          if (key === 'v') {
+            event.preventDefault();
+            this.paste();
+            return;
+          }
+          if (key === 'd') {
+            event.preventDefault();
+            this.duplicateSelection();
+            return;
+          }
+        }
+
         // Delete selected elements
         if (event.key === this.options.deleteKeyCode || event.key === 'Delete') {
           this._deleteSelected();
@@ -1136,7 +2402,7 @@ export default function AlpineFlow(Alpine) {
       const edgeChanges = this.edges.filter((e) => !e.selected).map((e) => ({ type: 'select', id: e.id, selected: true }));
 
       if (nodeChanges.length) this.nodes = applyNodeChanges(nodeChanges, this.nodes);
-      if (edgeChanges.length) this.edges = applyEdgeChanges(edgeChanges, this.edges);
+      if (edgeChanges.length) this._patchEdges(edgeChanges);
       this._initNodeLookup();
       this._updateNodeSelectionStyles();
       this._updateEdgeSelectionStyles();
@@ -1147,7 +2413,7 @@ export default function AlpineFlow(Alpine) {
       const edgeChanges = this.edges.filter((e) => e.selected).map((e) => ({ type: 'select', id: e.id, selected: false }));
 
       if (nodeChanges.length) this.nodes = applyNodeChanges(nodeChanges, this.nodes);
-      if (edgeChanges.length) this.edges = applyEdgeChanges(edgeChanges, this.edges);
+      if (edgeChanges.length) this._patchEdges(edgeChanges);
       this._initNodeLookup();
       this._updateNodeSelectionStyles();
       this._updateEdgeSelectionStyles();
@@ -1159,9 +2425,13 @@ export default function AlpineFlow(Alpine) {
 
       if (nodesToRemove.length === 0 && edgesToRemove.length === 0) return;
 
-      const result = deleteElements({ nodesToRemove, edgesToRemove }, this.nodes, this.edges);
-      this.nodes = result.nodes;
-      this.edges = result.edges;
+      this._recordHistory('delete', () => {
+        const result = deleteElements({ nodesToRemove, edgesToRemove }, this.nodes, this.edges);
+        const kept = new Set(result.edges.map((e) => e.id));
+        this._unindexEdges([...edgesToRemove, ...this.getConnectedEdges(nodesToRemove)].filter((e) => !kept.has(e.id)));
+        this.nodes = result.nodes;
+        this.edges = result.edges;
+      });
       this._initNodeLookup();
       this._renderAllNodes();
       this._renderAllEdges();
@@ -1171,20 +2441,38 @@ export default function AlpineFlow(Alpine) {
     },
 
     _moveSelectedNodes(dx, dy) {
+      const movableIds = new Set(this.nodes.filter((n) => n.selected && n.draggable !== false).map((n) => n.id));
       const changes = [];
       for (const node of this.nodes) {
-        if (!node.selected || node.draggable === false) continue;
+        if (!movableIds.has(node.id)) continue;
+        // Children of a moved parent travel with it
+        if (this._hasAncestorIn(node, movableIds)) continue;
+
+        const enriched = this._nodeLookup.get(node.id);
+        const absPos = enriched?.internals.positionAbsolute ?? node.position;
+        const proposed = { x: absPos.x + dx, y: absPos.y + dy };
+        const next = enriched ? clampNodePosition(enriched, proposed, this._nodeLookup) : proposed;
         changes.push({
           type: 'position',
           id: node.id,
-          position: { x: node.position.x + dx, y: node.position.y + dy },
+          position: { x: node.position.x + next.x - absPos.x, y: node.position.y + next.y - absPos.y },
         });
       }
 
       if (changes.length > 0) {
-        this.nodes = applyNodeChanges(changes, this.nodes);
-        this._initNodeLookup();
-        // Update DOM positions
+        const movedIds = new Set(changes.map((c) => c.id));
+        const groupChanges = [];
+        this._recordHistory('move', () => {
+          this.nodes = applyNodeChanges(changes, this.nodes)
+            .map((n) => (movedIds.has(n.id) ? { ...n, _needsLayout: false } : n));
+          this._initNodeLookup();
+          for (const change of changes) {
+            if (this._nodeLookup.get(change.id)?.expandParent) {
+              groupChanges.push(...this._expandParent(change.id, movedIds));
+            }
+          }
+        }, { mergeKey: 'nudge' });
+        // Update DOM positions (moved nodes and everything nested in them)
         for (const change of changes) {
           const enriched = this._nodeLookup.get(change.id);
           const el = this._nodeElements.get(change.id);
@@ -1192,12 +2480,13 @@ export default function AlpineFlow(Alpine) {
             const pos = enriched.internals.positionAbsolute;
             el.style.transform = `translate(${pos.x}px, ${pos.y}px)`;
           }
+          for (const id of this._syncDescendantPositions(change.id)) movedIds.add(id);
         }
         // Update connected edges
-        const movedIds = new Set(changes.map((c) => c.id));
         this._updateEdgesForNodes(movedIds);
         this._minimapComponent?.update();
         this._refreshForceGraphData({ restart: false, reheat: true });
+        this._onNodesChange?.([...changes, ...groupChanges]);
       }
     },
 
@@ -1208,6 +2497,7 @@ export default function AlpineFlow(Alpine) {
           el.classList.toggle('selected', !!node.selected);
         }
       }
+      this._applyHoverEmphasis();
     },
 
     _updateEdgeSelectionStyles() {
@@ -1225,122 +2515,118 @@ export default function AlpineFlow(Alpine) {
     _renderAllNodes() {
       const currentIds = new Set(this.nodes.map((n) => n.id));
 
+      const cullRect = this._getCullingRect();
+
       // Remove stale node elements
-      for (const [id, el] of this._nodeElements) {
-        if (!currentIds.has(id)) {
-          if (this._hoveredNodeId === id) this._setHoveredNode(null);
-          this._resizeObserver.unobserve(el);
-          el.remove();
-          this._nodeElements.delete(id);
-        }
+      for (const id of this._nodeElements.keys()) {
+        if (!currentIds.has(id)) this._unmountNode(id);
       }
 
       // Create or update node elements
-      for (const node of this.nodes) {
-        if (node.hidden) {
-          const existing = this._nodeElements.get(node.id);
-          if (existing) {
-            if (this._hoveredNodeId === node.id) this._setHoveredNode(null);
-            this._resizeObserver.unobserve(existing);
-            existing.remove();
-            this._nodeElements.delete(node.id);
-          }
-          continue;
-        }
+      for (const node of this.nodes) this._renderNode(node, cullRect);
 
-        let nodeEl = this._nodeElements.get(node.id);
-        const enriched = this._nodeLookup.get(node.id);
-        const pos = enriched?.internals?.positionAbsolute ?? node.position;
-
-        if (!nodeEl) {
-          nodeEl = createElement('div', {
-            className: `alpine-flow__node alpine-flow__node-${node.type || 'default'} ${node.data?.iconMode === 'icon' ? 'icon-only' : ''} ${node.className || ''} ${node.selected ? 'selected' : ''} ${node.draggable === false ? 'not-draggable' : ''}`.trim(),
-            'data-id': node.id,
-            style: {
-              position: 'absolute',
-              transform: `translate(${pos.x}px, ${pos.y}px)`,
-              zIndex: String(enriched?.internals?.z ?? 0),
-              visibility: 'hidden', // Hidden until measured
-            },
-          }, this._nodesContainerEl);
-
-          // Render node content
-          const nodeType = this._nodeTypes[node.type || 'default'] || this._nodeTypes.default;
-          if (typeof nodeType === 'function') {
-            nodeEl.innerHTML = nodeType(node);
-          } else {
-            nodeEl.innerHTML = `<div class="alpine-flow__node-header">${node.data?.label ?? node.id}</div>`;
-          }
+      this._applyHoverEmphasis();
+    },
 
-          this._hydrateNodeIcons(nodeEl);
+    _renderNode(node, cullRect = this._getCullingRect()) {
+      const enriched = this._nodeLookup.get(node.id);
+      if (this._isNodeHidden(node) || (cullRect && enriched && !this._isNodeInView(node, enriched, cullRect))) {
+        // Off-screen nodes keep their lookup entry (measured size, handle bounds)
+        this._unmountNode(node.id);
+        return;
+      }
 
-          // Set up drag
-          if (node.draggable !== false && this.options.nodesDraggable) {
-            nodeEl.style.cursor = 'grab';
-            nodeEl.addEventListener('pointerdown', (event) => {
-              this._onNodePointerDown(event, node.id);
-            });
-          }
+      let nodeEl = this._nodeElements.get(node.id);
+      const pos = enriched?.internals?.positionAbsolute ?? node.position;
+
+      if (!nodeEl) {
+        nodeEl = createElement('div', {
+          className: `alpine-flow__node alpine-flow__node-${node.type || 'default'} ${node.data?.iconMode === 'icon' ? 'icon-only' : ''} ${node.className || ''} ${node.selected ? 'selected' : ''} ${node.draggable === false ? 'not-draggable' : ''}`.trim(),
+          'data-id': node.id,
+          style: {
+            position: 'absolute',
+            transform: `translate(${pos.x}px, ${pos.y}px)`,
+            zIndex: String(enriched?.internals?.z ?? 0),
+            // Hidden until measured; nodes remounted by culling are already measured
+            visibility: enriched?.measured?.width ? 'visible' : 'hidden',
+          },
+        }, this._nodesContainerEl);
+        this._applyNodeSize(nodeEl, node);
 
-          // Click handler
-          nodeEl.addEventListener('click', (event) => {
-            event.stopPropagation();
-            this._onNodeClickHandler(event, node.id);
-          });
+        // Render node content
+        const nodeType = this._nodeTypes[node.type || 'default'] || this._nodeTypes.default;
+        if (typeof nodeType === 'function') {
+          nodeEl.innerHTML = nodeType(node);
+        } else {
+          nodeEl.innerHTML = `<div class="alpine-flow__node-header">${node.data?.label ?? node.id}</div>`;
+        }
 
-          nodeEl.addEventListener('dblclick', (event) => {
-            event.stopPropagation();
-            this._onNodeDoubleClick?.(event, this.getNode(node.id));
-          });
+        this._hydrateNodeIcons(nodeEl);
+        this._syncResizeControls(nodeEl, node);
+        this._syncCollapsedBadge(nodeEl, node);
+        this._syncNodePrecedenceState(nodeEl, node);
 
-          nodeEl.addEventListener('mouseenter', () => {
-            this._setHoveredNode(node.id);
+        // Set up drag
+        if (node.draggable !== false && this.options.nodesDraggable) {
+          nodeEl.style.cursor = 'grab';
+          nodeEl.addEventListener('pointerdown', (event) => {
+            this._onNodePointerDown(event, node.id);
           });
+        }
 
-          nodeEl.addEventListener('mouseleave', () => {
-            if (this._hoveredNodeId === node.id) {
-              this._setHoveredNode(null);
-            }
-          });
+        // Click handler
+        nodeEl.addEventListener('click', (event) => {
+          event.stopPropagation();
+          if (event.target.closest?.('[data-action="toggle-collapse"]')) {
+            this._setNodeCollapsed(node.id, !this.getNode(node.id)?.collapsed);
+            return;
+          }
+          this._onNodeClickHandler(event, node.id);
+        });
 
-          // Handle pointerdown for connections
-          nodeEl.querySelectorAll('.alpine-flow__handle').forEach((handleEl) => {
-            handleEl.addEventListener('pointerdown', (event) => {
-              if (!this.options.nodesConnectable) return;
-              const handleId = handleEl.dataset.handleid || null;
-              const handleType = handleEl.dataset.handletype || 'source';
-              const handlePosition = handleEl.dataset.handleposition || Position.Bottom;
-              this._connectionHandler.handlePointerDown(event, node.id, handleId, handleType, handlePosition);
-            });
+        nodeEl.addEventListener('dblclick', (event) => {
+          event.stopPropagation();
+          this._onNodeDoubleClick?.(event, this.getNode(node.id));
+        });
+
+        nodeEl.addEventListener('mouseenter', () => {
+          this._setHoveredNode(node.id);
+        });
+
+        nodeEl.addEventListener('mouseleave', () => {
+          if (this._hoveredNodeId === node.id) {
+            this._setHoveredNode(null);
+          }
+        });
+
+        // Handle pointerdown for connections
+        nodeEl.querySelectorAll('.alpine-flow__handle').forEach((handleEl) => {
+          handleEl.addEventListener('pointerdown', (event) => {
+            if (!this.options.nodesConnectable) return;
+            const handleId = handleEl.dataset.handleid || null;
+            const handleType = handleEl.dataset.handletype || 'source';
+            const handlePosition = handleEl.dataset.handleposition || Position.Bottom;
+            this._connectionHandler.handlePointerDown(event, node.id, handleId, handleType, handlePosition);
           });
+        });
 
-          this._nodeElements.set(node.id, nodeEl);
-          this._resizeObserver.observe(nodeEl);
-        } else {
-          // Update existing node
-          nodeEl.style.transform = `translate(${pos.x}px, ${pos.y}px)`;
-          nodeEl.style.zIndex = String(enriched?.internals?.z ?? 0);
-          nodeEl.classList.toggle('selected', !!node.selected);
-          nodeEl.classList.toggle('icon-only', node.data?.iconMode === 'icon');
-        }
+        this._nodeElements.set(node.id, nodeEl);
+        this._resizeObserver.observe(nodeEl);
+      } else {
+        // Update existing node
+        nodeEl.style.transform = `translate(${pos.x}px, ${pos.y}px)`;
+        nodeEl.style.zIndex = String(enriched?.internals?.z ?? 0);
+        nodeEl.classList.toggle('selected', !!node.selected);
+        nodeEl.classList.toggle('icon-only', node.data?.iconMode === 'icon');
+        this._applyNodeSize(nodeEl, node);
+        this._syncResizeControls(nodeEl, node);
+        this._syncCollapsedBadge(nodeEl, node);
+        this._syncNodePrecedenceState(nodeEl, node);
       }
-
-      this._applyHoverEmphasis();
     },
 
     _setHoveredNode(nodeId) {
       this._hoveredNodeId = nodeId;
-      this._hoverNeighborIds = new Set();
-
-      if (nodeId) {
-        this._hoverNeighborIds.add(nodeId);
-        for (const edge of this.edges) {
-          if (edge.hidden) continue;
-          if (edge.source === nodeId) this._hoverNeighborIds.add(edge.target);
-          if (edge.target === nodeId) this._hoverNeighborIds.add(edge.source);
-        }
-      }
-
       this._applyHoverEmphasis();
     },
 
@@ -1359,49 +2645,134 @@ export default function AlpineFlow(Alpine) {
       }
     },
 
-    _applyHoverEmphasis() {
-      const hoveredNodeId = this._hoveredNodeId;
-      const hoveredNode = hoveredNodeId ? this.getNode(hoveredNodeId) : null;
-      const hoveredStroke = hoveredNode ? this._getNodeTypeHoverStroke(hoveredNode.type) : null;
+    _getHoverEmphasisMode() {
+      const mode = this.options.hoverEmphasis;
+      if (mode === false) return 'none';
+      return HOVER_EMPHASIS_MODES.includes(mode) ? mode : 'neighbors';
+    },
 
-      for (const [id, nodeEl] of this._nodeElements) {
-        if (!hoveredNodeId) {
-          nodeEl.classList.remove('is-hover-focus', 'is-hover-dim');
-          continue;
+    /**
+     * What hover emphasis currently highlights: everything within reach of the
+     * hovered node (or, with none hovered, of the selected nodes).
+     * Cached until the sources, mode or graph change.
+     * @returns {{ nodeIds: Set<string>, edgeIds: Set<string>, stroke: string } | null}
+     */
+    _getEmphasis() {
+      const mode = this._getHoverEmphasisMode();
+      if (mode === 'none') return null;
+
+      let sourceIds = this._hoveredNodeId ? [this._hoveredNodeId] : [];
+      if (sourceIds.length === 0 && this.options.hoverEmphasisOnSelect !== false) {
+        sourceIds = this.nodes.filter((n) => n.selected && !this._isNodeHidden(n)).map((n) => n.id);
+      }
+      if (sourceIds.length === 0) return null;
+
+      const depth = this.options.hoverEmphasisDepth ?? (mode === 'neighbors' ? 1 : Infinity);
+      const key = `${mode}|${depth}|${sourceIds.join('\u0000')}`;
+      if (this._emphasisCache?.key === key) return this._emphasisCache;
+
+      // Aggregated edges are not in the adjacency index
+      const aggregatedByNode = new Map();
+      for (const edge of this._aggregatedEdges) {
+        for (const id of [edge.source, edge.target]) {
+          if (!aggregatedByNode.has(id)) aggregatedByNode.set(id, []);
+          aggregatedByNode.get(id).push(edge);
+        }
+      }
+
+      const nodeIds = new Set(sourceIds);
+      const edgeIds = new Set();
+      // Breadth-first over the adjacency index, so the cost is the size of the lineage
+      const walk = (followOut, followIn) => {
+        const seen = new Set(sourceIds);
+        let frontier = sourceIds;
+        for (let level = 0; level < depth && frontier.length > 0; level++) {
+          const next = [];
+          for (const id of frontier) {
+            const edges = [...(this._nodeEdgeIndex.get(id) ?? [])].map((edgeId) => this._edgeLookup.get(edgeId));
+            for (const edge of [...edges, ...(aggregatedByNode.get(id) ?? [])]) {
+              if (!edge || this._isEdgeHidden(edge)) continue;
+              let other = null;
+              if (followOut && edge.source === id) other = edge.target;
+              else if (followIn && edge.target === id) other = edge.source;
+              if (other === null) continue;
+
+              edgeIds.add(edge.id);
+              nodeIds.add(other);
+              if (!seen.has(other)) {
+                seen.add(other);
+                next.push(other);
+              }
+            }
+          }
+          frontier = next;
         }
+      };
+
+      if (mode === 'neighbors') walk(true, true);
+      if (mode === 'downstream' || mode === 'lineage') walk(true, false);
+      if (mode === 'upstream' || mode === 'lineage') walk(false, true);
+
+      const strokeNode = this.getNode(sourceIds[0]);
+      this._emphasisCache = {
+        key,
+        nodeIds,
+        edgeIds,
+        stroke: strokeNode ? this._getNodeTypeHoverStroke(strokeNode.type) : null,
+      };
+      return this._emphasisCache;
+    },
 
-        const inNeighborhood = this._hoverNeighborIds.has(id);
+    _applyHoverEmphasis() {
+      const emphasis = this._getEmphasis();
+      // Nothing emphasized now or before: skip the walk over every element
+      if (!emphasis && !this._emphasisApplied) return;
+      this._emphasisApplied = !!emphasis;
+
+      for (const [id, nodeEl] of this._nodeElements) {
+        const inNeighborhood = !!emphasis && emphasis.nodeIds.has(id);
         nodeEl.classList.toggle('is-hover-focus', inNeighborhood);
-        nodeEl.classList.toggle('is-hover-dim', !inNeighborhood);
+        nodeEl.classList.toggle('is-hover-dim', !!emphasis && !inNeighborhood);
       }
 
-      for (const edge of this.edges) {
-        const edgeGroup = this._edgeElements.get(edge.id);
-        const edgeLabel = this._edgeLabelElements.get(edge.id);
-        if (!edgeGroup) continue;
-        const edgePath = edgeGroup.querySelector('.alpine-flow__edge-path');
-        const baseStroke = edge.style?.stroke || 'var(--alpine-flow-edge-stroke, #333)';
-        const baseWidth = String(edge.style?.strokeWidth || 'var(--alpine-flow-edge-stroke-width, 1)');
+      const aggregated = this._aggregatedEdges.length > 0
+        ? new Map(this._aggregatedEdges.map((e) => [e.id, e]))
+        : null;
+
+      // Only mounted edges need classes; culled ones get them when they render
+      for (const [id, edgeGroup] of this._edgeElements) {
+        const edge = this._edgeLookup.get(id) ?? aggregated?.get(id);
+        if (!edge) continue;
+        const edgeLabel = this._edgeLabelElements.get(id);
 
-        if (!hoveredNodeId) {
+        if (!emphasis) {
           edgeGroup.classList.remove('is-edge-focus', 'is-edge-dim');
           edgeLabel?.classList.remove('is-edge-focus', 'is-edge-dim');
+          if (!this._edgeEmphasisState.has(id)) continue;
+          const edgePath = edgeGroup.querySelector('.alpine-flow__edge-path');
           if (edgePath) {
-            edgePath.setAttribute('stroke', baseStroke);
-            edgePath.setAttribute('stroke-width', baseWidth);
+            edgePath.setAttribute('stroke', edge.style?.stroke || 'var(--alpine-flow-edge-stroke, #333)');
+            edgePath.setAttribute('stroke-width', String(edge.style?.strokeWidth || 'var(--alpine-flow-edge-stroke-width, 1)'));
           }
           continue;
         }
 
-        const isConnected = edge.source === hoveredNodeId || edge.target === hoveredNodeId;
+        const isConnected = emphasis.edgeIds.has(id);
+        const className = isConnected ? 'is-edge-focus' : 'is-edge-dim';
+        const state = isConnected ? `focus|${emphasis.stroke}` : 'dim';
+        // Re-renders reset the class list, so a missing class means the element needs it again
+        if (this._edgeEmphasisState.get(id) === state && edgeGroup.classList.contains(className)) continue;
+        this._edgeEmphasisState.set(id, state);
+
         edgeGroup.classList.toggle('is-edge-focus', isConnected);
         edgeGroup.classList.toggle('is-edge-dim', !isConnected);
         edgeLabel?.classList.toggle('is-edge-focus', isConnected);
         edgeLabel?.classList.toggle('is-edge-dim', !isConnected);
 
+        const edgePath = edgeGroup.querySelector('.alpine-flow__edge-path');
         if (edgePath) {
           if (isConnected) {
-            edgePath.setAttribute('stroke', hoveredStroke || baseStroke);
+            edgePath.setAttribute('stroke', emphasis.stroke || edge.style?.stroke || 'var(--alpine-flow-edge-stroke, #333)');
             edgePath.setAttribute('stroke-width', '2');
           } else {
             edgePath.setAttribute('stroke', '#333');
@@ -1409,6 +2780,18 @@ export default function AlpineFlow(Alpine) {
           }
         }
       }
+      if (!emphasis) this._edgeEmphasisState.clear();
+    },
+
+    /**
+     * Change the hover emphasis mode (and optionally its depth) at runtime.
+     * @param {string} mode - 'neighbors' | 'upstream' | 'downstream' | 'lineage' | 'none'
+     * @param {number|null} [depth] - Max hops; null restores the mode's default
+     */
+    setHoverEmphasis(mode, depth = this.options.hoverEmphasisDepth) {
+      this.options.hoverEmphasis = mode;
+      this.options.hoverEmphasisDepth = depth;
+      this._applyHoverEmphasis();
     },
 
     _playPinFeedback(nodeId) {
@@ -1510,56 +2893,85 @@ export default function AlpineFlow(Alpine) {
     // Edge Rendering
     // ──────────────────────────────────────────
     _renderAllEdges() {
-      const currentIds = new Set(this.edges.map((e) => e.id));
+      const renderedEdges = [...this.edges, ...this._aggregatedEdges];
+      const currentIds = new Set(renderedEdges.map((e) => e.id));
 
       // Remove stale
-      for (const [id, el] of this._edgeElements) {
-        if (!currentIds.has(id)) {
-          el.remove();
-          this._edgeElements.delete(id);
-          this._edgeInteractionElements.get(id)?.remove();
-          this._edgeInteractionElements.delete(id);
-          this._edgeLabelElements.get(id)?.remove();
-          this._edgeLabelElements.delete(id);
-        }
+      for (const id of this._edgeElements.keys()) {
+        if (!currentIds.has(id)) this._unmountEdge(id);
+      }
+      for (const id of this._edgeBounds.keys()) {
+        if (!currentIds.has(id)) this._edgeBounds.delete(id);
       }
 
-      for (const edge of this.edges) {
-        if (edge.hidden) {
+      this._edgeBundles = this.options.edgeBundles === false
+        ? new Map()
+        : getEdgeBundles(renderedEdges.filter((e) => !this._isEdgeHidden(e)), {
+          loopSide: this.options.edgeBundles?.loopSide,
+          // The router already keeps parallel routes apart
+          isParallel: (e) => !this._isRoutedEdge(e),
+        });
+
+      if (this._edgeRouter) {
+        this._syncRouteObstacles();
+        this._edgeRouter.retain(new Set(
+          renderedEdges.filter((e) => !this._isEdgeHidden(e) && this._isRoutedEdge(e)).map((e) => e.id)
+        ));
+      }
+
+      this._registerRoutes(renderedEdges);
+      const cullRect = this._getCullingRect();
+      for (const edge of renderedEdges) {
+        if (this._isEdgeHidden(edge)) {
           // Remove existing DOM elements for hidden edges
-          const existing = this._edgeElements.get(edge.id);
-          if (existing) {
-            existing.remove();
-            this._edgeElements.delete(edge.id);
-            this._edgeInteractionElements.get(edge.id)?.remove();
-            this._edgeInteractionElements.delete(edge.id);
-            this._edgeLabelElements.get(edge.id)?.remove();
-            this._edgeLabelElements.delete(edge.id);
-          }
+          this._unmountEdge(edge.id);
           continue;
         }
-        this._renderEdge(edge);
+        this._renderEdge(edge, cullRect);
       }
 
+      this._flushEdgeRoutes();
       this._applyHoverEmphasis();
     },
 
-    _renderEdge(edge) {
+    _renderEdge(edge, cullRect = this._getCullingRect()) {
       const sourceNode = this._nodeLookup.get(edge.source);
       const targetNode = this._nodeLookup.get(edge.target);
       if (!sourceNode || !targetNode) return;
 
-      const edgePos = getEdgePosition(sourceNode, edge.sourceHandle, targetNode, edge.targetHandle);
+      const { edgePos, waypoints, label } = this._getEdgeGeometry(edge, sourceNode, targetNode);
       const edgeType = edge.type || this.options.defaultEdgeType || 'default';
-      const pathFn = getPathForEdgeType(edgeType);
-      const [path, labelX, labelY] = pathFn({
+      const edgeTypeFn = this._edgeTypes[edgeType] || this._edgeTypes.default;
+      // Waypoints (the user's or a bundle's) replace automatic routing
+      if (waypoints) this._edgeRouter?.removeRoute(edge.id);
+      const routePoints = edgeType === 'orthogonal-routed' && !waypoints ? this._routeEdge(edge, edgePos) : null;
+
+      // Bends and detours count, so an edge stays mounted while any part of it is on screen.
+      // The box is kept for culling passes, which don't recompute geometry
+      const bounds = getEdgeBounds(edgePos, waypoints ?? routePoints);
+      this._edgeBounds.set(edge.id, bounds);
+      if (cullRect && edge.id !== this._reconnectingEdgeId && !rectsIntersect(bounds, cullRect)) {
+        this._unmountEdge(edge.id);
+        return;
+      }
+      const params = {
+        id: edge.id,
+        edge,
         sourceX: edgePos.sourceX,
         sourceY: edgePos.sourceY,
         sourcePosition: edgePos.sourcePosition,
         targetX: edgePos.targetX,
         targetY: edgePos.targetY,
         targetPosition: edgePos.targetPosition,
-      });
+        ...(waypoints && { waypoints }),
+        ...(routePoints && { points: routePoints }),
+      };
+      const rendered = {
+        ...resolveEdgeTypeResult(edgeTypeFn(params), params),
+        // Bundled edges space their labels out along the bundle
+        ...(label && { labelX: label.x, labelY: label.y }),
+      };
+      const { path, labelX, labelY } = rendered;
 
       let edgeGroup = this._edgeElements.get(edge.id);
 
@@ -1584,6 +2996,12 @@ export default function AlpineFlow(Alpine) {
           this._onEdgeClickHandler(event, edge.id);
         });
 
+        interactionPath.addEventListener('dblclick', (event) => {
+          if (!this._isWaypointEditable()) return;
+          event.stopPropagation();
+          this._insertEdgeWaypoint(edge.id, this.screenToFlowPosition({ x: event.clientX, y: event.clientY }));
+        });
+
         this._edgeInteractionElements.set(edge.id, interactionPath);
 
         // Visible path
@@ -1610,13 +3028,18 @@ export default function AlpineFlow(Alpine) {
           }, edgeGroup);
 
           const labelDiv = document.createElement('div');
-          labelDiv.className = 'alpine-flow__edge-label';
+          labelDiv.className = edge.aggregated ? 'alpine-flow__edge-label alpine-flow__edge-count' : 'alpine-flow__edge-label';
           labelDiv.textContent = edge.label;
           if (edge.labelStyle) Object.assign(labelDiv.style, edge.labelStyle);
           fo.appendChild(labelDiv);
 
           this._edgeLabelElements.set(edge.id, fo);
         }
+
+        this._syncEdgeCustomContent(edgeGroup, edge, rendered);
+        this._syncEdgeReconnectGrips(edgeGroup, edge, edgePos);
+        this._syncEdgeWaypointHandles(edgeGroup, edge);
+        this._syncEdgePrecedenceState(edgeGroup, edge);
       } else {
         // Update existing edge
         const visiblePath = edgeGroup.querySelector('.alpine-flow__edge-path');
@@ -1629,18 +3052,342 @@ export default function AlpineFlow(Alpine) {
         if (label) {
           label.setAttribute('x', String(labelX - 50));
           label.setAttribute('y', String(labelY - 12));
+          if (edge.label && label.firstChild) label.firstChild.textContent = edge.label;
+        }
+
+        edgeGroup.className.baseVal = `alpine-flow__edge alpine-flow__edge-${edgeType} ${edge.animated ? 'animated' : ''} ${edge.selected ? 'selected' : ''} ${this._reconnectingEdgeId === edge.id ? 'reconnecting' : ''} ${edge.className || ''}`.trim();
+
+        this._syncEdgeCustomContent(edgeGroup, edge, rendered);
+        this._syncEdgeReconnectGrips(edgeGroup, edge, edgePos);
+        this._syncEdgeWaypointHandles(edgeGroup, edge);
+        this._syncEdgePrecedenceState(edgeGroup, edge);
+      }
+    },
+
+    // Extra SVG / HTML from a custom edge type. Markup is only rewritten when it
+    // changes, so buttons keep hover and focus while the edge follows a drag.
+    // Clicks on either count as clicks on the edge.
+    _syncEdgeCustomContent(edgeGroup, edge, { svg, html, labelX, labelY }) {
+      let svgEl = edgeGroup.querySelector(':scope > .alpine-flow__edge-svg');
+      if (!svg) {
+        svgEl?.remove();
+      } else {
+        if (!svgEl) {
+          svgEl = createSvgElement('g', { class: 'alpine-flow__edge-svg' }, edgeGroup);
+          svgEl.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this._onEdgeClickHandler(event, edge.id);
+          });
         }
+        if (renderedEdgeMarkup.get(svgEl) !== svg) {
+          svgEl.innerHTML = svg;
+          renderedEdgeMarkup.set(svgEl, svg);
+        }
+      }
+
+      let htmlEl = edgeGroup.querySelector(':scope > .alpine-flow__edge-html-container');
+      if (!html) {
+        htmlEl?.remove();
+        return;
+      }
+      if (!htmlEl) {
+        htmlEl = createSvgElement('foreignObject', {
+          width: '100',
+          height: '24',
+          class: 'alpine-flow__edge-html-container nopan',
+        }, edgeGroup);
+        const contentEl = document.createElement('div');
+        contentEl.className = 'alpine-flow__edge-html';
+        htmlEl.appendChild(contentEl);
+        htmlEl.addEventListener('click', (event) => {
+          event.stopPropagation();
+          this._onEdgeClickHandler(event, edge.id);
+        });
+      }
+      htmlEl.setAttribute('x', String(labelX - 50));
+      htmlEl.setAttribute('y', String(labelY - 12));
+      if (renderedEdgeMarkup.get(htmlEl) !== html) {
+        htmlEl.firstChild.innerHTML = html;
+        renderedEdgeMarkup.set(htmlEl, html);
+      }
+    },
+
+    _getReconnectableEnds(edge) {
+      const flag = edge.reconnectable ?? this.options.edgesReconnectable;
+      if (!flag || !this.options.nodesConnectable) return { source: false, target: false };
+      return {
+        source: flag === true || flag === 'source',
+        target: flag === true || flag === 'target',
+      };
+    },
+
+    // Draggable grips at the edge ends; created, moved or removed to match reconnectability
+    _syncEdgeReconnectGrips(edgeGroup, edge, edgePos) {
+      const ends = this._getReconnectableEnds(edge);
+
+      for (const end of ['source', 'target']) {
+        let grip = edgeGroup.querySelector(`.alpine-flow__edge-reconnect-${end}`);
+        if (!ends[end]) {
+          grip?.remove();
+          continue;
+        }
+
+        if (!grip) {
+          grip = createSvgElement('circle', {
+            class: `alpine-flow__edge-reconnect alpine-flow__edge-reconnect-${end}`,
+            r: '6',
+            style: { pointerEvents: 'all', cursor: 'move' },
+          }, edgeGroup);
+          grip.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0) return;
+            this._startEdgeReconnect(event, edge.id, end);
+          });
+        }
+
+        grip.setAttribute('cx', String(end === 'source' ? edgePos.sourceX : edgePos.targetX));
+        grip.setAttribute('cy', String(end === 'source' ? edgePos.sourceY : edgePos.targetY));
+      }
+    },
+
+    // Floating edges attach to the node borders instead of handles
+    _isFloatingEdge(edge) {
+      return !!edge.floating || (edge.type || this.options.defaultEdgeType) === 'floating';
+    },
+
+    // Where an edge is drawn: its ends, the waypoints it passes through (the
+    // user's, else a bundle's automatic bends) and, for bundled edges, the label
+    // position. Self-loops leave and re-enter their node on the loop side.
+    _getEdgeGeometry(edge, sourceNode = this._nodeLookup.get(edge.source), targetNode = this._nodeLookup.get(edge.target)) {
+      const slot = this._edgeBundles.get(edge.id);
+      const userWaypoints = edge.waypoints?.length ? edge.waypoints : null;
+      const options = { ...BUNDLE_DEFAULTS, ...(this.options.edgeBundles || {}) };
+
+      if (slot?.loopSide) {
+        const { width, height } = getNodeDimensions(sourceNode);
+        const { x, y } = sourceNode.internals.positionAbsolute;
+        const loop = getSelfLoopGeometry({ x, y, width, height }, slot, options);
+        return userWaypoints
+          ? { edgePos: loop.edgePos, waypoints: userWaypoints, label: null }
+          : loop;
+      }
+
+      const edgePos = getEdgePosition(sourceNode, edge.sourceHandle, targetNode, edge.targetHandle, this._isFloatingEdge(edge));
+      if (!slot || userWaypoints) return { edgePos, waypoints: userWaypoints, label: null };
+      const { waypoints, label } = getParallelEdgeGeometry(edgePos, slot, options);
+      return { edgePos, waypoints: waypoints.length ? waypoints : null, label };
+    },
+
+    // ──────────────────────────────────────────
+    // Edge Waypoints
+    // ──────────────────────────────────────────
+    _isWaypointEditable() {
+      return !!this.options.waypointsEditable && this.options.nodesDraggable !== false;
+    },
+
+    // One grip per waypoint; CSS shows them while the edge is selected
+    _syncEdgeWaypointHandles(edgeGroup, edge) {
+      const waypoints = this._isWaypointEditable() ? (edge.waypoints || []) : [];
+      const handles = [...edgeGroup.querySelectorAll('.alpine-flow__edge-waypoint')];
+      for (const handle of handles.slice(waypoints.length)) handle.remove();
+
+      waypoints.forEach((point, index) => {
+        let handle = handles[index];
+        if (!handle) {
+          handle = createSvgElement('circle', {
+            class: 'alpine-flow__edge-waypoint',
+            r: '5',
+            'data-index': String(index),
+            style: { pointerEvents: 'all', cursor: 'move' },
+          }, edgeGroup);
+          handle.addEventListener('pointerdown', (event) => {
+            this._waypointDragHandler.onPointerDown(event, edge.id, index);
+          });
+        }
+        handle.setAttribute('cx', String(point.x));
+        handle.setAttribute('cy', String(point.y));
+      });
+    },
+
+    _initWaypointDragHandler() {
+      this._waypointDragHandler = createWaypointDragHandler(
+        () => this._getState(),
+        {
+          onDragStart: () => {
+            // A whole waypoint drag becomes a single history entry
+            this._gestureHistorySnapshot = this._isHistoryRecording() ? this._captureGraphSnapshot() : null;
+          },
+          onDrag: (event, change) => {
+            // Only the lookup follows the pointer; `this.edges` is written once on drop
+            const edge = this._edgeLookup.get(change.id);
+            const waypoints = [...edge.waypoints];
+            waypoints[change.index] = change.position;
+            const dragged = { ...edge, waypoints };
+            this._edgeLookup.set(change.id, dragged);
+            if (!this._isEdgeHidden(dragged)) {
+              this._renderEdge(dragged);
+              this._flushEdgeRoutes();
+            }
+          },
+          onDragEnd: (event, edgeId, index, change) => {
+            const edge = this._edgeLookup.get(edgeId);
+            if (change && edge) {
+              // Dropped onto a neighbour: the waypoint is no longer needed
+              const merged = isWaypointMerged(this._getEdgeStops(edge), index, WAYPOINT_MERGE_DISTANCE / this.viewport.zoom);
+              this._setEdgeWaypoints(edgeId, merged ? edge.waypoints.filter((_, i) => i !== index) : edge.waypoints);
+              if (this._gestureHistorySnapshot) {
+                this._pushHistorySnapshot('waypoint', this._gestureHistorySnapshot);
+              }
+              this._onEdgesChange?.([{ type: 'waypoints', id: edgeId, waypoints: this.getEdge(edgeId)?.waypoints ?? null }]);
+            }
+            this._gestureHistorySnapshot = null;
+          },
+        }
+      );
+    },
+
+    // [source, ...waypoints, target] in flow coordinates, as drawn
+    _getEdgeStops(edge) {
+      const { edgePos, waypoints } = this._getEdgeGeometry(edge);
+      return [
+        { x: edgePos.sourceX, y: edgePos.sourceY },
+        ...(waypoints || []),
+        { x: edgePos.targetX, y: edgePos.targetY },
+      ];
+    },
+
+    _insertEdgeWaypoint(edgeId, position) {
+      const edge = this._edgeLookup.get(edgeId);
+      if (!edge || !this._nodeLookup.has(edge.source) || !this._nodeLookup.has(edge.target)) return;
+
+      const point = this.options.snapToGrid
+        ? snapPosition(position, this.options.snapGrid)
+        : { x: position.x, y: position.y };
+      // The first user waypoint keeps a bundled edge's automatic bends
+      const waypoints = [...(this._getEdgeGeometry(edge).waypoints || [])];
+      waypoints.splice(getWaypointInsertIndex(this._getEdgeStops(edge), point), 0, point);
+
+      this._recordHistory('waypoint', () => this._setEdgeWaypoints(edgeId, waypoints));
+      // Keep the edge selected so the new grip shows
+      if (!this.getEdge(edgeId)?.selected) {
+        this._patchEdges([{ type: 'select', id: edgeId, selected: true }]);
+        this._updateEdgeSelectionStyles();
+      }
+      this._onEdgesChange?.([{ type: 'waypoints', id: edgeId, waypoints }]);
+    },
 
-        edgeGroup.className.baseVal = `alpine-flow__edge alpine-flow__edge-${edgeType} ${edge.animated ? 'animated' : ''} ${edge.selected ? 'selected' : ''} ${edge.className || ''}`.trim();
+    _setEdgeWaypoints(edgeId, waypoints) {
+      this._patchEdges([{ type: 'waypoints', id: edgeId, waypoints }]);
+      const edge = this._edgeLookup.get(edgeId);
+      if (!edge) return;
+      if (!this._isEdgeHidden(edge)) {
+        this._renderEdge(edge);
+        this._flushEdgeRoutes();
       }
     },
 
+    _startEdgeReconnect(event, edgeId, end) {
+      const edge = this.getEdge(edgeId);
+      if (!edge) return;
+
+      const sourceNode = this._nodeLookup.get(edge.source);
+      const targetNode = this._nodeLookup.get(edge.target);
+      if (!sourceNode || !targetNode) return;
+
+      // The connection starts from the end that stays attached
+      const edgePos = getEdgePosition(sourceNode, edge.sourceHandle, targetNode, edge.targetHandle);
+      const fixedType = end === 'source' ? 'target' : 'source';
+      const fixedNodeId = fixedType === 'source' ? edge.source : edge.target;
+      const fixedHandleId = (fixedType === 'source' ? edge.sourceHandle : edge.targetHandle) ?? null;
+      const fixedPosition = fixedType === 'source' ? edgePos.sourcePosition : edgePos.targetPosition;
+
+      this._connectionHandler.handlePointerDown(event, fixedNodeId, fixedHandleId, fixedType, fixedPosition, {
+        edge,
+        handleType: end,
+      });
+    },
+
     _updateEdgesForNodes(nodeIds) {
-      for (const edge of this.edges) {
-        if (edge.hidden) continue;
-        if (nodeIds.has(edge.source) || nodeIds.has(edge.target)) {
-          this._renderEdge(edge);
+      this._syncRouteObstacles(nodeIds);
+      const edges = [];
+      for (const edgeId of getIndexedEdgeIds(this._nodeEdgeIndex, nodeIds)) {
+        const edge = this._edgeLookup.get(edgeId);
+        if (edge && !this._isEdgeHidden(edge)) edges.push(edge);
+      }
+      for (const edge of this._aggregatedEdges) {
+        if (nodeIds.has(edge.source) || nodeIds.has(edge.target)) edges.push(edge);
+      }
+      this._registerRoutes(edges);
+      for (const edge of edges) this._renderEdge(edge);
+      this._flushEdgeRoutes();
+    },
+
+    // ──────────────────────────────────────────
+    // Edge Routing ('orthogonal-routed' edges)
+    // ──────────────────────────────────────────
+    _isRoutedEdge(edge) {
+      return (edge.type || this.options.defaultEdgeType) === 'orthogonal-routed';
+    },
+
+    // Created with the first routed edge, so other flows pay nothing for routing
+    _getEdgeRouter() {
+      if (!this._edgeRouter) {
+        this._edgeRouter = createEdgeRouter(this.options.edgeRouting || {});
+        this._syncRouteObstacles();
+      }
+      return this._edgeRouter;
+    },
+
+    // Every visible node is an obstacle; the router only reroutes around rects that changed.
+    // With `nodeIds` (the nodes a drag or tick moved) only those are synced.
+    _syncRouteObstacles(nodeIds = null) {
+      if (!this._edgeRouter) return;
+      const toRect = (node) => {
+        const { width, height } = getNodeDimensions(node);
+        const { x, y } = node.internals.positionAbsolute;
+        return { id: node.id, x, y, width, height };
+      };
+
+      if (nodeIds) {
+        for (const id of nodeIds) {
+          const node = this._nodeLookup.get(id);
+          this._edgeRouter.setObstacle(id, node && !this._isNodeHidden(node) ? toRect(node) : null);
         }
+        return;
+      }
+      const rects = [];
+      for (const node of this._nodeLookup.values()) {
+        if (!this._isNodeHidden(node)) rects.push(toRect(node));
+      }
+      this._edgeRouter.setObstacles(rects);
+    },
+
+    // Hand the router the ends of every routed edge about to be drawn, so it
+    // searches them all in one pass instead of once per _routeEdge()
+    _registerRoutes(edges) {
+      for (const edge of edges) {
+        if (this._isEdgeHidden(edge) || !this._isRoutedEdge(edge)) continue;
+        const sourceNode = this._nodeLookup.get(edge.source);
+        const targetNode = this._nodeLookup.get(edge.target);
+        if (!sourceNode || !targetNode) continue;
+        const { edgePos, waypoints } = this._getEdgeGeometry(edge, sourceNode, targetNode);
+        if (!waypoints) this._getEdgeRouter().setRoute(edge.id, edgePos);
+      }
+    },
+
+    _routeEdge(edge, edgePos) {
+      const router = this._getEdgeRouter();
+      router.setRoute(edge.id, edgePos);
+      return router.getPoints(edge.id);
+    },
+
+    // Redraw mounted routed edges whose route changed after they were drawn
+    // (rerouted around a moved node, or shifted to make room in a channel)
+    _flushEdgeRoutes() {
+      if (!this._edgeRouter) return;
+      for (const id of this._edgeRouter.update()) {
+        if (!this._edgeElements.has(id)) continue;
+        const edge = this._edgeLookup.get(id) ?? this._aggregatedEdges.find((e) => e.id === id);
+        if (edge && !this._isEdgeHidden(edge)) this._renderEdge(edge);
       }
     },
 
@@ -1657,9 +3404,9 @@ export default function AlpineFlow(Alpine) {
         edgeChanges.push({ type: 'select', id: edgeId, selected: !edge.selected });
 
         if (nodeChanges.length) this.nodes = applyNodeChanges(nodeChanges, this.nodes);
-        this.edges = applyEdgeChanges(edgeChanges, this.edges);
+        this._patchEdges(edgeChanges);
       } else {
-        this.edges = applyEdgeChanges([{ type: 'select', id: edgeId, selected: !edge.selected }], this.edges);
+        this._patchEdges([{ type: 'select', id: edgeId, selected: !edge.selected }]);
       }
 
       this._initNodeLookup();
@@ -1672,11 +3419,23 @@ export default function AlpineFlow(Alpine) {
     // ──────────────────────────────────────────
     // Public API Methods
     // ──────────────────────────────────────────
+    /**
+     * @param {object} [options] - { padding, minZoom, maxZoom, nodes, duration, easing }
+     *   `nodes` limits the fit to a query string, a query() result, or an array of nodes / ids
+     * @returns {Promise<boolean>} Resolves when the viewport arrives; false if interrupted
+     */
     fitView(options = {}) {
-      if (this.nodes.length === 0) return;
-
-      const visibleNodes = Array.from(this._nodeLookup.values()).filter((node) => !node.hidden);
-      if (visibleNodes.length === 0) return;
+      if (this.nodes.length === 0) return Promise.resolve(true);
+
+      // Nodes mid-transition are framed where they are heading
+      const targets = this._positionAnimation?.targets;
+      const targetIds = options.nodes != null ? this._resolveNodeIds(options.nodes) : null;
+      const visibleNodes = Array.from(this._nodeLookup.values())
+        .filter((node) => !this._isNodeHidden(node) && (!targetIds || targetIds.has(node.id)))
+        .map((node) => (targets?.has(node.id)
+          ? { ...node, internals: { ...node.internals, positionAbsolute: targets.get(node.id) } }
+          : node));
+      if (visibleNodes.length === 0) return Promise.resolve(true);
 
       let bounds = getNodesBounds(visibleNodes);
 
@@ -1703,7 +3462,9 @@ export default function AlpineFlow(Alpine) {
           maxY = Math.max(maxY, pos.y + height);
         }
 
-        if (!Number.isFinite(minX) || !Number.isFinite(minY) || !Number.isFinite(maxX) || !Number.isFinite(maxY)) return;
+        if (!Number.isFinite(minX) || !Number.isFinite(minY) || !Number.isFinite(maxX) || !Number.isFinite(maxY)) {
+          return Promise.resolve(true);
+        }
 
         bounds = {
           x: minX,
@@ -1723,40 +3484,97 @@ export default function AlpineFlow(Alpine) {
         padding,
       );
 
-      this.viewport = vp;
-      this._applyViewportTransform();
-      this._backgroundComponent?.update();
-      this._minimapComponent?.update();
-      this._controlsComponent?.update();
-      this._maybeReheatForce(0.08);
+      return this._transitionViewport(vp, options, (next) => {
+        this.viewport = next;
+        this._applyViewportTransform();
+        this._backgroundComponent?.update();
+        this._minimapComponent?.update();
+        this._controlsComponent?.update();
+        this._maybeReheatForce(0.08);
+      });
+    },
+
+    _resolveNodeIds(target) {
+      if (typeof target === 'string') target = this.query(target);
+      const list = Array.isArray(target) ? target : (target?.nodes ?? []);
+      return new Set(list.map((n) => (typeof n === 'string' ? n : n.id)));
+    },
+
+    /**
+     * Find nodes and edges with a CSS-like selector (see query.js).
+     * @returns {{ nodes: Array, edges: Array }}
+     * @throws {QuerySyntaxError} for an invalid selector
+     */
+    query(selector) {
+      return queryGraph(this.nodes, this.edges, selector);
+    },
+
+    /**
+     * Replace the selection with the query's nodes and edges.
+     * @returns {{ nodes: Array, edges: Array }} What was selected
+     */
+    select(selector) {
+      const result = this.query(selector);
+      const nodeIds = new Set(result.nodes.map((n) => n.id));
+      const edgeIds = new Set(result.edges.map((e) => e.id));
+
+      const nodeChanges = this.nodes
+        .filter((n) => !!n.selected !== (nodeIds.has(n.id) && n.selectable !== false))
+        .map((n) => ({ type: 'select', id: n.id, selected: !n.selected }));
+      const edgeChanges = this.edges
+        .filter((e) => !!e.selected !== (edgeIds.has(e.id) && e.selectable !== false))
+        .map((e) => ({ type: 'select', id: e.id, selected: !e.selected }));
+
+      if (nodeChanges.length) this.nodes = applyNodeChanges(nodeChanges, this.nodes);
+      if (edgeChanges.length) this._patchEdges(edgeChanges);
+      if (nodeChanges.length || edgeChanges.length) {
+        this._initNodeLookup();
+        this._updateNodeSelectionStyles();
+        this._updateEdgeSelectionStyles();
+        this._onSelectionChange?.({
+          nodes: this.nodes.filter((n) => n.selected),
+          edges: this.edges.filter((e) => e.selected),
+        });
+      }
+      return {
+        nodes: this.nodes.filter((n) => nodeIds.has(n.id) && n.selected),
+        edges: this.edges.filter((e) => edgeIds.has(e.id) && e.selected),
+      };
     },
 
     zoomIn(options = {}) {
       const step = options.step ?? 0.5;
-      this.zoomTo(this.viewport.zoom + step, options);
+      return this.zoomTo(this.viewport.zoom + step, options);
     },
 
     zoomOut(options = {}) {
       const step = options.step ?? 0.5;
-      this.zoomTo(this.viewport.zoom - step, options);
+      return this.zoomTo(this.viewport.zoom - step, options);
     },
 
+    /**
+     * @param {object} [options] - { duration, easing }
+     * @returns {Promise<boolean>} Resolves when the viewport arrives; false if interrupted
+     */
     zoomTo(level, options = {}) {
       const minZoom = this.options.minZoom ?? DEFAULTS.minZoom;
       const maxZoom = this.options.maxZoom ?? DEFAULTS.maxZoom;
       const nextZoom = clamp(level, minZoom, maxZoom);
       const center = { x: this._containerWidth / 2, y: this._containerHeight / 2 };
 
-      this.viewport = zoomAtPoint(this.viewport, center, nextZoom);
-      this._applyViewportTransform();
-      this._backgroundComponent?.update();
-      this._minimapComponent?.update();
-      this._controlsComponent?.update();
-      this._onViewportChange?.(this.viewport);
-      this._maybeReheatForce(0.1);
+      return this._transitionViewport(zoomAtPoint(this.viewport, center, nextZoom), options, (next) => {
+        this.viewport = next;
+        this._applyViewportTransform();
+        this._backgroundComponent?.update();
+        this._minimapComponent?.update();
+        this._controlsComponent?.update();
+        this._onViewportChange?.(this.viewport);
+        this._maybeReheatForce(0.1);
+      });
     },
 
     panBy(delta) {
+      this._viewportAnimation?.cancel();
       this.viewport = {
         ...this.viewport,
         x: this.viewport.x + delta.x,
@@ -1792,11 +3610,23 @@ export default function AlpineFlow(Alpine) {
       return this.edges.find((e) => e.id === id) ?? null;
     },
 
+    collapseNode(id) {
+      return this._setNodeCollapsed(id, true);
+    },
+
+    expandNode(id) {
+      return this._setNodeCollapsed(id, false);
+    },
+
     addNodes(newNodes) {
       const normalized = (Array.isArray(newNodes) ? newNodes : [newNodes]).map(normalizeNode);
-      this.nodes = [...this.nodes, ...normalized];
+      this._recordHistory('addNodes', () => {
+        this.nodes = [...this.nodes, ...normalized];
+        this._refreshPrecedence();
+      });
       this._initNodeLookup();
       this._renderAllNodes();
+      this._renderAllEdges();
       this._minimapComponent?.update();
       this._refreshForceGraphData({ restart: true, reheat: true });
     },
@@ -1805,10 +3635,18 @@ export default function AlpineFlow(Alpine) {
       let edges = this.edges;
       const edgeArray = Array.isArray(newEdges) ? newEdges : [newEdges];
       for (const e of edgeArray) {
-        edges = addEdge(normalizeEdge(e), edges);
+        const edge = normalizeEdge(e);
+        // Without an id of its own, an edge that repeats a connection is skipped
+        edges = addEdge(e.id ? edge : { ...edge, id: null }, edges);
       }
-      this.edges = edges;
+      this._recordHistory('addEdges', () => {
+        const added = edges.slice(this.edges.length);
+        this.edges = edges;
+        this._indexEdges(added);
+        this._refreshPrecedence();
+      });
       this._initNodeLookup();
+      this._renderAllNodes();
       this._renderAllEdges();
       this._refreshForceGraphData({ restart: true, reheat: true });
     },
@@ -1818,87 +3656,184 @@ export default function AlpineFlow(Alpine) {
     },
 
     getIncomers(nodeOrId) {
-      return getIncomers(nodeOrId, this.nodes, this.edges);
+      return this._getNeighborNodes(nodeOrId, 'target', 'source');
     },
 
     getOutgoers(nodeOrId) {
-      return getOutgoers(nodeOrId, this.nodes, this.edges);
+      return this._getNeighborNodes(nodeOrId, 'source', 'target');
     },
 
     getConnectedEdges(nodeOrNodes) {
-      return getConnectedEdges(nodeOrNodes, this.edges);
+      const list = Array.isArray(nodeOrNodes) ? nodeOrNodes : [nodeOrNodes];
+      const nodeIds = list.map((n) => (typeof n === 'string' ? n : n.id));
+      const edges = [];
+      for (const edgeId of getIndexedEdgeIds(this._nodeEdgeIndex, nodeIds)) {
+        const edge = this._edgeLookup.get(edgeId);
+        if (edge) edges.push(edge);
+      }
+      return edges;
+    },
+
+    // Nodes on the `otherEnd` of edges whose `ownEnd` is the given node, via the edge index
+    _getNeighborNodes(nodeOrId, ownEnd, otherEnd) {
+      const nodeId = typeof nodeOrId === 'string' ? nodeOrId : nodeOrId.id;
+      const neighbors = new Map();
+      for (const edgeId of this._nodeEdgeIndex.get(nodeId) ?? []) {
+        const edge = this._edgeLookup.get(edgeId);
+        if (edge?.[ownEnd] !== nodeId || neighbors.has(edge[otherEnd])) continue;
+        const node = this._nodeLookup.get(edge[otherEnd])?.internals.userNode;
+        if (node) neighbors.set(node.id, node);
+      }
+      return [...neighbors.values()];
     },
 
     toJSON() {
       return {
-        nodes: this.nodes.map((n) => ({
-          id: n.id,
-          type: n.type,
-          position: { ...n.position },
-          data: n.data ? { ...n.data } : {},
-          ...(n.sourcePosition && { sourcePosition: n.sourcePosition }),
-          ...(n.targetPosition && { targetPosition: n.targetPosition }),
-          ...(n.className && { className: n.className }),
-          ...(n.style && { style: { ...n.style } }),
-          ...(n.parentId && { parentId: n.parentId }),
-          ...(n.handles && { handles: n.handles }),
-          ...(n.width && { width: n.width }),
-          ...(n.height && { height: n.height }),
-          ...(n.hidden && { hidden: n.hidden }),
-          ...(n.draggable === false && { draggable: false }),
-          ...(n.selectable === false && { selectable: false }),
-          ...(n.connectable === false && { connectable: false }),
-          ...(n.deletable === false && { deletable: false }),
-        })),
-        edges: this.edges.map((e) => ({
-          id: e.id,
-          source: e.source,
-          target: e.target,
-          ...(e.sourceHandle && { sourceHandle: e.sourceHandle }),
-          ...(e.targetHandle && { targetHandle: e.targetHandle }),
-          ...(e.type && { type: e.type }),
-          ...(e.label && { label: e.label }),
-          ...(e.animated && { animated: e.animated }),
-          ...(e.data && { data: { ...e.data } }),
-          ...(e.style && { style: { ...e.style } }),
-          ...(e.className && { className: e.className }),
-          ...(e.markerStart && { markerStart: e.markerStart }),
-          ...(e.markerEnd && { markerEnd: e.markerEnd }),
-        })),
+        nodes: this.nodes.map(serializeNode),
+        edges: this.edges.map(serializeEdge),
         viewport: { ...this.viewport },
       };
     },
 
-    fromJSON(json) {
-      if (json.viewport) this.viewport = { ...json.viewport };
-      if (json.nodes) this.nodes = json.nodes.map(normalizeNode);
-      if (json.edges) this.edges = json.edges.map(normalizeEdge);
+    // ──────────────────────────────────────────
+    // Clipboard
+    // ──────────────────────────────────────────
+    copySelection() {
+      const payload = serializeSelection(this.nodes, this.edges, this._nodeLookup);
+      if (!payload) return null;
+
+      this._clipboard = payload;
+      this._pasteCount = 0;
+      // System clipboard makes the data available to other flows and tabs
+      navigator.clipboard?.writeText(JSON.stringify(payload)).catch(() => {});
+      return payload;
+    },
+
+    cutSelection() {
+      const payload = this.copySelection();
+      if (payload) this._deleteSelected();
+      return payload;
+    },
+
+    async paste(options = {}) {
+      let data = null;
+      try {
+        data = parseClipboardData(await navigator.clipboard?.readText());
+      } catch (error) {
+        // Clipboard read denied or unavailable; fall back to the in-memory copy
+      }
+      data = data ?? this._clipboard;
+      if (!data) return null;
+
+      // Repeated pastes cascade by pasteOffset: away from the copied elements, or
+      // from the pointer (moving it starts over) where the first one lands exactly
+      let position = options.position ?? null;
+      let repeats = position ? 0 : this._pasteCount + 1;
+      if (!position && options.atPointer !== false && this._pointerClientPos) {
+        position = this.screenToFlowPosition(this._pointerClientPos);
+        repeats = this._pasteCount;
+      }
+
+      this._pasteCount += 1;
+      const step = (this.options.pasteOffset ?? DEFAULTS.pasteOffset) * repeats;
+      return this._insertClipboardData(data, { position, offset: { x: step, y: step } });
+    },
+
+    duplicateSelection() {
+      const payload = serializeSelection(this.nodes, this.edges, this._nodeLookup);
+      if (!payload) return null;
+      const step = this.options.pasteOffset ?? DEFAULTS.pasteOffset;
+      return this._insertClipboardData(payload, { offset: { x: step, y: step } });
+    },
+
+    _insertClipboardData(data, { position = null, offset }) {
+      const created = materializeClipboardData(data, { position, offset });
+      if (created.nodes.length === 0) return null;
+
+      const newNodes = created.nodes.map(normalizeNode);
+      const newEdges = created.edges.map(normalizeEdge);
+
+      // Pasted elements replace the current selection
+      this._recordHistory('paste', () => {
+        this.nodes = [...this.nodes.map((n) => (n.selected ? { ...n, selected: false } : n)), ...newNodes];
+        this._patchEdges(this.edges.filter((e) => e.selected).map((e) => ({ type: 'select', id: e.id, selected: false })));
+        this.edges = [...this.edges, ...newEdges];
+        this._indexEdges(newEdges);
+        this._applyPrecedence();
+      });
+
+      this._initNodeLookup();
+      this._renderAllNodes();
+      this._renderAllEdges();
+      this._minimapComponent?.update();
+      this._refreshForceGraphData({ restart: true, reheat: true });
+      this._onSelectionChange?.({
+        nodes: this.nodes.filter((n) => n.selected),
+        edges: this.edges.filter((e) => e.selected),
+      });
+
+      return { nodes: newNodes, edges: newEdges };
+    },
+
+    /**
+     * @param {object} [options] - { duration, easing } to animate nodes that
+     *   keep their id and the viewport to their new places
+     * @returns {Promise<boolean>} Resolves when the transition ends; false if interrupted
+     */
+    fromJSON(json, options = {}) {
+      const animated = options.duration > 0;
+      const from = animated ? this._captureNodePositions() : null;
+      const viewport = json.viewport ? { ...json.viewport } : { ...this.viewport };
+      // Without a transition, render (and cull) against the new viewport straight away
+      if (!animated) this.viewport = viewport;
+      this._recordHistory('fromJSON', () => {
+        if (json.nodes) this.nodes = json.nodes.map(normalizeNode);
+        if (json.edges) {
+          this.edges = json.edges.map(normalizeEdge);
+          this._rebuildEdgeLookup();
+        }
+        this._refreshPrecedence();
+      });
 
       this._initNodeLookup();
-      this._applyViewportTransform();
       this._renderAllNodes();
       this._renderAllEdges();
-      this._backgroundComponent?.update();
       this._minimapComponent?.update();
-      this._controlsComponent?.update();
       this._refreshForceGraphData({ restart: true, reheat: true });
+
+      const moved = this._transitionNodePositions(from, options);
+      const panned = this._transitionViewport(viewport, json.viewport ? options : {}, (next) => {
+        this.viewport = next;
+        this._applyViewportTransform();
+        this._backgroundComponent?.update();
+        this._minimapComponent?.update();
+        this._controlsComponent?.update();
+      });
+      return Promise.all([moved, panned]).then((results) => results.every(Boolean));
     },
 
+    /**
+     * @param {object} [opts] - layout options plus `force` (re-layout every node)
+     *   and `duration` / `easing` to animate nodes and the follow-up fitView.
+     *   `incremental` places only nodes that never had a position, nudging the
+     *   rest as little as possible (it overrides `force`)
+     * @returns {Promise<boolean>} Resolves when the transition ends; false if interrupted
+     */
     layoutNodesAndRender(opts = {}) {
-      // Force all nodes through layout (ignore existing positions)
-      const forceAll = opts.force === true;
-      const layoutOpts = { ...opts };
-      delete layoutOpts.force;
+      const { force, duration, easing, ...layoutOpts } = opts;
+      const from = duration > 0 ? this._captureNodePositions() : null;
 
-      if (forceAll) {
-        // Temporarily mark all nodes as needing layout
+      if (layoutOpts.incremental) {
+        this.nodes = this.nodes.map((n) => this._markNewForLayout(n));
+      } else if (force === true) {
+        // Force all nodes through layout (ignore existing positions)
         this.nodes = this.nodes.map((n) => ({ ...n, _needsLayout: true }));
       }
 
       // Only layout visible nodes/edges (precedence may have hidden some)
-      const visibleNodes = this.nodes.filter((n) => !n.hidden);
-      const visibleEdges = this.edges.filter((e) => !e.hidden);
-      const laid = layoutNodes(visibleNodes, visibleEdges, layoutOpts);
+      const visibleNodes = this.nodes.filter((n) => !this._isNodeHidden(n));
+      const visibleEdges = this.edges.filter((e) => !this._isEdgeHidden(e));
+      const laid = layoutNodes(visibleNodes, visibleEdges, this._withPrecedenceRanks(layoutOpts, visibleEdges));
       const posMap = new Map(laid.map((n) => [n.id, n.position]));
       this.nodes = this.nodes.map((n) => {
         const pos = posMap.get(n.id);
@@ -1907,7 +3842,7 @@ export default function AlpineFlow(Alpine) {
 
       // Clean up flags
       this.nodes = this.nodes.map((n) => {
-        const { _needsLayout, ...rest } = n;
+        const { _needsLayout, _laidOut, ...rest } = n;
         return rest;
       });
 
@@ -1915,8 +3850,34 @@ export default function AlpineFlow(Alpine) {
       this._renderAllNodes();
       this._renderAllEdges();
       this._minimapComponent?.update();
-      requestAnimationFrame(() => this.fitView());
+      const moved = this._transitionNodePositions(from, { duration, easing });
+      const fitted = new Promise((resolve) => {
+        requestAnimationFrame(() => resolve(this.fitView({ duration, easing })));
+      });
       this._refreshForceGraphData({ restart: true, reheat: true });
+      return Promise.all([moved, fitted]).then((results) => results.every(Boolean));
+    },
+
+    undo() {
+      if (!this._history) return false;
+      return this._history.undo();
+    },
+
+    redo() {
+      if (!this._history) return false;
+      return this._history.redo();
+    },
+
+    canUndo() {
+      return !!this._history?.canUndo();
+    },
+
+    canRedo() {
+      return !!this._history?.canRedo();
+    },
+
+    clearHistory() {
+      this._history?.clear();
     },
 
     startForce() {
@@ -1936,6 +3897,7 @@ export default function AlpineFlow(Alpine) {
     },
 
     setForceOptions(opts = {}) {
+      const previous = this._getForceLayoutOptions();
       const current = this.options.forceLayout;
       this.options.forceLayout = {
         ...(current && current !== true ? current : {}),
@@ -1947,6 +3909,12 @@ export default function AlpineFlow(Alpine) {
         return;
       }
 
+      // Switching engines: carry on from the current positions in the new one
+      const next = this._getForceLayoutOptions();
+      if (this._forceSimulation && (!!previous.worker !== !!next.worker || previous.workerUrl !== next.workerUrl)) {
+        this._destroyForceSimulation();
+      }
+
       if (!this._forceSimulation) {
         this._initForceSimulation();
         return;
@@ -1998,6 +3966,13 @@ function normalizeNode(node) {
     dragHandle: node.dragHandle || null,
     width: node.width || null,
     height: node.height || null,
+    resizable: node.resizable ?? null,
+    minWidth: node.minWidth ?? null,
+    minHeight: node.minHeight ?? null,
+    maxWidth: node.maxWidth ?? null,
+    maxHeight: node.maxHeight ?? null,
+    keepAspectRatio: node.keepAspectRatio || false,
+    collapsed: node.collapsed || false,
     initialWidth: node.initialWidth || null,
     initialHeight: node.initialHeight || null,
     parentId: node.parentId || null,
@@ -2005,9 +3980,11 @@ function normalizeNode(node) {
     expandParent: node.expandParent || false,
     origin: node.origin || null,
     handles: node.handles || null,
+    shape: node.shape || null,
     measured: node.measured || { width: null, height: null },
     zIndex: node.zIndex || 0,
     dragging: false,
+    resizing: false,
   };
 }
 
@@ -2033,6 +4010,10 @@ function normalizeEdge(edge) {
     markerEnd: edge.markerEnd || null,
     zIndex: edge.zIndex || 0,
     interactionWidth: edge.interactionWidth || 20,
+    reconnectable: edge.reconnectable ?? null,
+    waypoints: edge.waypoints?.length ? edge.waypoints.map((p) => ({ x: p.x, y: p.y })) : null,
+    loopSide: edge.loopSide || null,
+    floating: edge.floating || false,
   };
 }
 
@@ -2040,7 +4021,29 @@ function normalizeEdge(edge) {
 AlpineFlow.layoutNodes = layoutNodes;
 AlpineFlow.LAYOUT_DEFAULTS = LAYOUT_DEFAULTS;
 AlpineFlow.createForceSimulation = createForceSimulation;
+AlpineFlow.createWorkerForceSimulation = createWorkerForceSimulation;
 AlpineFlow.FORCE_DEFAULTS = FORCE_DEFAULTS;
+AlpineFlow.parsePrecedence = parsePrecedence;
+AlpineFlow.evaluatePrecedence = evaluatePrecedence;
+AlpineFlow.precedenceRankBounds = precedenceRankBounds;
+AlpineFlow.applyPrecedence = applyPrecedence;
+AlpineFlow.clearPrecedence = clearPrecedence;
+AlpineFlow.PrecedenceSyntaxError = PrecedenceSyntaxError;
+AlpineFlow.parseQuery = parseQuery;
+AlpineFlow.queryGraph = queryGraph;
+AlpineFlow.QuerySyntaxError = QuerySyntaxError;
+AlpineFlow.shortestPath = shortestPath;
+AlpineFlow.findCycle = findCycle;
+AlpineFlow.topologicalSort = topologicalSort;
+AlpineFlow.getStronglyConnectedComponents = getStronglyConnectedComponents;
+AlpineFlow.getWeaklyConnectedComponents = getWeaklyConnectedComponents;
+AlpineFlow.getAncestors = getAncestors;
+AlpineFlow.getDescendants = getDescendants;
+AlpineFlow.GraphCycleError = GraphCycleError;
+AlpineFlow.animate = animate;
+AlpineFlow.EASINGS = EASINGS;
+AlpineFlow.routeOrthogonal = routeOrthogonal;
+AlpineFlow.createEdgeRouter = createEdgeRouter;
 
 // ─── Named Exports (for advanced usage) ─────────────────────
 
@@ -2052,17 +4055,42 @@ export {
   clamp, getNodesBounds, getNodeDimensions, getViewportRect, snapPosition,
   // Viewport
   screenToFlowPosition, flowToScreenPosition, getTransformForBounds, zoomAtPoint,
+  // Animation
+  animate, interpolate, interpolateViewport, resolveEasing, EASINGS,
   // Edge Paths
-  getBezierPath, getSmoothStepPath, getStraightPath, getStepPath, getPathForEdgeType,
+  getBezierPath, getSmoothStepPath, getStraightPath, getStepPath, getRoutedPath, getPathForEdgeType,
+  defaultEdgeTypes, resolveEdgeTypeResult,
+  // Edge Routing
+  routeOrthogonal, separateChannels, createEdgeRouter, ROUTING_DEFAULTS,
+  // Edge Waypoints
+  getWaypointInsertIndex, isWaypointMerged, createWaypointDragHandler,
+  // Parallel Edges & Self-loops
+  getEdgeBundles, getParallelEdgeGeometry, getSelfLoopGeometry, BUNDLE_DEFAULTS,
   // Graph Utilities
   getIncomers, getOutgoers, getConnectedEdges,
   addEdge, reconnectEdge,
   applyNodeChanges, applyEdgeChanges,
   deleteElements, isNode, isEdge,
+  serializeNode, serializeEdge,
+  buildEdgeIndex, indexEdge, unindexEdge, getIndexedEdgeIds,
+  // Graph Algorithms
+  shortestPath, findCycle, topologicalSort,
+  getStronglyConnectedComponents, getWeaklyConnectedComponents,
+  getAncestors, getDescendants, GraphCycleError,
+  // Clipboard
+  serializeSelection, parseClipboardData, materializeClipboardData,
   // Handle Utilities
-  getHandlePosition, getEdgePosition,
+  getHandlePosition, getEdgePosition, getNodeBoundaryPoint,
   // Layout
   layoutNodes, LAYOUT_DEFAULTS,
   // Force
-  createForceSimulation, FORCE_DEFAULTS,
+  createForceSimulation, createWorkerForceSimulation, FORCE_DEFAULTS,
+  // Precedence
+  parsePrecedence, evaluatePrecedence, applyPrecedence, clearPrecedence, PrecedenceSyntaxError,
+  // Query
+  parseQuery, queryGraph, QuerySyntaxError, PSEUDO_CLASSES,
+  // History
+  createHistory, HISTORY_DEFAULTS,
+  // Resizer
+  getResizedRect, RESIZE_CONTROLS, RESIZER_DEFAULTS,
 };
@@ -2,15 +2,20 @@
  * Alpine Flow - Auto Layout
  *
  * A built-in hierarchical/layered layout algorithm (Sugiyama-style) that
- * computes x,y positions for nodes based on the graph topology.
+ * computes x,y positions for nodes based on the graph topology, plus tree
+ * (Reingold–Tilford), radial, grid and circular layouts via `algorithm`.
  *
  * Supports:
+ *  - Five algorithms: layered (default), tree, radial, grid, circular
  *  - Four directions: TB (top→bottom), LR (left→right), BT, RL
  *  - Configurable node and rank spacing
  *  - Handles disconnected subgraphs
  *  - Handles cycles (breaks back-edges)
  *  - Barycenter ordering within ranks (reduces edge crossings)
+ *  - Rank constraints: same-rank groups, minimum and maximum ranks
  *  - Only assigns positions to nodes that don't already have one
+ *  - Incremental mode: new nodes join an existing layered layout, which
+ *    shifts only as much as needed to make room
  *
  * Usage:
  *   import { layoutNodes } from './layout.js';
@@ -20,14 +25,21 @@
 // ─── Default layout options ─────────────────────────────────
 
 const LAYOUT_DEFAULTS = {
-  direction: 'TB',      // 'TB' | 'LR' | 'BT' | 'RL'
+  algorithm: 'layered', // 'layered' | 'tree' | 'radial' | 'grid' | 'circular'
+  direction: 'TB',      // 'TB' | 'LR' | 'BT' | 'RL'  (layered, tree)
   nodeSpacing: 50,      // horizontal gap between nodes in the same rank
   rankSpacing: 100,     // vertical gap between ranks
   nodeWidth: 172,       // fallback node width (used if not measured)
   nodeHeight: 36,       // fallback node height (used if not measured)
   alignment: 'center',  // 'start' | 'center' | 'end'  (within-rank alignment)
+  rankConstraints: null, // { sameRank: [[id, …]], minRank: { id: n }, maxRank: { id: n } }  (layered)
+  root: null,           // id or ids the tree / radial layouts start from (default: nodes without incoming edges)
+  columns: null,        // grid column count (default: ≈√n)
+  incremental: false,   // keep positioned nodes roughly in place and fit new ones in  (layered)
 };
 
+const LAYOUT_ALGORITHMS = ['layered', 'tree', 'radial', 'grid', 'circular'];
+
 // ─── Main entry point ───────────────────────────────────────
 
 /**
@@ -42,8 +54,10 @@ export function layoutNodes(nodes, edges, opts = {}) {
   if (!nodes || nodes.length === 0) return nodes;
 
   const options = { ...LAYOUT_DEFAULTS, ...opts };
-  const isHorizontal = options.direction === 'LR' || options.direction === 'RL';
-  const isReversed = options.direction === 'BT' || options.direction === 'RL';
+  if (!LAYOUT_ALGORITHMS.includes(options.algorithm)) {
+    console.warn(`[Alpine Flow] layoutNodes: unknown algorithm "${options.algorithm}", using "layered"`);
+    options.algorithm = 'layered';
+  }
 
   // ── 1. Identify which nodes need layout ──────────────────
   const needsLayout = new Set();
@@ -58,6 +72,7 @@ export function layoutNodes(nodes, edges, opts = {}) {
 
   // If every node already has a position, nothing to do
   if (needsLayout.size === 0) return nodes;
+  const incremental = options.incremental && options.algorithm === 'layered' && needsLayout.size < nodes.length;
 
   // ── 2. Build adjacency from ALL nodes/edges (so rank
   //       structure respects the full graph, even pinned nodes) ──
@@ -75,31 +90,24 @@ export function layoutNodes(nodes, edges, opts = {}) {
     inAdj.get(edge.target).add(edge.source);
   }
 
-  // ── 3. Topological sort with cycle breaking ──────────────
-  const ranks = _assignRanks(nodes, adj, inAdj);
-
-  // ── 4. Group nodes into layers by rank ───────────────────
-  const maxRank = Math.max(...Array.from(ranks.values()), 0);
-  const layers = [];
-  for (let r = 0; r <= maxRank; r++) {
-    layers.push([]);
-  }
-  for (const node of nodes) {
-    const r = ranks.get(node.id) ?? 0;
-    layers[r].push(node.id);
+  // ── 3. Positions for every node (fixed ones too, so the
+  //       layout is the same whichever nodes end up moving) ──
+  let positions;
+  switch (incremental ? 'incremental' : options.algorithm) {
+    case 'incremental': positions = _incrementalLayout(nodes, nodeMap, adj, inAdj, needsLayout, options); break;
+    case 'tree':     positions = _treeLayout(nodes, nodeMap, adj, inAdj, options); break;
+    case 'radial':   positions = _radialLayout(nodes, nodeMap, adj, inAdj, options); break;
+    case 'grid':     positions = _gridLayout(nodes, options); break;
+    case 'circular': positions = _circularLayout(nodes, nodeMap, adj, inAdj, options); break;
+    default:         positions = _layeredLayout(nodes, nodeMap, adj, inAdj, options);
   }
 
-  // ── 5. Barycenter ordering to reduce edge crossings ──────
-  _barycenterOrdering(layers, adj, inAdj);
-
-  // ── 6. Assign coordinates ────────────────────────────────
-  const positions = _assignCoordinates(layers, nodeMap, options, isHorizontal, isReversed);
-
-  // ── 7. Apply: only overwrite nodes that need layout ──────
+  // ── 4. Apply: only overwrite nodes that need layout
+  //       (incremental mode may also nudge positioned ones) ──
   return nodes.map((node) => {
-    if (!needsLayout.has(node.id)) return node;
+    if (!needsLayout.has(node.id) && !incremental) return node;
     const pos = positions.get(node.id);
-    if (!pos) return node;
+    if (!pos || (incremental && pos.x === node.position?.x && pos.y === node.position?.y)) return node;
     return { ...node, position: { x: pos.x, y: pos.y } };
   });
 }
@@ -130,9 +138,264 @@ function _hasExplicitPosition(node) {
   return true;
 }
 
+// ─── Layered (Sugiyama) ─────────────────────────────────────
+
+function _layeredLayout(nodes, nodeMap, adj, inAdj, options) {
+  const isHorizontal = options.direction === 'LR' || options.direction === 'RL';
+  const isReversed = options.direction === 'BT' || options.direction === 'RL';
+
+  const layers = _buildLayers(nodes, adj, inAdj, options);
+
+  // Barycenter ordering to reduce edge crossings
+  _barycenterOrdering(layers, adj, inAdj);
+
+  return _assignCoordinates(layers, nodeMap, options, isHorizontal, isReversed);
+}
+
+/**
+ * Rank every node and group the ids into layers, in input order.
+ */
+function _buildLayers(nodes, adj, inAdj, options) {
+  // Topological sort with cycle breaking
+  const backEdges = new Set();
+  const ranks = _assignRanks(nodes, adj, inAdj, backEdges);
+
+  if (options.rankConstraints) {
+    _applyRankConstraints(ranks, adj, backEdges, options.rankConstraints);
+  }
+
+  // Group nodes into layers by rank
+  const maxRank = Math.max(...Array.from(ranks.values()), 0);
+  const layers = [];
+  for (let r = 0; r <= maxRank; r++) {
+    layers.push([]);
+  }
+  for (const node of nodes) {
+    const r = ranks.get(node.id) ?? 0;
+    layers[r].push(node.id);
+  }
+  return layers;
+}
+
+// ─── Incremental Layered ────────────────────────────────────
+
+// How strongly a positioned node resists moving, relative to a new one
+const NEW_NODE_WEIGHT = 0.001;
+
+/**
+ * Fit new nodes into a layered layout that is already on screen. Positioned
+ * nodes are soft constraints: they keep their rank-axis coordinate and their
+ * cross-axis order, and move only when a new node needs the room.
+ *
+ *  1. Ranks come from the topology as usual. Each rank sits where its
+ *     positioned nodes are (median); ranks without any follow on from their
+ *     neighbors, `rankSpacing` apart.
+ *  2. New nodes want the barycenter of their placed neighbors, seeded from the
+ *     current cross-axis positions and swept down then up the ranks, so chains
+ *     of new nodes follow their anchors. Barycenter ordering, seeded with the
+ *     current cross-axis order, then breaks ties between new nodes and orders
+ *     those with no placed neighbor, which keeps their edges from crossing.
+ *  3. Nodes whose rank-axis extents overlap form a row. A new node takes the
+ *     nearest free slot in its row when that is within its own size plus
+ *     `nodeSpacing` of where it wants to be; otherwise it goes where it wants
+ *     and the row is spread with the least movement that leaves `nodeSpacing`
+ *     between neighbors. Rows without new nodes are left alone.
+ */
+function _incrementalLayout(nodes, nodeMap, adj, inAdj, isNew, options) {
+  const { nodeSpacing, rankSpacing, nodeWidth, nodeHeight } = options;
+  const isHorizontal = options.direction === 'LR' || options.direction === 'RL';
+  const isReversed = options.direction === 'BT' || options.direction === 'RL';
+
+  const layers = _buildLayers(nodes, adj, inAdj, options);
+  const crossSize = (id) => _getNodeSize(nodeMap.get(id), isHorizontal ? nodeHeight : nodeWidth, isHorizontal);
+  const rankSize = (id) => _getNodeDim(nodeMap.get(id), isHorizontal ? nodeWidth : nodeHeight, isHorizontal ? 'width' : 'height');
+  const rankOf = (id) => (isHorizontal ? nodeMap.get(id).position.x : nodeMap.get(id).position.y);
+  const crossCenterOf = (id) => (isHorizontal ? nodeMap.get(id).position.y : nodeMap.get(id).position.x) + crossSize(id) / 2;
+
+  // ── 1. Rank-axis coordinate (top-left) of every layer ──
+  const layerStart = layers.map((layer) => {
+    const placed = layer.filter((id) => !isNew.has(id)).map(rankOf).sort((a, b) => a - b);
+    return placed.length > 0 ? placed[Math.floor(placed.length / 2)] : null;
+  });
+  const layerSize = layers.map((layer) =>
+    _getMaxRankSize(layer, nodeMap, isHorizontal ? nodeWidth : nodeHeight, isHorizontal));
+  for (let r = 1; r < layers.length; r++) {
+    if (layerStart[r] !== null || layerStart[r - 1] === null) continue;
+    layerStart[r] = isReversed
+      ? layerStart[r - 1] - layerSize[r] - rankSpacing
+      : layerStart[r - 1] + layerSize[r - 1] + rankSpacing;
+  }
+  for (let r = layers.length - 2; r >= 0; r--) {
+    if (layerStart[r] !== null) continue;
+    layerStart[r] = isReversed
+      ? layerStart[r + 1] + layerSize[r + 1] + rankSpacing
+      : layerStart[r + 1] - layerSize[r] - rankSpacing;
+  }
+
+  // ── 2. Desired cross-axis centers ──
+  const desired = new Map();
+  for (const node of nodes) {
+    if (!isNew.has(node.id)) desired.set(node.id, crossCenterOf(node.id));
+  }
+  const pull = (id) => {
+    let sum = 0;
+    let count = 0;
+    for (const neighbor of [...inAdj.get(id), ...adj.get(id)]) {
+      if (!desired.has(neighbor)) continue;
+      sum += desired.get(neighbor);
+      count++;
+    }
+    if (count > 0) desired.set(id, sum / count);
+  };
+  for (const layer of layers) for (const id of layer) if (isNew.has(id)) pull(id);
+  for (let r = layers.length - 1; r >= 0; r--) {
+    for (const id of layers[r]) if (isNew.has(id) && !desired.has(id)) pull(id);
+  }
+
+  // Barycenter ordering seeded from the current cross-axis order: breaks ties
+  // between new nodes that want the same spot
+  const ordered = layers.map((layer) =>
+    layer.slice().sort((a, b) => (desired.get(a) ?? Infinity) - (desired.get(b) ?? Infinity)));
+  _barycenterOrdering(ordered, adj, inAdj);
+  const sequence = new Map();
+  for (const layer of ordered) layer.forEach((id, i) => sequence.set(id, i));
+
+  const rankStart = new Map();
+  layers.forEach((layer, r) => {
+    for (const id of layer) rankStart.set(id, isNew.has(id) ? layerStart[r] : rankOf(id));
+  });
+
+  // ── 3. Rows of nodes that share rank-axis space, first rank first ──
+  const byRank = nodes.map((n) => n.id).sort((a, b) => rankStart.get(a) - rankStart.get(b));
+  if (isReversed) byRank.reverse();
+  const rows = [];
+  let rowEnd = -Infinity;
+  for (const id of byRank) {
+    const [start, end] = isReversed
+      ? [-(rankStart.get(id) + rankSize(id)), -rankStart.get(id)]
+      : [rankStart.get(id), rankStart.get(id) + rankSize(id)];
+    if (rows.length === 0 || start >= rowEnd) {
+      rows.push([]);
+      rowEnd = -Infinity;
+    }
+    rows[rows.length - 1].push(id);
+    rowEnd = Math.max(rowEnd, end);
+  }
+
+  const center = new Map();
+  for (const row of rows) {
+    if (row.every((id) => !isNew.has(id))) {
+      for (const id of row) center.set(id, desired.get(id));
+      continue;
+    }
+    const placed = row.filter((id) => !isNew.has(id));
+    const occupied = placed.map((id) => [desired.get(id) - crossSize(id) / 2, desired.get(id) + crossSize(id) / 2]);
+    const fallback = placed.length > 0
+      ? placed.reduce((sum, id) => sum + desired.get(id), 0) / placed.length
+      : 0;
+
+    // Neighbors in earlier rows may have moved: pull toward where they ended up
+    for (const id of row) {
+      if (!isNew.has(id)) continue;
+      const settled = [...inAdj.get(id), ...adj.get(id)].filter((n) => center.has(n));
+      if (settled.length > 0) desired.set(id, settled.reduce((sum, n) => sum + center.get(n), 0) / settled.length);
+    }
+
+    const fresh = row.filter((id) => isNew.has(id))
+      .sort((a, b) => (desired.get(a) ?? fallback) - (desired.get(b) ?? fallback) || sequence.get(a) - sequence.get(b));
+    for (let i = 0; i < fresh.length;) {
+      // New nodes that want the same spot take slots around it one by one;
+      // the slots then go to them in barycenter order
+      const spot = desired.get(fresh[i]) ?? fallback;
+      let j = i;
+      while (j < fresh.length && (desired.get(fresh[j]) ?? fallback) === spot) j++;
+      const group = fresh.slice(i, j);
+      const slots = group.map((id) => {
+        const half = crossSize(id) / 2;
+        const slot = _nearestFreeSlot(occupied, spot, half, nodeSpacing);
+        const chosen = !desired.has(id) || Math.abs(slot - spot) <= 2 * half + nodeSpacing ? slot : spot;
+        occupied.push([chosen - half, chosen + half]);
+        return chosen;
+      });
+      slots.sort((a, b) => a - b);
+      group.forEach((id, k) => desired.set(id, slots[k]));
+      i = j;
+    }
+
+    const order = row.slice().sort((a, b) =>
+      desired.get(a) - desired.get(b) || isNew.has(a) - isNew.has(b) || sequence.get(a) - sequence.get(b));
+    const spread = _spreadRow(
+      order.map((id) => desired.get(id)),
+      order.map((id) => crossSize(id)),
+      order.map((id) => (isNew.has(id) ? NEW_NODE_WEIGHT : 1)),
+      nodeSpacing,
+    );
+    order.forEach((id, i) => center.set(id, spread[i]));
+  }
+
+  const positions = new Map();
+  for (const node of nodes) {
+    const cross = center.get(node.id) - crossSize(node.id) / 2;
+    const rank = rankStart.get(node.id);
+    positions.set(node.id, isHorizontal ? { x: rank, y: cross } : { x: cross, y: rank });
+  }
+  return positions;
+}
+
+/**
+ * Center closest to `want` for a node of half-size `half` that keeps `gap`
+ * clear of every occupied [start, end] interval.
+ */
+function _nearestFreeSlot(occupied, want, half, gap) {
+  const sorted = occupied.slice().sort((a, b) => a[0] - b[0]);
+  let best = null;
+  let from = -Infinity;
+  for (let i = 0; i <= sorted.length; i++) {
+    const to = i < sorted.length ? sorted[i][0] - gap - half : Infinity;
+    if (from <= to) {
+      const candidate = Math.min(Math.max(want, from), to);
+      if (best === null || Math.abs(candidate - want) < Math.abs(best - want)) best = candidate;
+    }
+    if (i < sorted.length) from = Math.max(from, sorted[i][1] + gap + half);
+  }
+  return best;
+}
+
+/**
+ * Move centers as little as possible (weighted least squares) so consecutive
+ * nodes are at least `gap` apart, keeping their order. Subtracting each node's
+ * minimum offset from the first turns this into isotonic regression, solved by
+ * pooling adjacent violators.
+ */
+function _spreadRow(centers, sizes, weights, gap) {
+  const offsets = [0];
+  for (let i = 1; i < centers.length; i++) {
+    offsets[i] = offsets[i - 1] + (sizes[i - 1] + sizes[i]) / 2 + gap;
+  }
+
+  const blocks = []; // { value, weight, count }
+  centers.forEach((c, i) => {
+    blocks.push({ value: c - offsets[i], weight: weights[i], count: 1 });
+    while (blocks.length > 1 && blocks[blocks.length - 2].value > blocks[blocks.length - 1].value) {
+      const right = blocks.pop();
+      const left = blocks[blocks.length - 1];
+      const weight = left.weight + right.weight;
+      left.value = (left.value * left.weight + right.value * right.weight) / weight;
+      left.weight = weight;
+      left.count += right.count;
+    }
+  });
+
+  const result = [];
+  for (const block of blocks) {
+    for (let k = 0; k < block.count; k++) result.push(block.value + offsets[result.length]);
+  }
+  return result;
+}
+
 // ─── Rank Assignment (longest-path, with cycle handling) ────
 
-function _assignRanks(nodes, adj, inAdj) {
+function _assignRanks(nodes, adj, inAdj, backEdges = null) {
   const ranks = new Map();
   const visited = new Set();
   const inStack = new Set(); // for cycle detection
@@ -147,6 +410,8 @@ function _assignRanks(nodes, adj, inAdj) {
     ranks.set(id, Math.max(ranks.get(id) ?? 0, depth));
 
     for (const child of adj.get(id) || []) {
+      if (backEdges && inStack.has(child)) backEdges.add(_edgeKey(id, child));
+
       // Ensure child rank is at least parent + 1
       const childCurrentRank = ranks.get(child) ?? 0;
       if (depth + 1 > childCurrentRank) {
@@ -180,6 +445,91 @@ function _assignRanks(nodes, adj, inAdj) {
   return ranks;
 }
 
+function _edgeKey(source, target) {
+  return `${source}\u0000${target}`;
+}
+
+// ─── Rank Constraints ───────────────────────────────────────
+
+/**
+ * Move ranks (in place) so they satisfy the given constraints:
+ *  - sameRank: groups of node ids that share one rank
+ *  - minRank / maxRank: per-node bounds, as { [id]: rank }
+ *
+ * Constraints are hard: a node never ends up outside its bounds. Within them,
+ * edges keep pointing forward (target at least one rank past its source), so
+ * moving a node pushes its descendants along. Ranks are recomputed as longest
+ * paths over the constrained graph; back-edges found while ranking, and edges
+ * that would close a loop through a same-rank group, are ignored.
+ * Ids not in the graph are skipped.
+ */
+function _applyRankConstraints(ranks, adj, backEdges, { sameRank = [], minRank = {}, maxRank = {} }) {
+  const bound = (value) => (Number.isFinite(value) ? Math.max(0, Math.round(value)) : null);
+
+  // Union-find so overlapping sameRank groups merge into one
+  const leader = new Map();
+  const find = (id) => {
+    while (leader.get(id) !== id) id = leader.get(id);
+    return id;
+  };
+  for (const id of ranks.keys()) leader.set(id, id);
+  for (const group of sameRank) {
+    const ids = (group || []).filter((id) => ranks.has(id));
+    for (let i = 1; i < ids.length; i++) leader.set(find(ids[i]), find(ids[0]));
+  }
+
+  // One entry per group: its members, rank floor/cap and successor groups
+  const groups = new Map();
+  for (const id of ranks.keys()) {
+    const key = find(id);
+    if (!groups.has(key)) groups.set(key, { members: [], lower: 0, upper: Infinity, next: new Set() });
+    const group = groups.get(key);
+    group.members.push(id);
+    group.lower = Math.max(group.lower, bound(minRank[id]) ?? 0);
+    group.upper = Math.min(group.upper, bound(maxRank[id]) ?? Infinity);
+  }
+
+  for (const [source, targets] of adj) {
+    for (const target of targets) {
+      if (backEdges.has(_edgeKey(source, target))) continue;
+      const from = find(source);
+      const to = find(target);
+      if (from !== to) groups.get(from).next.add(to); // same-group edges are lateral
+    }
+  }
+
+  // Reverse post-order over the group graph; edges into the DFS stack close a loop
+  const order = [];
+  const state = new Map(); // key → 'open' | 'done'
+  function visit(key) {
+    state.set(key, 'open');
+    const group = groups.get(key);
+    for (const next of [...group.next]) {
+      if (state.get(next) === 'open') group.next.delete(next);
+      else if (!state.has(next)) visit(next);
+    }
+    state.set(key, 'done');
+    order.push(key);
+  }
+  for (const key of groups.keys()) if (!state.has(key)) visit(key);
+
+  // Longest path over the acyclic group graph; a cap wins over edges and floors
+  const groupRank = new Map();
+  for (const key of groups.keys()) groupRank.set(key, groups.get(key).lower);
+  for (let i = order.length - 1; i >= 0; i--) {
+    const group = groups.get(order[i]);
+    const rank = Math.min(groupRank.get(order[i]), group.upper);
+    groupRank.set(order[i], rank);
+    for (const next of group.next) {
+      groupRank.set(next, Math.max(groupRank.get(next), rank + 1));
+    }
+  }
+
+  for (const [key, group] of groups) {
+    for (const id of group.members) ranks.set(id, groupRank.get(key));
+  }
+}
+
 // ─── Barycenter Ordering ────────────────────────────────────
 
 /**
@@ -360,6 +710,306 @@ function _normalizePositions(positions, isHorizontal) {
   }
 }
 
+// ─── Spanning Forest (tree, radial) ─────────────────────────
+
+/**
+ * Break the graph into BFS trees. Trees start at the `root` option's ids, else
+ * at nodes without incoming edges; nodes still unreached (e.g. inside cycles)
+ * start further trees in input order. `undirected` walks edges both ways.
+ *
+ * @returns {{ roots: string[], children: Map<string, string[]>, depth: Map<string, number>, order: string[] }}
+ *   `order` is breadth-first, so parents come before their children
+ */
+function _spanningForest(nodes, adj, inAdj, root, undirected) {
+  const children = new Map(nodes.map((n) => [n.id, []]));
+  const depth = new Map();
+  const roots = [];
+  const order = [];
+
+  const grow = (rootId) => {
+    roots.push(rootId);
+    depth.set(rootId, 0);
+    order.push(rootId);
+    for (let head = order.length - 1; head < order.length; head++) {
+      const id = order[head];
+      const neighbors = undirected ? [...adj.get(id), ...inAdj.get(id)] : adj.get(id);
+      for (const next of neighbors) {
+        if (depth.has(next)) continue;
+        depth.set(next, depth.get(id) + 1);
+        children.get(id).push(next);
+        order.push(next);
+      }
+    }
+  };
+
+  const requested = [root].flat().filter((id) => id != null && adj.has(id));
+  const starts = requested.length > 0
+    ? requested
+    : nodes.filter((n) => inAdj.get(n.id).size === 0).map((n) => n.id);
+  for (const id of starts) if (!depth.has(id)) grow(id);
+  for (const node of nodes) if (!depth.has(node.id)) grow(node.id);
+
+  return { roots, children, depth, order };
+}
+
+// ─── Tree (Reingold–Tilford) ────────────────────────────────
+
+/**
+ * Tidy tree drawing: each subtree is laid out once, then siblings are pushed
+ * apart just far enough that their contours (the leftmost and rightmost extent
+ * at every depth) keep `nodeSpacing` between them. Parents are centered over
+ * their first and last child. Edges outside the spanning tree are ignored.
+ */
+function _treeLayout(nodes, nodeMap, adj, inAdj, options) {
+  const { nodeSpacing, rankSpacing, nodeWidth, nodeHeight } = options;
+  const isHorizontal = options.direction === 'LR' || options.direction === 'RL';
+  const isReversed = options.direction === 'BT' || options.direction === 'RL';
+  const crossSize = (id) => _getNodeSize(nodeMap.get(id), isHorizontal ? nodeHeight : nodeWidth, isHorizontal);
+
+  const { roots, children, depth, order } = _spanningForest(nodes, adj, inAdj, options.root, false);
+
+  // Bottom-up: contours are relative to the subtree root's center,
+  // offsets relative to the parent's center
+  const contours = new Map();
+  const offset = new Map();
+  for (let i = order.length - 1; i >= 0; i--) {
+    const id = order[i];
+    const half = crossSize(id) / 2;
+    const kids = children.get(id);
+    if (kids.length === 0) {
+      contours.set(id, { left: [-half], right: [half] });
+      continue;
+    }
+
+    const packed = _packSubtrees(kids, contours, offset, nodeSpacing);
+    const mid = (offset.get(kids[0]) + offset.get(kids[kids.length - 1])) / 2;
+    for (const kid of kids) offset.set(kid, offset.get(kid) - mid);
+    for (let d = 0; d < packed.left.length; d++) {
+      packed.left[d] -= mid;
+      packed.right[d] -= mid;
+    }
+    packed.left.unshift(-half);
+    packed.right.unshift(half);
+    contours.set(id, packed);
+  }
+  _packSubtrees(roots, contours, offset, nodeSpacing);
+
+  // Top-down: absolute centers on the cross axis
+  const center = new Map(roots.map((id) => [id, offset.get(id)]));
+  for (const id of order) {
+    for (const kid of children.get(id)) center.set(kid, center.get(id) + offset.get(kid));
+  }
+
+  // Rank axis: one level per depth, as tall as its tallest node
+  const levels = [];
+  for (const id of order) {
+    const d = depth.get(id);
+    if (!levels[d]) levels[d] = [];
+    levels[d].push(id);
+  }
+  const levelStart = [];
+  let rankOffset = 0;
+  for (let d = 0; d < levels.length; d++) {
+    levelStart[d] = rankOffset;
+    rankOffset += _getMaxRankSize(levels[d], nodeMap, isHorizontal ? nodeWidth : nodeHeight, isHorizontal) + rankSpacing;
+  }
+
+  const positions = new Map();
+  for (const id of order) {
+    const cross = center.get(id) - crossSize(id) / 2;
+    const rank = isReversed ? -levelStart[depth.get(id)] : levelStart[depth.get(id)];
+    positions.set(id, isHorizontal ? { x: rank, y: cross } : { x: cross, y: rank });
+  }
+  _normalizePositions(positions, isHorizontal);
+  return positions;
+}
+
+/**
+ * Place sibling subtrees left to right as close as their contours allow.
+ * Sets each subtree's offset relative to the first one and returns the merged
+ * contour (the first subtree's arrays, reused).
+ */
+function _packSubtrees(ids, contours, offset, gap) {
+  const { left, right } = contours.get(ids[0]);
+  contours.delete(ids[0]);
+  offset.set(ids[0], 0);
+
+  for (let k = 1; k < ids.length; k++) {
+    const contour = contours.get(ids[k]);
+    contours.delete(ids[k]);
+
+    let shift = -Infinity;
+    const common = Math.min(right.length, contour.left.length);
+    for (let d = 0; d < common; d++) {
+      shift = Math.max(shift, right[d] - contour.left[d] + gap);
+    }
+    offset.set(ids[k], shift);
+
+    for (let d = 0; d < contour.left.length; d++) {
+      if (d < left.length) {
+        left[d] = Math.min(left[d], shift + contour.left[d]);
+        right[d] = Math.max(right[d], shift + contour.right[d]);
+      } else {
+        left.push(shift + contour.left[d]);
+        right.push(shift + contour.right[d]);
+      }
+    }
+  }
+  return { left, right };
+}
+
+// ─── Radial ─────────────────────────────────────────────────
+
+/**
+ * Concentric rings by BFS depth from the root (edges walked both ways).
+ * Every node gets a wedge of its parent's angle in proportion to the leaves
+ * below it. Rings are at least `rankSpacing` apart and wide enough that each
+ * node's wedge fits the node plus `nodeSpacing`. Several trees share the
+ * center: their roots go on the first ring.
+ */
+function _radialLayout(nodes, nodeMap, adj, inAdj, options) {
+  const { nodeSpacing, rankSpacing, nodeWidth, nodeHeight } = options;
+  const { roots, children, depth, order } = _spanningForest(nodes, adj, inAdj, options.root, true);
+  const size = (id) => {
+    const node = nodeMap.get(id);
+    return Math.hypot(_getNodeDim(node, nodeWidth, 'width'), _getNodeDim(node, nodeHeight, 'height'));
+  };
+
+  const ringOffset = roots.length > 1 ? 1 : 0;
+  const ring = (id) => depth.get(id) + ringOffset;
+
+  const leaves = new Map();
+  for (let i = order.length - 1; i >= 0; i--) {
+    const id = order[i];
+    const kids = children.get(id);
+    leaves.set(id, kids.length === 0 ? 1 : kids.reduce((sum, kid) => sum + leaves.get(kid), 0));
+  }
+
+  // Wedges, starting at the top and going clockwise
+  const wedge = new Map(); // id → [start, end] in radians
+  const splitWedge = (ids, start, end) => {
+    const total = ids.reduce((sum, id) => sum + leaves.get(id), 0);
+    let cursor = start;
+    for (const id of ids) {
+      const span = ((end - start) * leaves.get(id)) / total;
+      wedge.set(id, [cursor, cursor + span]);
+      cursor += span;
+    }
+  };
+  splitWedge(roots, -Math.PI / 2, (3 * Math.PI) / 2);
+  for (const id of order) {
+    const kids = children.get(id);
+    if (kids.length > 0) splitWedge(kids, ...wedge.get(id));
+  }
+
+  // Ring radii, innermost first
+  const rings = [];
+  for (const id of order) {
+    if (!rings[ring(id)]) rings[ring(id)] = [];
+    rings[ring(id)].push(id);
+  }
+  const radius = [];
+  let previousSize = 0;
+  for (let r = 0; r < rings.length; r++) {
+    const ids = rings[r] ?? [];
+    const ringSize = Math.max(0, ...ids.map(size));
+    if (r === 0) {
+      radius[r] = 0;
+    } else {
+      radius[r] = radius[r - 1] + (previousSize + ringSize) / 2 + rankSpacing;
+      for (const id of ids) {
+        const [start, end] = wedge.get(id);
+        if (end - start < Math.PI) radius[r] = Math.max(radius[r], (size(id) + nodeSpacing) / (end - start));
+      }
+    }
+    previousSize = ringSize;
+  }
+
+  const positions = new Map();
+  for (const id of order) {
+    const node = nodeMap.get(id);
+    const [start, end] = wedge.get(id);
+    const angle = (start + end) / 2;
+    const r = radius[ring(id)];
+    positions.set(id, {
+      x: r * Math.cos(angle) - _getNodeDim(node, nodeWidth, 'width') / 2,
+      y: r * Math.sin(angle) - _getNodeDim(node, nodeHeight, 'height') / 2,
+    });
+  }
+  _normalizePositions(positions);
+  return positions;
+}
+
+// ─── Grid ───────────────────────────────────────────────────
+
+/**
+ * Rows of `columns` nodes in input order. Each column is as wide as its widest
+ * node and each row as tall as its tallest; nodes are centered in their cell.
+ * Columns are `nodeSpacing` apart, rows `rankSpacing`.
+ */
+function _gridLayout(nodes, options) {
+  const { nodeSpacing, rankSpacing, nodeWidth, nodeHeight } = options;
+  const columns = Math.max(1, Math.round(options.columns) || Math.ceil(Math.sqrt(nodes.length)));
+
+  const widths = [];
+  const heights = [];
+  nodes.forEach((node, i) => {
+    const col = i % columns;
+    const row = Math.floor(i / columns);
+    widths[col] = Math.max(widths[col] ?? 0, _getNodeDim(node, nodeWidth, 'width'));
+    heights[row] = Math.max(heights[row] ?? 0, _getNodeDim(node, nodeHeight, 'height'));
+  });
+
+  const colStart = [0];
+  for (let c = 1; c < widths.length; c++) colStart[c] = colStart[c - 1] + widths[c - 1] + nodeSpacing;
+  const rowStart = [0];
+  for (let r = 1; r < heights.length; r++) rowStart[r] = rowStart[r - 1] + heights[r - 1] + rankSpacing;
+
+  const positions = new Map();
+  nodes.forEach((node, i) => {
+    const col = i % columns;
+    const row = Math.floor(i / columns);
+    positions.set(node.id, {
+      x: colStart[col] + (widths[col] - _getNodeDim(node, nodeWidth, 'width')) / 2,
+      y: rowStart[row] + (heights[row] - _getNodeDim(node, nodeHeight, 'height')) / 2,
+    });
+  });
+  return positions;
+}
+
+// ─── Circular ───────────────────────────────────────────────
+
+/**
+ * One circle, in breadth-first order so connected nodes sit close together.
+ * Each node takes an arc in proportion to its size plus `nodeSpacing`, and the
+ * radius keeps neighbors from overlapping.
+ */
+function _circularLayout(nodes, nodeMap, adj, inAdj, options) {
+  const { nodeSpacing, nodeWidth, nodeHeight } = options;
+  const { order } = _spanningForest(nodes, adj, inAdj, options.root, true);
+  const width = (id) => _getNodeDim(nodeMap.get(id), nodeWidth, 'width');
+  const height = (id) => _getNodeDim(nodeMap.get(id), nodeHeight, 'height');
+  const arcs = order.map((id) => Math.hypot(width(id), height(id)) + nodeSpacing);
+
+  const total = arcs.reduce((sum, arc) => sum + arc, 0);
+  const radius = order.length < 2
+    ? 0
+    : Math.max(total / (2 * Math.PI), Math.max(...arcs) / (2 * Math.sin(Math.PI / order.length)));
+
+  const positions = new Map();
+  let travelled = 0;
+  order.forEach((id, i) => {
+    const angle = -Math.PI / 2 + ((travelled + arcs[i] / 2) / total) * 2 * Math.PI;
+    travelled += arcs[i];
+    positions.set(id, {
+      x: radius * Math.cos(angle) - width(id) / 2,
+      y: radius * Math.sin(angle) - height(id) / 2,
+    });
+  });
+  _normalizePositions(positions);
+  return positions;
+}
+
 // ─── Named export for standalone use ────────────────────────
 
 export { LAYOUT_DEFAULTS };
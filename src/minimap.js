@@ -9,7 +9,7 @@ import { getNodesBounds, getNodeDimensions, getViewportRect } from './geometry.j
 /**
  * Create a minimap panel.
  * @param {HTMLElement} container
- * @param {Function} getState - Returns { nodes, viewport, containerWidth, containerHeight }
+ * @param {Function} getState - Returns { nodeLookup, collapsedHidden, viewport, containerWidth, containerHeight }
  * @param {object} actions - { setViewport }
  * @returns {{ update: Function, destroy: Function }}
  */
@@ -118,7 +118,7 @@ export function createMinimap(container, getState, actions) {
 
   function update() {
     const state = getState();
-    const { viewport, nodeLookup } = state;
+    const { viewport, nodeLookup, collapsedHidden } = state;
     const nodes = nodeLookup ? Array.from(nodeLookup.values()) : [];
     const containerW = state.containerWidth ?? 800;
     const containerH = state.containerHeight ?? 600;
@@ -176,7 +176,7 @@ export function createMinimap(container, getState, actions) {
     // Update node rects
     const currentIds = new Set();
     for (const node of nodes) {
-      if (node.hidden) continue;
+      if (node.hidden || collapsedHidden?.has(node.id)) continue;
       currentIds.add(node.id);
 
       const pos = node.internals?.positionAbsolute ?? node.position;
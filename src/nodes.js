@@ -43,25 +43,65 @@ export function buildNodeLookup(nodes, existingLookup = new Map()) {
     }
   }
 
-  // Second pass: compute absolute positions (handle parent nesting)
-  for (const [id, node] of lookup) {
-    if (node.parentId) {
-      const parent = lookup.get(node.parentId);
-      if (parent) {
-        const parentPos = parent.internals.positionAbsolute;
-        node.internals.positionAbsolute = {
-          x: parentPos.x + node.position.x,
-          y: parentPos.y + node.position.y,
-        };
-        // Child nodes render above parents
-        node.internals.z = Math.max(node.internals.z, (parent.internals.z || 0) + 1);
-      }
-    }
+  // Second pass: compute absolute positions (handle parent nesting).
+  // Parents are resolved first, so the nodes array may list children before parents.
+  const resolved = new Set();
+  const resolve = (node, path = new Set()) => {
+    if (resolved.has(node.id)) return;
+    resolved.add(node.id);
+    const parent = node.parentId ? lookup.get(node.parentId) : null;
+    if (!parent || path.has(parent.id)) return;
+
+    path.add(node.id);
+    resolve(parent, path);
+    const parentPos = parent.internals.positionAbsolute;
+    node.internals.positionAbsolute = {
+      x: parentPos.x + node.position.x,
+      y: parentPos.y + node.position.y,
+    };
+    // Child nodes render above parents
+    node.internals.z = Math.max(node.internals.z, (parent.internals.z || 0) + 1);
+  };
+  for (const node of lookup.values()) {
+    resolve(node);
   }
 
   return lookup;
 }
 
+/**
+ * Clamp a node's absolute position to its extent.
+ * `extent: 'parent'` keeps the node inside its parent (only the top/left edges when
+ * `expandParent` lets the parent grow instead); an array extent
+ * `[[minX, minY], [maxX, maxY]]` is relative to the parent, or absolute for root nodes.
+ * @param {object} node - Internal node (from the lookup)
+ * @param {{ x: number, y: number }} positionAbsolute - Proposed absolute position
+ * @param {Map} nodeLookup
+ * @returns {{ x: number, y: number }} Clamped absolute position
+ */
+export function clampNodePosition(node, positionAbsolute, nodeLookup) {
+  const parent = node.parentId ? nodeLookup.get(node.parentId) : null;
+  const origin = parent?.internals.positionAbsolute ?? { x: 0, y: 0 };
+
+  let extent = null;
+  if (node.extent === 'parent' && parent) {
+    const parentDims = getNodeDimensions(parent);
+    extent = node.expandParent
+      ? [[0, 0], [Infinity, Infinity]]
+      : [[0, 0], [parentDims.width, parentDims.height]];
+  } else if (Array.isArray(node.extent)) {
+    extent = node.extent;
+  }
+  if (!extent) return positionAbsolute;
+
+  const clamped = clampPosition(
+    { x: positionAbsolute.x - origin.x, y: positionAbsolute.y - origin.y },
+    extent,
+    getNodeDimensions(node),
+  );
+  return { x: clamped.x + origin.x, y: clamped.y + origin.y };
+}
+
 // ─── Node Measurement ────────────────────────────────────────
 
 /**
@@ -204,6 +244,18 @@ export function createNodeDragHandler(getState, callbacks) {
       }
     }
 
+    // A dragged parent carries its children; moving both would apply the delta twice
+    for (const [id, item] of dragItems) {
+      let parentId = item.node.parentId;
+      while (parentId) {
+        if (dragItems.has(parentId)) {
+          dragItems.delete(id);
+          break;
+        }
+        parentId = nodeLookup.get(parentId)?.parentId;
+      }
+    }
+
     // Use pointer capture for reliable tracking
     event.currentTarget.setPointerCapture(event.pointerId);
 
@@ -266,21 +318,12 @@ export function createNodeDragHandler(getState, callbacks) {
     const positionChanges = [];
 
     for (const [id, item] of dragItems) {
-      let nextX = flowX - item.distance.x + snapOffset.x;
-      let nextY = flowY - item.distance.y + snapOffset.y;
-
       // Apply extent clamping
       const node = item.node;
-      if (node.extent === 'parent' && node.parentId) {
-        const parent = state.nodeLookup.get(node.parentId);
-        if (parent) {
-          const parentDims = getNodeDimensions(parent);
-          const nodeDims = getNodeDimensions(node);
-          const parentAbsPos = parent.internals.positionAbsolute;
-          nextX = Math.max(0, Math.min(nextX - parentAbsPos.x, parentDims.width - nodeDims.width)) + parentAbsPos.x;
-          nextY = Math.max(0, Math.min(nextY - parentAbsPos.y, parentDims.height - nodeDims.height)) + parentAbsPos.y;
-        }
-      }
+      const { x: nextX, y: nextY } = clampNodePosition(node, {
+        x: flowX - item.distance.x + snapOffset.x,
+        y: flowY - item.distance.y + snapOffset.y,
+      }, state.nodeLookup);
 
       // For child nodes, position is relative to parent
       let positionX = nextX;
@@ -431,7 +474,10 @@ export const defaultNodeTypes = {
 
   group(node) {
     return `
-      <div class="alpine-flow__node-header alpine-flow__group-header">${node.data?.label ?? ''}</div>
+      <div class="alpine-flow__group-title">
+        <button type="button" class="alpine-flow__group-toggle nodrag" data-action="toggle-collapse" aria-label="Collapse or expand group"></button>
+        <div class="alpine-flow__node-header alpine-flow__group-header">${node.data?.label ?? ''}</div>
+      </div>
     `;
   },
 };
@@ -3,7 +3,7 @@
  *
  * A DSL-driven graph filter that controls which nodes and edges are
  * visible.  Supports class (type) selectors, instance (id) selectors,
- * and wildcards for graph traversal.
+ * attribute predicates, negation, grouping and wildcards for graph traversal.
  *
  * This is a **pre-filter** — it runs before auto-layout and applies
  * regardless of whether `autoLayout` is enabled.
@@ -13,9 +13,18 @@
  *   :Type           Class selector  — matches all nodes with node.type === 'Type'
  *   id:Type         Instance selector — matches node.id === 'id' AND node.type === 'Type'
  *   id              ID selector     — matches node.id === 'id' (any type)
+ *   "my id"         Quoted ID       — for ids containing spaces or punctuation
+ *   [data.k=v]      Attribute       — =, !=, ^= (starts), *= (contains), $= (ends)
+ *   [data.n>=3]     Numeric         — <, <=, >, >= (non-numeric values never match)
+ *   [data.k]        Presence        — attribute set and not null/false
+ *   !sel            Negation        — every node the selector does not match
+ *   (a & b)         Grouping        — either selector, as one unit
  *   *               Wildcard        — one level of connected nodes
  *   **              Deep wildcard   — all transitively connected nodes
  *
+ * Adjacent selectors must all match: `:Job[data.status=failed]`, `teamx:Team`.
+ * A compound names at most one id, so `foo bar` is an error (write `"foo bar"`).
+ *
  * ─── Chain Syntax ──────────────────────────────────────────
  *
  *   :A > :B > :C       A has higher precedence than B, B higher than C
@@ -24,90 +33,382 @@
  *   ** > teamx:Team    teamx and every node that (transitively) leads to it
  *   :Person > ** > :Product   Person, Product, and all nodes on paths between
  *   * > :Team          Team nodes and their direct parents only
+ *   !:Team > *         Everything except Team nodes, then their children
  *
  * ─── API ───────────────────────────────────────────────────
  *
- *   parsePrecedence(str)                → rules | null
- *   applyPrecedence(nodes, edges, rules) → void (mutates in place)
+ *   parsePrecedence(str)                → rules | null (throws PrecedenceSyntaxError)
+ *   evaluatePrecedence(nodes, edges, rules) → { nodeIds, edgeIds, nodeRanks, wildcardIds } | null
+ *   precedenceRankBounds(result, edges)   → { minRank, maxRank } layout rows per node
+ *   applyPrecedence(nodes, edges, rules) → same result (hides the rest in place)
  *   clearPrecedence(nodes, edges)        → void (undoes hiding)
+ *
+ * The tokenizer, parser and selector matching are shared with query.js.
+ */
+
+// ─── Errors ─────────────────────────────────────────────────
+
+/**
+ * Thrown by parsePrecedence for malformed input.
+ * `offset` is the 0-based character index where parsing failed.
  */
+export class PrecedenceSyntaxError extends SyntaxError {
+  constructor(message, offset, input) {
+    super(`${message} at offset ${offset}`);
+    this.name = 'PrecedenceSyntaxError';
+    this.offset = offset;
+    this.input = input;
+  }
+}
 
-// ─── Selector Parsing ───────────────────────────────────────
+// ─── Tokenizer ──────────────────────────────────────────────
+
+const IDENT_CHAR = /[\p{L}\p{N}_\-.]/u;
+const ATTRIBUTE_OPERATORS = ['!=', '^=', '*=', '$=', '<=', '>=', '=', '<', '>'];
+const NUMERIC_OPERATORS = new Set(['<', '<=', '>', '>=']);
 
 /**
- * Parse a single token into a selector object.
+ * Split a DSL string into tokens of shape { type, value, offset }.
+ * Inside `[...]` the comparison operators are tokens of type 'op'; outside,
+ * `>` is the chain separator (`<` and `~` are query combinators) and `!` is negation.
  *
- * @param {string} token
- * @returns {{ kind: 'type'|'id'|'instance'|'wildcard', ... } | null}
+ * @param {string} input
+ * @param {typeof PrecedenceSyntaxError} ErrorClass
+ * @returns {Array<{ type: string, value: string, offset: number }>}
  */
-function parseSelector(token) {
-  const t = token.trim();
-  if (!t) return null;
-  if (t === '**') return { kind: 'wildcard', depth: Infinity };
-  if (t === '*')  return { kind: 'wildcard', depth: 1 };
+function tokenize(input, ErrorClass) {
+  const tokens = [];
+  let i = 0;
+  let inBrackets = false;
 
-  const colonIdx = t.indexOf(':');
+  while (i < input.length) {
+    const ch = input[i];
 
-  if (colonIdx === -1) {
-    // No colon → bare instance ID
-    return { kind: 'id', id: t };
-  }
-  if (colonIdx === 0) {
-    // :Type → class/type selector
-    const type = t.slice(1);
-    return type ? { kind: 'type', type } : null;
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const start = i;
+      let value = '';
+      i += 1;
+      while (i < input.length && input[i] !== ch) {
+        if (input[i] === '\\' && i + 1 < input.length) i += 1;
+        value += input[i];
+        i += 1;
+      }
+      if (i >= input.length) throw new ErrorClass('Unterminated string', start, input);
+      i += 1;
+      tokens.push({ type: 'string', value, offset: start });
+      continue;
+    }
+
+    if (IDENT_CHAR.test(ch)) {
+      const start = i;
+      while (i < input.length && IDENT_CHAR.test(input[i])) i += 1;
+      tokens.push({ type: 'ident', value: input.slice(start, i), offset: start });
+      continue;
+    }
+
+    if (inBrackets) {
+      const op = ATTRIBUTE_OPERATORS.find((candidate) => input.startsWith(candidate, i));
+      if (op) {
+        tokens.push({ type: 'op', value: op, offset: i });
+        i += op.length;
+        continue;
+      }
+    }
+
+    if (ch === '*' && input[i + 1] === '*') {
+      tokens.push({ type: '**', value: '**', offset: i });
+      i += 2;
+      continue;
+    }
+
+    if (';><~&!():*[]'.includes(ch)) {
+      if (ch === '[') inBrackets = true;
+      if (ch === ']') inBrackets = false;
+      tokens.push({ type: ch, value: ch, offset: i });
+      i += 1;
+      continue;
+    }
+
+    throw new ErrorClass(`Unexpected character '${ch}'`, i, input);
   }
-  // id:Type → instance selector
-  const id   = t.slice(0, colonIdx);
-  const type = t.slice(colonIdx + 1);
-  return (id && type) ? { kind: 'instance', id, type } : null;
+
+  tokens.push({ type: 'eof', value: '', offset: input.length });
+  return tokens;
 }
 
 // ─── Parser ─────────────────────────────────────────────────
 
+/**
+ * Recursive-descent parser over the token list.
+ *
+ *   program  := chain (';' chain)*
+ *   chain    := group ('>' group)*
+ *   group    := '*' | '**' | unary ('&' unary)*
+ *   unary    := '!' unary | compound
+ *   compound := primary+                          (all must match)
+ *   primary  := name | ':' name | '[' attribute ']' | '(' unary ('&' unary)* ')'
+ *
+ * parseQuery reads the query.js grammar over the same selectors:
+ *
+ *   query    := path (';' path)*
+ *   path     := step (('>' | '<' | '~') step)*
+ *   step     := '*' | unary ('&' unary)*
+ *
+ * `:name` is a pseudo-class instead of a type when `name` is in `pseudoClasses`.
+ *
+ * @param {string} input
+ * @param {{ pseudoClasses?: Iterable<string>, ErrorClass?: typeof PrecedenceSyntaxError }} [options]
+ */
+export function createParser(input, { pseudoClasses = [], ErrorClass = PrecedenceSyntaxError } = {}) {
+  const pseudo = new Set(pseudoClasses);
+  const tokens = tokenize(input, ErrorClass);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const fail = (message, token = peek()) => {
+    throw new ErrorClass(message, token.offset, input);
+  };
+  const describe = (token) => (token.type === 'eof' ? 'end of input' : `'${token.value}'`);
+  const expect = (type, what) => {
+    if (peek().type !== type) fail(`Expected ${what} but found ${describe(peek())}`);
+    return next();
+  };
+  const isName = (token) => token.type === 'ident' || token.type === 'string';
+  const startsPrimary = (token) => isName(token) || [':', '[', '('].includes(token.type);
+
+  function parseProgram() {
+    const chains = [];
+    while (peek().type !== 'eof') {
+      if (peek().type === ';') {
+        next();
+        continue;
+      }
+      chains.push(parseChain());
+      if (peek().type !== ';' && peek().type !== 'eof') {
+        fail(`Expected '>', '&' or ';' but found ${describe(peek())}`);
+      }
+    }
+    return chains;
+  }
+
+  function parseChain() {
+    const groups = [parseGroup()];
+    while (peek().type === '>') {
+      next();
+      groups.push(parseGroup());
+    }
+    groups.forEach((g, i) => { g.rank = i; });
+    return groups;
+  }
+
+  function parseGroup() {
+    const token = peek();
+    if (token.type === '*' || token.type === '**') {
+      next();
+      if (!['>', ';', 'eof'].includes(peek().type)) {
+        fail('A wildcard must stand alone between \'>\' separators');
+      }
+      const depth = token.type === '**' ? Infinity : 1;
+      return {
+        selectors: [{ kind: 'wildcard', depth }],
+        rank: 0,           // assigned by parseChain
+        isWildcard: true,
+        wildcardDepth: depth,
+      };
+    }
+
+    return { selectors: parseUnion(), rank: 0, isWildcard: false, wildcardDepth: 0 };
+  }
+
+  function parseQuery() {
+    const paths = [];
+    while (peek().type !== 'eof') {
+      if (peek().type === ';') {
+        next();
+        continue;
+      }
+      paths.push(parsePath());
+      if (peek().type !== ';' && peek().type !== 'eof') {
+        fail(`Expected '>', '<', '~', '&' or ';' but found ${describe(peek())}`);
+      }
+    }
+    return paths;
+  }
+
+  function parsePath() {
+    const steps = [{ combinator: null, selectors: parseStep() }];
+    while (['>', '<', '~'].includes(peek().type)) {
+      const combinator = next().type;
+      steps.push({ combinator, selectors: parseStep() });
+    }
+    return steps;
+  }
+
+  // null selectors match every element
+  function parseStep() {
+    if (peek().type === '**') fail("'**' is only valid in precedence chains");
+    if (peek().type === '*') {
+      next();
+      return null;
+    }
+    return parseUnion();
+  }
+
+  function parseUnion() {
+    const selectors = [parseUnary()];
+    while (peek().type === '&') {
+      next();
+      if (peek().type === '*' || peek().type === '**') {
+        fail('A wildcard cannot be combined with other selectors');
+      }
+      selectors.push(parseUnary());
+    }
+    return selectors;
+  }
+
+  function parseUnary() {
+    if (peek().type === '!') {
+      next();
+      return { kind: 'not', selector: parseUnary() };
+    }
+    return parseCompound();
+  }
+
+  function parseCompound() {
+    if (!startsPrimary(peek())) fail(`Expected a selector but found ${describe(peek())}`);
+    const parts = [];
+    while (startsPrimary(peek())) {
+      // Two ids can never both match: `foo bar` is most likely an unquoted id
+      if (isName(peek()) && parts.some((part) => part.kind === 'id')) {
+        fail('A selector can name only one id; quote ids that contain spaces');
+      }
+      parts.push(parsePrimary());
+    }
+    return parts.length === 1 ? parts[0] : { kind: 'and', selectors: parts };
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (isName(token)) return { kind: 'id', id: token.value };
+
+    if (token.type === ':') {
+      if (!isName(peek())) fail(`Expected a type name after ':' but found ${describe(peek())}`);
+      const name = next().value;
+      return pseudo.has(name) ? { kind: 'pseudo', name } : { kind: 'type', type: name };
+    }
+
+    if (token.type === '(') {
+      const selectors = parseUnion();
+      expect(')', "')'");
+      return selectors.length === 1 ? selectors[0] : { kind: 'or', selectors };
+    }
+
+    // '[' attribute ']'
+    const path = expect('ident', 'an attribute name').value;
+    if (peek().type === ']') {
+      next();
+      return { kind: 'attr', path: path.split('.'), op: 'exists' };
+    }
+    const op = expect('op', 'a comparison operator').value;
+    const valueToken = peek();
+    if (!isName(valueToken)) fail(`Expected a value after '${op}' but found ${describe(valueToken)}`);
+    next();
+    const number = valueToken.type === 'ident' && valueToken.value !== '' ? Number(valueToken.value) : NaN;
+    if (NUMERIC_OPERATORS.has(op) && !Number.isFinite(number)) {
+      fail(`Expected a number after '${op}'`, valueToken);
+    }
+    expect(']', "']'");
+    return {
+      kind: 'attr',
+      path: path.split('.'),
+      op,
+      value: valueToken.value,
+      number: Number.isFinite(number) ? number : null,
+    };
+  }
+
+  return { parseProgram, parseQuery };
+}
+
 /**
  * Parse a precedence DSL string into structured rules.
  *
  * @param {string} str — e.g. "** > teamx:Team; :Person > ** > :Product"
  * @returns {{ chains: Array<Array<{ selectors, rank, isWildcard, wildcardDepth }>> } | null}
+ *   null for an empty string
+ * @throws {PrecedenceSyntaxError} with the character `offset` of the problem
  */
 export function parsePrecedence(str) {
   if (!str || typeof str !== 'string') return null;
-  const trimmed = str.trim();
-  if (!trimmed) return null;
+  if (!str.trim()) return null;
+
+  const chains = createParser(str).parseProgram();
+  return chains.length > 0 ? { chains } : null;
+}
 
-  const chains = [];
+// ─── Selector Matching ──────────────────────────────────────
+
+function resolvePath(obj, path) {
+  let value = obj;
+  for (const key of path) {
+    if (value == null) return undefined;
+    value = value[key];
+  }
+  return value;
+}
 
-  for (const stmt of trimmed.split(';')) {
-    const s = stmt.trim();
-    if (!s) continue;
+function matchesAttribute(node, sel) {
+  const actual = resolvePath(node, sel.path);
 
-    const groups = s.split('>').map((g) => {
-      const selectors = g.split('&').map(parseSelector).filter(Boolean);
-      const hasWild = selectors.length === 1 && selectors[0].kind === 'wildcard';
-      return {
-        selectors,
-        rank: 0,           // assigned below
-        isWildcard: hasWild,
-        wildcardDepth: hasWild ? selectors[0].depth : 0,
-      };
-    }).filter((g) => g.selectors.length > 0);
+  if (sel.op === 'exists') return actual != null && actual !== false;
 
-    if (groups.length === 0) continue;
-    groups.forEach((g, i) => { g.rank = i; });
-    chains.push(groups);
+  if (NUMERIC_OPERATORS.has(sel.op)) {
+    if (actual == null || actual === '' || typeof actual === 'boolean') return false;
+    const n = Number(actual);
+    if (!Number.isFinite(n)) return false;
+    switch (sel.op) {
+      case '<':  return n < sel.number;
+      case '<=': return n <= sel.number;
+      case '>':  return n > sel.number;
+      default:   return n >= sel.number;
+    }
   }
 
-  return chains.length > 0 ? { chains } : null;
+  const equals = typeof actual === 'number' && sel.number !== null
+    ? actual === sel.number
+    : actual != null && String(actual) === sel.value;
+
+  switch (sel.op) {
+    case '=':  return equals;
+    case '!=': return !equals;
+    case '^=': return actual != null && String(actual).startsWith(sel.value);
+    case '*=': return actual != null && String(actual).includes(sel.value);
+    case '$=': return actual != null && String(actual).endsWith(sel.value);
+    default:   return false;
+  }
 }
 
-// ─── Selector Matching ──────────────────────────────────────
-
-function matchesSelector(node, sel) {
+/**
+ * Test a node (or edge) against one parsed selector.
+ * `matchesPseudo(element, name)` answers pseudo-class selectors; without it they never match.
+ */
+export function matchesSelector(node, sel, matchesPseudo = null) {
   switch (sel.kind) {
     case 'type':     return node.type === sel.type;
     case 'id':       return node.id === sel.id;
     case 'instance': return node.id === sel.id && node.type === sel.type;
+    case 'attr':     return matchesAttribute(node, sel);
+    case 'pseudo':   return !!matchesPseudo?.(node, sel.name);
+    case 'not':      return !matchesSelector(node, sel.selector, matchesPseudo);
+    case 'and':      return sel.selectors.every((s) => matchesSelector(node, s, matchesPseudo));
+    case 'or':       return sel.selectors.some((s) => matchesSelector(node, s, matchesPseudo));
     default:         return false;
   }
 }
@@ -167,17 +468,21 @@ function findPathNodes(sources, targets, forwardAdj, backwardAdj, maxSteps) {
   return result;
 }
 
-// ─── Applicator ─────────────────────────────────────────────
+// ─── Evaluation ─────────────────────────────────────────────
 
 /**
- * Apply precedence rules to nodes and edges **in place**.
+ * Work out which nodes and edges precedence rules keep, without touching them.
  *
- * @param {Array}  nodes — normalised node array (will be mutated)
- * @param {Array}  edges — normalised edge array (will be mutated)
+ * @param {Array}  nodes
+ * @param {Array}  edges
  * @param {{ chains }} rules — output from parsePrecedence()
+ * @returns {{ nodeIds: Set<string>, edgeIds: Set<string>, nodeRanks: Map<string, number>, wildcardIds: Set<string> } | null}
+ *   nodeIds — matched nodes; edgeIds — edges that survive (both ends matched,
+ *   not running against the chain); nodeRanks — lower = higher precedence;
+ *   wildcardIds — nodes ranked by a wildcard group rather than a selector
  */
-export function applyPrecedence(nodes, edges, rules) {
-  if (!rules || !rules.chains) return;
+export function evaluatePrecedence(nodes, edges, rules) {
+  if (!rules || !rules.chains) return null;
 
   const nodeMap = new Map(nodes.map((n) => [n.id, n]));
   const nodeCount = nodes.length;
@@ -199,6 +504,7 @@ export function applyPrecedence(nodes, edges, rules) {
   // ── Accumulate visible nodes and ranks across all chains ─
   const visibleNodeIds = new Set();
   const nodeRanks = new Map(); // nodeId → minimum rank (lower = higher precedence)
+  const wildcardIds = new Set(); // nodes whose rank comes from a wildcard group
 
   for (const chain of rules.chains) {
     // 1. Resolve concrete (non-wildcard) groups → node ID sets
@@ -257,40 +563,134 @@ export function applyPrecedence(nodes, edges, rules) {
       for (const nodeId of resolved[i]) {
         visibleNodeIds.add(nodeId);
         const existing = nodeRanks.get(nodeId);
-        // Use the minimum rank (highest precedence) if a node appears in multiple groups
+        // Use the minimum rank (highest precedence) if a node appears in multiple groups;
+        // at equal rank a concrete match wins over a wildcard one
         if (existing === undefined || chain[i].rank < existing) {
           nodeRanks.set(nodeId, chain[i].rank);
+          if (chain[i].isWildcard) wildcardIds.add(nodeId);
+          else wildcardIds.delete(nodeId);
+        } else if (chain[i].rank === existing && !chain[i].isWildcard) {
+          wildcardIds.delete(nodeId);
         }
       }
     }
   }
 
-  // ── 4. Hide nodes not in the visible set ─────────────────
+  // ── 4. Keep edges between visible nodes ──────────────────
+  const edgeIds = new Set();
+  for (const edge of edges) {
+    // Source or target filtered out → edge filtered out
+    if (!visibleNodeIds.has(edge.source) || !visibleNodeIds.has(edge.target)) continue;
+
+    const sourceRank = nodeRanks.get(edge.source);
+    const targetRank = nodeRanks.get(edge.target);
+
+    // Both ranks known and edge goes backward → filtered out (cycle-breaking)
+    if (sourceRank !== undefined && targetRank !== undefined && sourceRank > targetRank) continue;
+
+    edgeIds.add(edge.id);
+  }
+
+  return { nodeIds: visibleNodeIds, edgeIds, nodeRanks, wildcardIds };
+}
+
+// ─── Layout Bounds ──────────────────────────────────────────
+
+/**
+ * Turn precedence ranks into layout rank bounds ({ [id]: row }).
+ *
+ * Concrete groups are pinned to one row each, in chain order. Wildcard members
+ * only get a band — from their group's row up to the row before the next
+ * group — so edges can still order them inside it. A band is as deep as the
+ * longest path among its members.
+ *
+ * @param {{ nodeRanks: Map<string, number>, wildcardIds: Set<string> }} result
+ * @param {Array} edges — the edges being laid out
+ * @returns {{ minRank: object, maxRank: object }}
+ */
+export function precedenceRankBounds(result, edges) {
+  const { nodeRanks, wildcardIds } = result;
+
+  // Wildcard members per rank, with the edges between members of one rank
+  const members = new Map(); // rank → Set<nodeId>
+  for (const id of wildcardIds) {
+    const rank = nodeRanks.get(id);
+    if (!members.has(rank)) members.set(rank, new Set());
+    members.get(rank).add(id);
+  }
+  const next = new Map(); // nodeId → Set<nodeId> within the same band
+  for (const e of edges) {
+    if (!wildcardIds.has(e.source) || !wildcardIds.has(e.target)) continue;
+    if (nodeRanks.get(e.source) !== nodeRanks.get(e.target)) continue;
+    if (!next.has(e.source)) next.set(e.source, new Set());
+    next.get(e.source).add(e.target);
+  }
+
+  // Longest path (in nodes) below each member; edges back into the DFS stack are ignored
+  const depth = new Map();
+  const open = new Set();
+  function longest(id) {
+    if (depth.has(id)) return depth.get(id);
+    open.add(id);
+    let below = 0;
+    for (const target of next.get(id) ?? []) {
+      if (!open.has(target)) below = Math.max(below, longest(target));
+    }
+    open.delete(id);
+    depth.set(id, below + 1);
+    return below + 1;
+  }
+
+  // First row and height of each rank's band
+  const rows = new Map();
+  let row = 0;
+  for (const rank of [...new Set(nodeRanks.values())].sort((a, b) => a - b)) {
+    let height = 1;
+    for (const id of members.get(rank) ?? []) height = Math.max(height, longest(id));
+    rows.set(rank, { first: row, last: row + height - 1 });
+    row += height;
+  }
+
+  const minRank = {};
+  const maxRank = {};
+  for (const [id, rank] of nodeRanks) {
+    const { first, last } = rows.get(rank);
+    minRank[id] = first;
+    maxRank[id] = wildcardIds.has(id) ? last : first;
+  }
+  return { minRank, maxRank };
+}
+
+// ─── Applicator ─────────────────────────────────────────────
+
+/**
+ * Apply precedence rules to nodes and edges **in place** by hiding what they filter out.
+ *
+ * @param {Array}  nodes — normalised node array (will be mutated)
+ * @param {Array}  edges — normalised edge array (will be mutated)
+ * @param {{ chains }} rules — output from parsePrecedence()
+ * @returns {object|null} The evaluatePrecedence() result, including `nodeRanks`
+ */
+export function applyPrecedence(nodes, edges, rules) {
+  const result = evaluatePrecedence(nodes, edges, rules);
+  if (!result) return null;
+
+  // Already-hidden items are left unflagged so clearPrecedence() keeps them hidden
   for (const node of nodes) {
-    if (!visibleNodeIds.has(node.id)) {
+    if (!result.nodeIds.has(node.id) && !node.hidden) {
       node.hidden = true;
       node._precedenceHidden = true;
     }
   }
 
-  // ── 5. Hide edges ────────────────────────────────────────
   for (const edge of edges) {
-    // Source or target hidden → edge hidden
-    if (!visibleNodeIds.has(edge.source) || !visibleNodeIds.has(edge.target)) {
-      edge.hidden = true;
-      edge._precedenceHidden = true;
-      continue;
-    }
-
-    const sourceRank = nodeRanks.get(edge.source);
-    const targetRank = nodeRanks.get(edge.target);
-
-    // Both ranks known and edge goes backward → hidden (cycle-breaking)
-    if (sourceRank !== undefined && targetRank !== undefined && sourceRank > targetRank) {
+    if (!result.edgeIds.has(edge.id) && !edge.hidden) {
       edge.hidden = true;
       edge._precedenceHidden = true;
     }
   }
+
+  return result;
 }
 
 // ─── Clear ──────────────────────────────────────────────────
@@ -0,0 +1,210 @@
+/**
+ * Alpine Flow - Graph Queries
+ *
+ * CSS-like lookup of nodes and edges. Queries use the precedence selector
+ * language (see precedence.js) plus traversal combinators and pseudo-classes.
+ *
+ * ─── Syntax ────────────────────────────────────────────────
+ *
+ *   :Type  id  [data.k=v]  !sel  (a & b)   Selectors, as in precedence
+ *   *                                      Every element
+ *   :selected  :hidden                     Element flags
+ *   :node  :edge                           Element kind
+ *   :root  :leaf                           Nodes without incoming / outgoing edges
+ *
+ *   A > B      B nodes that an A node has an edge to (outgoers)
+ *   A < B      B nodes that have an edge to an A node (incomers)
+ *   A ~ B      B nodes connected to an A node either way
+ *   q1; q2     Union of two queries
+ *
+ * A query without combinators matches nodes and edges alike; `!sel` only
+ * matches the kind of element `sel` is about (nodes for types and ids, unless
+ * written with `:edge`). With combinators the result is
+ * the nodes of the last step plus the edges of every step on a path to them.
+ *
+ * ─── API ───────────────────────────────────────────────────
+ *
+ *   parseQuery(str)                → query | null (throws QuerySyntaxError)
+ *   queryGraph(nodes, edges, query) → { nodes, edges }
+ */
+
+import { PrecedenceSyntaxError, createParser, matchesSelector } from './precedence.js';
+
+export const PSEUDO_CLASSES = Object.freeze(['selected', 'hidden', 'root', 'leaf', 'node', 'edge']);
+
+/**
+ * Thrown by parseQuery for malformed input. A PrecedenceSyntaxError subclass,
+ * so `offset` and `input` work the same way.
+ */
+export class QuerySyntaxError extends PrecedenceSyntaxError {
+  constructor(message, offset, input) {
+    super(message, offset, input);
+    this.name = 'QuerySyntaxError';
+  }
+}
+
+/**
+ * Parse a query string.
+ *
+ * @param {string} str — e.g. ":Person:selected > :Product"
+ * @returns {{ paths: Array<Array<{ combinator: string|null, selectors: Array|null }>> } | null}
+ *   null for an empty string
+ * @throws {QuerySyntaxError}
+ */
+export function parseQuery(str) {
+  if (!str || typeof str !== 'string' || !str.trim()) return null;
+
+  const paths = createParser(str, { pseudoClasses: PSEUDO_CLASSES, ErrorClass: QuerySyntaxError }).parseQuery();
+  return paths.length > 0 ? { paths } : null;
+}
+
+/**
+ * Which element kinds a selector is about, decided from the selector alone:
+ * types and ids are node selectors unless `:node` / `:edge` is written next
+ * to them; root/leaf are node-only; selected, hidden and attributes fit both.
+ */
+function kindsOf(sel) {
+  switch (sel.kind) {
+    case 'type':
+    case 'id':
+    case 'instance':
+      return { node: true, edge: false };
+    case 'pseudo':
+      if (sel.name === 'node' || sel.name === 'root' || sel.name === 'leaf') return { node: true, edge: false };
+      if (sel.name === 'edge') return { node: false, edge: true };
+      return { node: true, edge: true };
+    case 'not':
+      return kindsOf(sel.selector);
+    case 'and': {
+      const pinned = sel.selectors.find(isKindPseudo);
+      if (pinned) return kindsOf(pinned);
+      const kinds = sel.selectors.map(kindsOf);
+      return { node: kinds.every((k) => k.node), edge: kinds.every((k) => k.edge) };
+    }
+    case 'or': {
+      const kinds = sel.selectors.map(kindsOf);
+      return { node: kinds.some((k) => k.node), edge: kinds.some((k) => k.edge) };
+    }
+    default:
+      return { node: true, edge: true };
+  }
+}
+
+function isKindPseudo(sel) {
+  return sel.kind === 'pseudo' && (sel.name === 'node' || sel.name === 'edge');
+}
+
+/**
+ * Scope every `!sel` to the kind `sel` is about: `!:Product` is every node that
+ * isn't a product, not every edge too. `!:node` and `!:edge` keep their meaning.
+ */
+function restrictNegation(sel) {
+  switch (sel.kind) {
+    case 'not': {
+      const negated = { ...sel, selector: restrictNegation(sel.selector) };
+      const { node, edge } = kindsOf(sel.selector);
+      if ((node && edge) || isKindPseudo(sel.selector)) return negated;
+      return { kind: 'and', selectors: [{ kind: 'pseudo', name: node ? 'node' : 'edge' }, negated] };
+    }
+    case 'and':
+    case 'or':
+      return { ...sel, selectors: sel.selectors.map(restrictNegation) };
+    default:
+      return sel;
+  }
+}
+
+/**
+ * Run a query against a graph. Results keep the order of the input arrays.
+ *
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @param {string|object|null} query — a query string or parseQuery() output
+ * @returns {{ nodes: Array, edges: Array }}
+ * @throws {QuerySyntaxError} when `query` is an invalid string
+ */
+export function queryGraph(nodes, edges, query) {
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  if (!parsed?.paths) return { nodes: [], edges: [] };
+
+  const hasIncoming = new Set();
+  const hasOutgoing = new Set();
+  for (const edge of edges) {
+    if (edge.source === edge.target) continue;
+    hasOutgoing.add(edge.source);
+    hasIncoming.add(edge.target);
+  }
+
+  // Edges are never roots or leaves
+  const matchesPseudo = (element, name) => {
+    switch (name) {
+      case 'selected': return !!element.selected;
+      case 'hidden':   return !!element.hidden;
+      case 'root':     return !('source' in element) && !hasIncoming.has(element.id);
+      case 'leaf':     return !('source' in element) && !hasOutgoing.has(element.id);
+      case 'node':     return !('source' in element);
+      case 'edge':     return 'source' in element;
+      default:         return false;
+    }
+  };
+  const matchesStep = (element, selectors) =>
+    !selectors || selectors.some((s) => matchesSelector(element, s, matchesPseudo));
+
+  const nodeMap = new Map(nodes.map((n) => [n.id, n]));
+  const nodeIds = new Set();
+  const edgeIds = new Set();
+
+  for (const path of parsed.paths) {
+    const [first, ...rest] = path.map((step) => ({
+      ...step,
+      selectors: step.selectors && step.selectors.map(restrictNegation),
+    }));
+    let current = new Set(nodes.filter((n) => matchesStep(n, first.selectors)).map((n) => n.id));
+
+    if (rest.length === 0) {
+      for (const edge of edges) {
+        if (matchesStep(edge, first.selectors)) edgeIds.add(edge.id);
+      }
+    }
+
+    // Per step, the edges walked as [edge id, from, to]
+    const steps = [];
+    for (const { combinator, selectors } of rest) {
+      const reached = new Set();
+      const walked = [];
+      for (const edge of edges) {
+        const ends = [];
+        if (combinator !== '<' && current.has(edge.source)) ends.push([edge.source, edge.target]);
+        if (combinator !== '>' && current.has(edge.target)) ends.push([edge.target, edge.source]);
+
+        for (const [from, to] of ends) {
+          const node = nodeMap.get(to);
+          if (!node || !matchesStep(node, selectors)) continue;
+          reached.add(to);
+          walked.push([edge.id, from, to]);
+        }
+      }
+      steps.push(walked);
+      current = reached;
+    }
+
+    for (const id of current) nodeIds.add(id);
+
+    // Edges of every step, but only those on a path that reaches the last step
+    let kept = current;
+    for (let i = steps.length - 1; i >= 0; i--) {
+      const previous = new Set();
+      for (const [id, from, to] of steps[i]) {
+        if (!kept.has(to)) continue;
+        edgeIds.add(id);
+        previous.add(from);
+      }
+      kept = previous;
+    }
+  }
+
+  return {
+    nodes: nodes.filter((n) => nodeIds.has(n.id)),
+    edges: edges.filter((e) => edgeIds.has(e.id)),
+  };
+}
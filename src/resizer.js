@@ -0,0 +1,203 @@
+/**
+ * Alpine Flow - Node Resizer
+ * Corner and side grips that resize nodes with min/max constraints,
+ * aspect-ratio locking and snap-to-grid.
+ */
+
+import { DEFAULTS } from './constants.js';
+import { clamp, getNodeDimensions } from './geometry.js';
+
+export const RESIZE_CONTROLS = Object.freeze([
+  'top-left', 'top', 'top-right', 'right',
+  'bottom-right', 'bottom', 'bottom-left', 'left',
+]);
+
+const RESIZER_DEFAULTS = {
+  minWidth: 10,
+  minHeight: 10,
+  maxWidth: Infinity,
+  maxHeight: Infinity,
+  keepAspectRatio: false,
+};
+
+// ─── Resize Math ─────────────────────────────────────────────
+
+/**
+ * Compute the rect that results from dragging a resize control by (dx, dy).
+ * The edges not touched by the control stay fixed.
+ *
+ * @param {{ x, y, width, height }} startRect - Absolute rect at gesture start
+ * @param {number} dx - Pointer delta in flow units
+ * @param {number} dy
+ * @param {string} control - One of RESIZE_CONTROLS
+ * @param {object} constraints - { minWidth, minHeight, maxWidth, maxHeight, keepAspectRatio, snapGrid }
+ * @returns {{ x, y, width, height }}
+ */
+export function getResizedRect(startRect, dx, dy, control, constraints = {}) {
+  const {
+    minWidth, minHeight, maxWidth, maxHeight, keepAspectRatio, snapGrid,
+  } = { ...RESIZER_DEFAULTS, ...constraints };
+
+  const movesLeft = control.includes('left');
+  const movesRight = control.includes('right');
+  const movesTop = control.includes('top');
+  const movesBottom = control.includes('bottom');
+
+  let x1 = startRect.x;
+  let y1 = startRect.y;
+  let x2 = startRect.x + startRect.width;
+  let y2 = startRect.y + startRect.height;
+
+  if (movesLeft) x1 += dx;
+  if (movesRight) x2 += dx;
+  if (movesTop) y1 += dy;
+  if (movesBottom) y2 += dy;
+
+  // Snap only the edges being dragged
+  if (snapGrid) {
+    if (movesLeft) x1 = snapGrid[0] * Math.round(x1 / snapGrid[0]);
+    if (movesRight) x2 = snapGrid[0] * Math.round(x2 / snapGrid[0]);
+    if (movesTop) y1 = snapGrid[1] * Math.round(y1 / snapGrid[1]);
+    if (movesBottom) y2 = snapGrid[1] * Math.round(y2 / snapGrid[1]);
+  }
+
+  let width = clamp(x2 - x1, minWidth, maxWidth);
+  let height = clamp(y2 - y1, minHeight, maxHeight);
+
+  if (keepAspectRatio && startRect.width > 0 && startRect.height > 0) {
+    const ratio = startRect.width / startRect.height;
+    const isHorizontalOnly = (movesLeft || movesRight) && !movesTop && !movesBottom;
+    const isVerticalOnly = (movesTop || movesBottom) && !movesLeft && !movesRight;
+    const widthDrives = isHorizontalOnly || (!isVerticalOnly &&
+      Math.abs(width - startRect.width) / startRect.width >= Math.abs(height - startRect.height) / startRect.height);
+
+    // Scale both sides together, within the tighter of the two constraints
+    const scale = clamp(
+      widthDrives ? width / startRect.width : height / startRect.height,
+      Math.max(minWidth / startRect.width, minHeight / startRect.height),
+      Math.min(maxWidth / startRect.width, maxHeight / startRect.height),
+    );
+    width = startRect.width * scale;
+    height = width / ratio;
+  }
+
+  return {
+    x: movesLeft ? startRect.x + startRect.width - width : startRect.x,
+    y: movesTop ? startRect.y + startRect.height - height : startRect.y,
+    width,
+    height,
+  };
+}
+
+// ─── Resize Handler ──────────────────────────────────────────
+
+/**
+ * Create a resize handler driven by pointer events on resize controls.
+ *
+ * @param {Function} getState - Returns current state ({ viewport, nodeLookup, options })
+ * @param {object} callbacks - { onResizeStart, onResize, onResizeEnd }
+ *   onResize/onResizeEnd receive (event, { id, position, positionAbsolute, width, height })
+ * @returns {{ onPointerDown: Function, destroy: Function }}
+ */
+export function createNodeResizer(getState, callbacks) {
+  let active = null; // { nodeId, control, el, startPointer, startRect, startPosition, constraints, last }
+
+  function onPointerDown(event, nodeId, control) {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    event.preventDefault();
+
+    const { nodeLookup, options } = getState();
+    const node = nodeLookup.get(nodeId);
+    if (!node) return;
+
+    const absPos = node.internals.positionAbsolute;
+    // An explicit size is authoritative; measured dims are only a fallback
+    const dims = getNodeDimensions(node);
+    const width = node.width ?? dims.width;
+    const height = node.height ?? dims.height;
+
+    active = {
+      nodeId,
+      control,
+      el: event.currentTarget,
+      startPointer: { x: event.clientX, y: event.clientY },
+      startRect: { x: absPos.x, y: absPos.y, width, height },
+      startPosition: { ...node.position },
+      constraints: {
+        minWidth: node.minWidth ?? RESIZER_DEFAULTS.minWidth,
+        minHeight: node.minHeight ?? RESIZER_DEFAULTS.minHeight,
+        maxWidth: node.maxWidth ?? RESIZER_DEFAULTS.maxWidth,
+        maxHeight: node.maxHeight ?? RESIZER_DEFAULTS.maxHeight,
+        keepAspectRatio: !!node.keepAspectRatio,
+        snapGrid: options.snapToGrid ? (options.snapGrid ?? DEFAULTS.snapGrid) : null,
+      },
+      last: null,
+    };
+
+    active.el.setPointerCapture?.(event.pointerId);
+    active.el.addEventListener('pointermove', onPointerMove);
+    active.el.addEventListener('pointerup', onPointerUp);
+    active.el.addEventListener('pointercancel', onPointerUp);
+
+    callbacks.onResizeStart?.(event, nodeId);
+  }
+
+  function onPointerMove(event) {
+    if (!active) return;
+    const { viewport } = getState();
+
+    const dx = (event.clientX - active.startPointer.x) / viewport.zoom;
+    const dy = (event.clientY - active.startPointer.y) / viewport.zoom;
+    const rect = getResizedRect(active.startRect, dx, dy, active.control, active.constraints);
+
+    const prev = active.last;
+    if (prev && prev.width === rect.width && prev.height === rect.height &&
+        prev.positionAbsolute.x === rect.x && prev.positionAbsolute.y === rect.y) {
+      return;
+    }
+
+    // Node position may be parent-relative: shift it by the same absolute delta
+    active.last = {
+      id: active.nodeId,
+      position: {
+        x: active.startPosition.x + (rect.x - active.startRect.x),
+        y: active.startPosition.y + (rect.y - active.startRect.y),
+      },
+      positionAbsolute: { x: rect.x, y: rect.y },
+      width: rect.width,
+      height: rect.height,
+    };
+
+    callbacks.onResize?.(event, active.last);
+  }
+
+  function onPointerUp(event) {
+    if (!active) return;
+    const { el, nodeId, last } = active;
+
+    el.removeEventListener('pointermove', onPointerMove);
+    el.removeEventListener('pointerup', onPointerUp);
+    el.removeEventListener('pointercancel', onPointerUp);
+    try {
+      el.releasePointerCapture(event.pointerId);
+    } catch (e) { /* may already be released */ }
+
+    active = null;
+    callbacks.onResizeEnd?.(event, nodeId, last);
+  }
+
+  return {
+    onPointerDown,
+    isResizing: () => !!active,
+    destroy() {
+      if (!active) return;
+      active.el.removeEventListener('pointermove', onPointerMove);
+      active.el.removeEventListener('pointerup', onPointerUp);
+      active.el.removeEventListener('pointercancel', onPointerUp);
+      active = null;
+    },
+  };
+}
+
+export { RESIZER_DEFAULTS };
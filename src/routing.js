@@ -0,0 +1,539 @@
+/**
+ * Alpine Flow - Orthogonal Edge Routing
+ * Obstacle-avoiding orthogonal routes over node rectangles, plus a router
+ * that keeps a set of routes up to date as nodes move. No DOM access.
+ *
+ * Routes are found with A* over a sparse orthogonal visibility grid: its
+ * lines are the padded obstacle borders, the midlines between them and the
+ * route's own end stubs, so bends sit in the free channels between nodes.
+ * Parallel segments that share a channel are then spread apart.
+ */
+
+import { createMinHeap } from './algorithms.js';
+import { Position } from './constants.js';
+
+export const ROUTING_DEFAULTS = Object.freeze({
+  padding: 12,        // Clearance kept around every node (also the length of the end stubs)
+  bendPenalty: 30,    // Extra cost of a bend, in px of route length
+  channelSpacing: 6,  // Distance between parallel segments sharing a channel
+});
+
+// Direction indices: right, down, left, up. (d + 2) % 4 is the reverse.
+const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+const DIRECTION_OF = {
+  [Position.Right]: 0,
+  [Position.Bottom]: 1,
+  [Position.Left]: 2,
+  [Position.Top]: 3,
+};
+
+// Rerouting rounds that add newly hit obstacles before falling back to all of them
+const MAX_ROUNDS = 8;
+
+/**
+ * Route an edge around obstacles with horizontal and vertical segments only.
+ *
+ * @param {{ sourceX, sourceY, sourcePosition, targetX, targetY, targetPosition }} endpoints
+ * @param {Array<{ id?: string, x: number, y: number, width: number, height: number }>} obstacles
+ *   Node rectangles in flow coordinates; include the source and target nodes
+ * @param {{ padding?: number, bendPenalty?: number }} [options]
+ * @returns {Array<{ x: number, y: number }> | null} Bend points from the source
+ *   handle to the target handle, or null when every route is blocked
+ */
+export function routeOrthogonal(endpoints, obstacles, options = {}) {
+  return findRoute(endpoints, obstacles, { ...ROUTING_DEFAULTS, ...options }).points;
+}
+
+function findRoute(endpoints, obstacles, { padding, bendPenalty }) {
+  const sourceDir = DIRECTION_OF[endpoints.sourcePosition] ?? DIRECTION_OF[Position.Bottom];
+  const targetDir = DIRECTION_OF[endpoints.targetPosition] ?? DIRECTION_OF[Position.Top];
+  const source = { x: endpoints.sourceX, y: endpoints.sourceY };
+  const target = { x: endpoints.targetX, y: endpoints.targetY };
+  const start = { x: source.x + STEPS[sourceDir][0] * padding, y: source.y + STEPS[sourceDir][1] * padding };
+  const goal = { x: target.x + STEPS[targetDir][0] * padding, y: target.y + STEPS[targetDir][1] * padding };
+
+  // Obstacles around an end (e.g. the group a node sits in) can't be avoided, so they are ignored
+  const blocks = [];
+  for (const rect of obstacles) {
+    const block = padRect(rect, padding);
+    if (!containsPoint(block, start) && !containsPoint(block, goal)) blocks.push(block);
+  }
+
+  // Start with the obstacles between the ends, then add whatever the route runs into
+  const region = {
+    left: Math.min(start.x, goal.x), right: Math.max(start.x, goal.x),
+    top: Math.min(start.y, goal.y), bottom: Math.max(start.y, goal.y),
+  };
+  const used = new Set(blocks.filter((b) => overlapsRegion(b, region)));
+
+  // The route depends only on the blocks the search saw; any other obstacle
+  // matters only once it moves onto the route, which the router checks itself.
+  // A blocked route may be freed by any move, so it depends on everything.
+  const idsOf = (list) => new Set(list.filter((b) => b.id != null).map((b) => b.id));
+
+  for (let round = 0; ; round++) {
+    const path = searchGrid(start, goal, sourceDir, targetDir, [...used], bendPenalty);
+    if (!path) return { points: null, considered: idsOf(obstacles) };
+
+    const hits = blocks.filter((b) => !used.has(b) && crossesBlock(path, b));
+    if (hits.length === 0) {
+      return { points: simplify([source, ...path, target]), considered: idsOf([...used]) };
+    }
+    for (const block of round < MAX_ROUNDS ? hits : blocks) used.add(block);
+  }
+}
+
+// A* over (grid point, heading) states; cost is length plus a penalty per bend
+function searchGrid(start, goal, sourceDir, targetDir, blocks, bendPenalty) {
+  const xs = gridLines([start.x, goal.x], blocks, 'left', 'right');
+  const ys = gridLines([start.y, goal.y], blocks, 'top', 'bottom');
+  const ny = ys.length;
+  const stateCount = xs.length * ny * 4;
+  const cost = new Float64Array(stateCount).fill(Infinity);
+  const previous = new Int32Array(stateCount).fill(-1);
+  const closed = new Uint8Array(stateCount);
+
+  const gi = xs.indexOf(goal.x);
+  const gj = ys.indexOf(goal.y);
+  const arrival = (targetDir + 2) % 4;
+  const estimate = (i, j) => Math.abs(xs[i] - goal.x) + Math.abs(ys[j] - goal.y);
+  const { horizontal, vertical } = blockedSteps(xs, ys, blocks);
+  const isBlocked = (i, j, next) => {
+    switch (next) {
+      case 0: return horizontal[i * ny + j];
+      case 1: return vertical[i * ny + j];
+      case 2: return horizontal[(i - 1) * ny + j];
+      default: return vertical[i * ny + j - 1];
+    }
+  };
+
+  const heap = createMinHeap();
+  const si = xs.indexOf(start.x);
+  const sj = ys.indexOf(start.y);
+  const startKey = (si * ny + sj) * 4 + sourceDir;
+  cost[startKey] = 0;
+  heap.push(estimate(si, sj), startKey);
+
+  let best = Infinity;
+  let bestKey = -1;
+  while (heap.size() > 0) {
+    const { priority, value: key } = heap.pop();
+    if (priority >= best) break;
+    if (closed[key]) continue;
+    closed[key] = 1;
+
+    const dir = key % 4;
+    const cell = (key - dir) / 4;
+    const i = Math.floor(cell / ny);
+    const j = cell % ny;
+
+    if (i === gi && j === gj) {
+      // Arriving sideways costs the bend into the target stub
+      const total = cost[key] + (dir === arrival ? 0 : bendPenalty);
+      if (total < best) {
+        best = total;
+        bestKey = key;
+      }
+      continue;
+    }
+
+    for (let next = 0; next < 4; next++) {
+      if (next === (dir + 2) % 4) continue;
+      const ni = i + STEPS[next][0];
+      const nj = j + STEPS[next][1];
+      if (ni < 0 || nj < 0 || ni >= xs.length || nj >= ny) continue;
+
+      if (isBlocked(i, j, next)) continue;
+
+      const nextKey = (ni * ny + nj) * 4 + next;
+      const nextCost = cost[key]
+        + Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j])
+        + (next === dir ? 0 : bendPenalty);
+      if (nextCost >= cost[nextKey]) continue;
+      cost[nextKey] = nextCost;
+      previous[nextKey] = key;
+      heap.push(nextCost + estimate(ni, nj), nextKey);
+    }
+  }
+
+  if (bestKey < 0) return null;
+  const path = [];
+  for (let key = bestKey; key >= 0; key = previous[key]) {
+    const cell = Math.floor(key / 4);
+    path.unshift({ x: xs[Math.floor(cell / ny)], y: ys[cell % ny] });
+  }
+  return path;
+}
+
+/**
+ * Grid steps that run through the inside of a block, as flags indexed
+ * `i * ys.length + j`: `horizontal` for the step from column i to i + 1 on row
+ * j, `vertical` for the step from row j to j + 1 on column i. Grid lines
+ * include every block border, so each block covers a run of whole steps and
+ * is marked once instead of being tested on every step of the search.
+ */
+function blockedSteps(xs, ys, blocks) {
+  const ny = ys.length;
+  const column = new Map(xs.map((x, i) => [x, i]));
+  const row = new Map(ys.map((y, j) => [y, j]));
+  const horizontal = new Uint8Array(xs.length * ny);
+  const vertical = new Uint8Array(xs.length * ny);
+  for (const block of blocks) {
+    const left = column.get(block.left);
+    const right = column.get(block.right);
+    const top = row.get(block.top);
+    const bottom = row.get(block.bottom);
+    for (let i = left; i <= right; i++) {
+      for (let j = top; j <= bottom; j++) {
+        if (i < right && j > top && j < bottom) horizontal[i * ny + j] = 1;
+        if (j < bottom && i > left && i < right) vertical[i * ny + j] = 1;
+      }
+    }
+  }
+  return { horizontal, vertical };
+}
+
+// Sorted unique coordinates: the given ones, block borders and the midlines between them
+function gridLines(base, blocks, low, high) {
+  const values = [...base];
+  for (const block of blocks) values.push(block[low], block[high]);
+  values.sort((a, b) => a - b);
+
+  const lines = [];
+  for (const value of values) {
+    const last = lines[lines.length - 1];
+    if (last === value) continue;
+    if (last !== undefined) lines.push((last + value) / 2);
+    lines.push(value);
+  }
+  return lines;
+}
+
+function padRect(rect, padding) {
+  return {
+    id: rect.id,
+    left: rect.x - padding,
+    top: rect.y - padding,
+    right: rect.x + rect.width + padding,
+    bottom: rect.y + rect.height + padding,
+  };
+}
+
+function containsPoint(block, point) {
+  return point.x > block.left && point.x < block.right && point.y > block.top && point.y < block.bottom;
+}
+
+function overlapsRegion(block, region) {
+  return block.left <= region.right && block.right >= region.left
+    && block.top <= region.bottom && block.bottom >= region.top;
+}
+
+// Whether an orthogonal polyline passes through the inside of a block
+function crossesBlock(points, block) {
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    if (a.y === b.y) {
+      if (a.y > block.top && a.y < block.bottom
+        && Math.max(a.x, b.x) > block.left && Math.min(a.x, b.x) < block.right) return true;
+    } else if (a.x > block.left && a.x < block.right
+      && Math.max(a.y, b.y) > block.top && Math.min(a.y, b.y) < block.bottom) return true;
+  }
+  return false;
+}
+
+// Drop repeated points and points in the middle of a straight run
+function simplify(points) {
+  const result = [];
+  for (const point of points) {
+    const last = result[result.length - 1];
+    if (last && last.x === point.x && last.y === point.y) continue;
+    const beforeLast = result[result.length - 2];
+    if (beforeLast && ((beforeLast.x === last.x && last.x === point.x) || (beforeLast.y === last.y && last.y === point.y))) {
+      result[result.length - 1] = point;
+    } else {
+      result.push(point);
+    }
+  }
+  return result;
+}
+
+// ─── Channel Separation ──────────────────────────────────────
+
+/**
+ * Spread apart parallel segments of different routes that overlap on the same
+ * line, so shared channels show one line per edge. The first and last segment
+ * of each route stay on their handles.
+ *
+ * @param {Map<string, Array<{ x, y }> | null>} routes - Route points by edge id
+ * @param {number} [spacing]
+ * @returns {Map<string, Array<{ x, y }> | null>} New point arrays; the input is not modified
+ */
+export function separateChannels(routes, spacing = ROUTING_DEFAULTS.channelSpacing) {
+  const channels = new Map(); // 'h<y>' | 'v<x>' → segments on that line
+  const segmentsById = new Map();
+  for (const [id, route] of routes) {
+    const segments = getChannelSegments(id, route);
+    segmentsById.set(id, segments);
+    for (const segment of segments) {
+      if (!channels.has(segment.key)) channels.set(segment.key, []);
+      channels.get(segment.key).push(segment);
+    }
+  }
+  for (const segments of channels.values()) spreadChannel(segments, spacing);
+
+  const result = new Map();
+  for (const [id, route] of routes) result.set(id, shiftRoute(route, segmentsById.get(id)));
+  return result;
+}
+
+// The inner segments of a route, keyed by the line they run on. The first and
+// last segment stay on their handles, so they never take part.
+function getChannelSegments(id, points) {
+  const segments = [];
+  if (!points) return segments;
+  for (let i = 1; i < points.length - 2; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const horizontal = a.y === b.y;
+    const axis = horizontal ? 'y' : 'x';
+    const along = horizontal ? 'x' : 'y';
+    // Segments whose neighbours lie on the same side share an order, which keeps crossings down
+    const side = Math.sign(points[i - 1][axis] - a[axis]) + Math.sign(points[i + 2][axis] - b[axis]);
+    segments.push({
+      key: `${horizontal ? 'h' : 'v'}${Math.round(a[axis])}`,
+      id, index: i, axis, side,
+      from: Math.min(a[along], b[along]),
+      to: Math.max(a[along], b[along]),
+      shift: 0,
+    });
+  }
+  return segments;
+}
+
+// Set the `shift` of every segment on one line: overlapping segments of
+// different routes spread out around the line
+function spreadChannel(segments, spacing) {
+  for (const segment of segments) segment.shift = 0;
+  if (segments.length < 2) return;
+  const sorted = [...segments].sort((a, b) => a.from - b.from);
+
+  let cluster = [];
+  let clusterEnd = -Infinity;
+  for (const segment of sorted) {
+    if (segment.from >= clusterEnd) {
+      spreadCluster(cluster, spacing);
+      cluster = [];
+    }
+    cluster.push(segment);
+    clusterEnd = Math.max(clusterEnd, segment.to);
+  }
+  spreadCluster(cluster, spacing);
+}
+
+function spreadCluster(cluster, spacing) {
+  if (new Set(cluster.map((s) => s.id)).size < 2) return;
+  cluster.sort((a, b) => a.side - b.side || (a.id < b.id ? -1 : a.id > b.id ? 1 : a.index - b.index));
+  cluster.forEach((segment, k) => {
+    segment.shift = (k - (cluster.length - 1) / 2) * spacing;
+  });
+}
+
+// New points for a route with its segments' shifts applied
+function shiftRoute(route, segments) {
+  if (!route) return null;
+  const points = route.map((p) => ({ x: p.x, y: p.y }));
+  for (const { index, axis, shift } of segments) {
+    points[index][axis] += shift;
+    points[index + 1][axis] += shift;
+  }
+  return points;
+}
+
+// ─── Edge Router ─────────────────────────────────────────────
+
+/**
+ * Keep orthogonal routes for a set of edges up to date. Only routes whose
+ * endpoints changed, or that an obstacle change may affect, are searched
+ * again, and only the channels those routes leave or enter are separated again.
+ *
+ * @param {{ padding?: number, bendPenalty?: number, channelSpacing?: number }} [options]
+ */
+export function createEdgeRouter(options = {}) {
+  const settings = { ...ROUTING_DEFAULTS, ...options };
+  const obstacles = new Map(); // node id → { id, x, y, width, height }
+  const routes = new Map();    // edge id → { endpoints, key, raw, considered, segments, dirty }
+  const channels = new Map();  // channel key → Set of segments on that line
+  const touched = new Set();   // channel keys to separate again
+  const separated = new Map(); // edge id → final points
+  const unread = new Set();    // edge ids whose final points changed since getPoints()
+  let stale = false;
+
+  function addSegments(route) {
+    for (const segment of route.segments) {
+      if (!channels.has(segment.key)) channels.set(segment.key, new Set());
+      channels.get(segment.key).add(segment);
+      touched.add(segment.key);
+    }
+  }
+
+  function removeSegments(route) {
+    for (const segment of route.segments) {
+      const channel = channels.get(segment.key);
+      channel.delete(segment);
+      if (channel.size === 0) channels.delete(segment.key);
+      touched.add(segment.key);
+    }
+    route.segments = [];
+  }
+
+  /**
+   * Add, move or resize an obstacle; `rect` null removes it.
+   */
+  function setObstacle(id, rect) {
+    const current = obstacles.get(id);
+    if (!rect) {
+      if (!current) return;
+      obstacles.delete(id);
+    } else {
+      if (current && current.x === rect.x && current.y === rect.y
+        && current.width === rect.width && current.height === rect.height) return;
+      obstacles.set(id, { id, x: rect.x, y: rect.y, width: rect.width, height: rect.height });
+    }
+
+    const block = rect && padRect(rect, settings.padding);
+    for (const route of routes.values()) {
+      if (route.dirty) continue;
+      if (route.considered.has(id) || (block && route.raw && crossesBlock(route.raw, block))) {
+        route.dirty = true;
+        stale = true;
+      }
+    }
+  }
+
+  /**
+   * Replace the whole obstacle set; only the differences invalidate routes.
+   * @param {Array<{ id: string, x, y, width, height }>} rects
+   */
+  function setObstacles(rects) {
+    const ids = new Set(rects.map((r) => r.id));
+    for (const id of [...obstacles.keys()]) {
+      if (!ids.has(id)) setObstacle(id, null);
+    }
+    for (const rect of rects) setObstacle(rect.id, rect);
+  }
+
+  /**
+   * Register or update an edge's endpoints ({ sourceX, sourceY, sourcePosition,
+   * targetX, targetY, targetPosition }). Unchanged endpoints keep the route.
+   */
+  function setRoute(id, endpoints) {
+    const key = [
+      endpoints.sourceX, endpoints.sourceY, endpoints.sourcePosition,
+      endpoints.targetX, endpoints.targetY, endpoints.targetPosition,
+    ].join(',');
+    const current = routes.get(id);
+    if (current?.key === key) return;
+    if (current) removeSegments(current);
+    routes.set(id, { endpoints: { ...endpoints }, key, raw: null, considered: new Set(), segments: [], dirty: true });
+    stale = true;
+  }
+
+  function removeRoute(id) {
+    const route = routes.get(id);
+    if (!route) return;
+    removeSegments(route);
+    routes.delete(id);
+    separated.delete(id);
+    unread.delete(id);
+    stale = true;
+  }
+
+  /**
+   * Drop every route whose edge id is not in `ids`.
+   */
+  function retain(ids) {
+    for (const id of [...routes.keys()]) {
+      if (!ids.has(id)) removeRoute(id);
+    }
+  }
+
+  function refresh() {
+    if (!stale) return;
+    stale = false;
+
+    const rects = [...obstacles.values()];
+    const affected = new Set();
+    for (const [id, route] of routes) {
+      if (!route.dirty) continue;
+      const { points, considered } = findRoute(route.endpoints, rects, settings);
+      removeSegments(route);
+      route.raw = points;
+      route.considered = considered;
+      route.segments = getChannelSegments(id, points);
+      route.dirty = false;
+      addSegments(route);
+      affected.add(id);
+    }
+
+    for (const key of touched) {
+      const segments = [...(channels.get(key) ?? [])];
+      spreadChannel(segments, settings.channelSpacing);
+      for (const segment of segments) affected.add(segment.id);
+    }
+    touched.clear();
+
+    for (const id of affected) {
+      const route = routes.get(id);
+      const points = shiftRoute(route.raw, route.segments);
+      if (!samePoints(separated.get(id), points)) unread.add(id);
+      separated.set(id, points);
+    }
+  }
+
+  /**
+   * Reroute what changed.
+   * @returns {Set<string>} Edge ids whose points changed since they were last read with getPoints()
+   */
+  function update() {
+    refresh();
+    const changed = new Set(unread);
+    unread.clear();
+    return changed;
+  }
+
+  /**
+   * The current route of an edge, brought up to date first.
+   * @returns {Array<{ x, y }> | null} null for unknown or blocked edges
+   */
+  function getPoints(id) {
+    refresh();
+    unread.delete(id);
+    return separated.get(id) ?? null;
+  }
+
+  /**
+   * Edges the next update() will search again.
+   * @returns {Set<string>}
+   */
+  function pending() {
+    return new Set([...routes].filter(([, route]) => route.dirty).map(([id]) => id));
+  }
+
+  function clear() {
+    obstacles.clear();
+    routes.clear();
+    channels.clear();
+    touched.clear();
+    separated.clear();
+    unread.clear();
+    stale = false;
+  }
+
+  return { setObstacle, setObstacles, setRoute, removeRoute, retain, update, getPoints, pending, clear };
+}
+
+function samePoints(a, b) {
+  if (!a || !b) return a === b;
+  return a.length === b.length && a.every((p, i) => p.x === b[i].x && p.y === b[i].y);
+}
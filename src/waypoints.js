@@ -0,0 +1,143 @@
+/**
+ * Alpine Flow - Edge Waypoints
+ * User-placed bend points on edges: where a new one is inserted, when a
+ * dragged one merges into its neighbour, and the pointer drag handler.
+ *
+ * Helpers take the edge's stops: [source, ...waypoints, target], all { x, y }
+ * in flow coordinates.
+ */
+
+import { DEFAULTS } from './constants.js';
+import { snapPosition } from './geometry.js';
+
+// ─── Waypoint Math ───────────────────────────────────────────
+
+/**
+ * Where a waypoint at `position` belongs in the waypoints array: after the
+ * stop that starts the hop passing closest to it.
+ *
+ * @param {Array<{ x, y }>} stops - [source, ...waypoints, target]
+ * @param {{ x, y }} position
+ * @returns {number} Index into the waypoints array
+ */
+export function getWaypointInsertIndex(stops, position) {
+  let bestIndex = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < stops.length - 1; i++) {
+    const distance = distanceToSegment(position, stops[i], stops[i + 1]);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = i;
+    }
+  }
+  return bestIndex;
+}
+
+/**
+ * Whether waypoint `index` lies within `threshold` of the stop before or after
+ * it, i.e. it was dropped onto a neighbour and should be removed.
+ *
+ * @param {Array<{ x, y }>} stops - [source, ...waypoints, target]
+ * @param {number} index - Index into the waypoints array
+ * @param {number} threshold - Flow units
+ */
+export function isWaypointMerged(stops, index, threshold) {
+  const point = stops[index + 1];
+  return [stops[index], stops[index + 2]].some(
+    (neighbor) => Math.hypot(neighbor.x - point.x, neighbor.y - point.y) <= threshold
+  );
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// ─── Drag Handler ────────────────────────────────────────────
+
+/**
+ * Create a drag handler for waypoint handles.
+ *
+ * @param {Function} getState - Returns current state ({ viewport, edgeLookup, options })
+ * @param {object} callbacks - { onDragStart, onDrag, onDragEnd }
+ *   onDrag receives (event, { id, index, position });
+ *   onDragEnd receives (event, edgeId, index, lastChange | null)
+ * @returns {{ onPointerDown: Function, isDragging: Function, destroy: Function }}
+ */
+export function createWaypointDragHandler(getState, callbacks) {
+  let active = null; // { edgeId, index, el, startPointer, startPosition, snapGrid, last }
+
+  function onPointerDown(event, edgeId, index) {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    event.preventDefault();
+
+    const { edgeLookup, options } = getState();
+    const point = edgeLookup.get(edgeId)?.waypoints?.[index];
+    if (!point) return;
+
+    active = {
+      edgeId,
+      index,
+      el: event.currentTarget,
+      startPointer: { x: event.clientX, y: event.clientY },
+      startPosition: { x: point.x, y: point.y },
+      snapGrid: options.snapToGrid ? (options.snapGrid ?? DEFAULTS.snapGrid) : null,
+      last: null,
+    };
+
+    active.el.setPointerCapture?.(event.pointerId);
+    active.el.addEventListener('pointermove', onPointerMove);
+    active.el.addEventListener('pointerup', onPointerUp);
+    active.el.addEventListener('pointercancel', onPointerUp);
+
+    callbacks.onDragStart?.(event, edgeId, index);
+  }
+
+  function onPointerMove(event) {
+    if (!active) return;
+    const { viewport } = getState();
+
+    let position = {
+      x: active.startPosition.x + (event.clientX - active.startPointer.x) / viewport.zoom,
+      y: active.startPosition.y + (event.clientY - active.startPointer.y) / viewport.zoom,
+    };
+    if (active.snapGrid) position = snapPosition(position, active.snapGrid);
+
+    const prev = active.last?.position;
+    if (prev && prev.x === position.x && prev.y === position.y) return;
+
+    active.last = { id: active.edgeId, index: active.index, position };
+    callbacks.onDrag?.(event, active.last);
+  }
+
+  function onPointerUp(event) {
+    if (!active) return;
+    const { el, edgeId, index, last } = active;
+
+    el.removeEventListener('pointermove', onPointerMove);
+    el.removeEventListener('pointerup', onPointerUp);
+    el.removeEventListener('pointercancel', onPointerUp);
+    try {
+      el.releasePointerCapture(event.pointerId);
+    } catch (e) { /* may already be released */ }
+
+    active = null;
+    callbacks.onDragEnd?.(event, edgeId, index, last);
+  }
+
+  return {
+    onPointerDown,
+    isDragging: () => !!active,
+    destroy() {
+      if (!active) return;
+      active.el.removeEventListener('pointermove', onPointerMove);
+      active.el.removeEventListener('pointerup', onPointerUp);
+      active.el.removeEventListener('pointercancel', onPointerUp);
+      active = null;
+    },
+  };
+}
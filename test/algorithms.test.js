@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  shortestPath, findCycle, topologicalSort, GraphCycleError,
+  getStronglyConnectedComponents, getWeaklyConnectedComponents,
+} from '../src/algorithms.js';
+
+const nodesOf = (...ids) => ids.map((id) => ({ id }));
+const edge = (source, target, data = {}) => ({ id: `${source}-${target}`, source, target, data });
+const ids = (list) => list.map((n) => n.id);
+
+test('shortest path takes the fewest edges without a weight', () => {
+  const nodes = nodesOf('a', 'b', 'c', 'd');
+  const edges = [edge('a', 'b'), edge('b', 'c'), edge('c', 'd'), edge('a', 'd')];
+  const path = shortestPath(nodes, edges, 'a', 'd');
+  assert.deepEqual(ids(path.nodes), ['a', 'd']);
+  assert.deepEqual(ids(path.edges), ['a-d']);
+  assert.equal(path.distance, 1);
+});
+
+test('shortest path follows the weight when one is given', () => {
+  const nodes = nodesOf('a', 'b', 'c', 'd');
+  const edges = [edge('a', 'b', { cost: 1 }), edge('b', 'c', { cost: 1 }), edge('c', 'd', { cost: 1 }), edge('a', 'd', { cost: 5 })];
+  const path = shortestPath(nodes, edges, 'a', 'd', { weight: (e) => e.data.cost });
+  assert.deepEqual(ids(path.nodes), ['a', 'b', 'c', 'd']);
+  assert.equal(path.distance, 3);
+});
+
+test('shortest path respects edge direction unless told otherwise', () => {
+  const nodes = nodesOf('a', 'b');
+  const edges = [edge('b', 'a')];
+  assert.equal(shortestPath(nodes, edges, 'a', 'b'), null);
+  assert.deepEqual(ids(shortestPath(nodes, edges, 'a', 'b', { directed: false }).nodes), ['a', 'b']);
+});
+
+test('shortest path rejects negative weights', () => {
+  const nodes = nodesOf('a', 'b');
+  assert.throws(() => shortestPath(nodes, [edge('a', 'b')], 'a', 'b', { weight: () => -1 }), RangeError);
+});
+
+test('findCycle returns a cycle in walk order, or null', () => {
+  const nodes = nodesOf('a', 'b', 'c', 'd');
+  assert.equal(findCycle(nodes, [edge('a', 'b'), edge('b', 'c'), edge('a', 'c')]), null);
+
+  const cycle = findCycle(nodes, [edge('a', 'b'), edge('b', 'c'), edge('c', 'a'), edge('c', 'd')]);
+  assert.equal(cycle.nodes.length, 3);
+  cycle.edges.forEach((e, i) => {
+    assert.equal(e.source, cycle.nodes[i].id);
+    assert.equal(e.target, cycle.nodes[(i + 1) % cycle.nodes.length].id);
+  });
+});
+
+test('a self-loop is a cycle of one node', () => {
+  const cycle = findCycle(nodesOf('a', 'b'), [edge('a', 'b'), edge('b', 'b')]);
+  assert.deepEqual(ids(cycle.nodes), ['b']);
+});
+
+test('topologicalSort orders every edge forward and keeps input order on ties', () => {
+  const nodes = nodesOf('d', 'c', 'b', 'a');
+  const edges = [edge('a', 'b'), edge('c', 'b'), edge('b', 'd')];
+  const order = ids(topologicalSort(nodes, edges));
+  assert.deepEqual(order, ['c', 'a', 'b', 'd']);
+});
+
+test('topologicalSort throws a GraphCycleError carrying the cycle', () => {
+  const nodes = nodesOf('a', 'b', 'c');
+  const edges = [edge('a', 'b'), edge('b', 'c'), edge('c', 'b')];
+  assert.throws(() => topologicalSort(nodes, edges), (error) => {
+    assert.ok(error instanceof GraphCycleError);
+    assert.deepEqual(new Set(ids(error.cycle.nodes)), new Set(['b', 'c']));
+    return true;
+  });
+});
+
+test('strongly connected components group nodes on a common cycle', () => {
+  const nodes = nodesOf('a', 'b', 'c', 'd', 'e');
+  const edges = [edge('a', 'b'), edge('b', 'a'), edge('b', 'c'), edge('c', 'd'), edge('d', 'c'), edge('d', 'e')];
+  const components = getStronglyConnectedComponents(nodes, edges).map((c) => ids(c).sort());
+  // Reverse topological order of the condensed graph: sinks first
+  assert.deepEqual(components, [['e'], ['c', 'd'], ['a', 'b']]);
+});
+
+test('weakly connected components ignore edge direction', () => {
+  const nodes = nodesOf('a', 'b', 'c', 'd', 'e');
+  const edges = [edge('b', 'a'), edge('c', 'b'), edge('d', 'e')];
+  const components = getWeaklyConnectedComponents(nodes, edges).map((c) => ids(c).sort());
+  assert.deepEqual(components, [['a', 'b', 'c'], ['d', 'e']]);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { materializeClipboardData, parseClipboardData } from '../src/clipboard.js';
+
+// Predictable ids: type-1, type-2, …
+function counter() {
+  let next = 0;
+  return (prefix) => `${prefix}-${++next}`;
+}
+
+const data = {
+  nodes: [
+    { id: 'g', type: 'group', position: { x: 100, y: 100 } },
+    { id: 'a', parentId: 'g', position: { x: 10, y: 20 } },
+    { id: 'b', position: { x: 300, y: 50 } },
+    { id: 'orphan', parentId: 'not-copied', position: { x: 500, y: 500 } },
+  ],
+  edges: [
+    { id: 'e1', source: 'a', target: 'b', label: 'uses' },
+    { id: 'e2', source: 'b', target: 'outside' },
+  ],
+};
+
+test('pasted nodes and edges get fresh ids with links remapped', () => {
+  const { nodes, edges } = materializeClipboardData(data, { createId: counter() });
+  const idOf = new Map(data.nodes.map((n, i) => [n.id, nodes[i].id]));
+
+  assert.deepEqual(nodes.map((n) => n.id), ['group-1', 'node-2', 'node-3', 'node-4']);
+  assert.equal(nodes[1].parentId, idOf.get('g'));
+  assert.ok(nodes.every((n) => n.selected));
+
+  // Only edges with both ends in the copy survive, pointing at the new ids
+  assert.equal(edges.length, 1);
+  assert.equal(edges[0].id, 'e-5');
+  assert.equal(edges[0].source, idOf.get('a'));
+  assert.equal(edges[0].target, idOf.get('b'));
+  assert.equal(edges[0].label, 'uses');
+});
+
+test('parent links to nodes outside the copy are dropped', () => {
+  const { nodes } = materializeClipboardData(data, { createId: counter() });
+  assert.equal('parentId' in nodes[3], false);
+});
+
+test('the source data is left untouched', () => {
+  const before = JSON.stringify(data);
+  materializeClipboardData(data, { createId: counter(), offset: { x: 20, y: 20 } });
+  assert.equal(JSON.stringify(data), before);
+});
+
+test('top-level nodes move by the offset, from `position` when given', () => {
+  const shifted = materializeClipboardData(data, { createId: counter(), offset: { x: 20, y: 20 } }).nodes;
+  assert.deepEqual(shifted[0].position, { x: 120, y: 120 });
+  // Children stay relative to their parent
+  assert.deepEqual(shifted[1].position, { x: 10, y: 20 });
+
+  const placed = materializeClipboardData(data, { createId: counter(), position: { x: 0, y: 0 }, offset: { x: 20, y: 20 } }).nodes;
+  // The top-left corner of the top-level nodes (g's x, b's y) lands at position + offset
+  assert.deepEqual(placed[0].position, { x: 20, y: 70 });
+  assert.deepEqual(placed[2].position, { x: 220, y: 20 });
+});
+
+test('parseClipboardData accepts toJSON() output only', () => {
+  assert.equal(parseClipboardData('not json'), null);
+  assert.equal(parseClipboardData(JSON.stringify({ nodes: [] })), null);
+  assert.equal(parseClipboardData(JSON.stringify(data)).edges.length, 2);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutNodes } from '../src/layout.js';
+
+const WIDTH = 100;
+const HEIGHT = 40;
+
+const placed = (id, x, y) => ({ id, position: { x, y }, width: WIDTH, height: HEIGHT, _needsLayout: false });
+const fresh = (id) => ({ id, position: { x: 0, y: 0 }, width: WIDTH, height: HEIGHT, _needsLayout: true });
+const edge = (source, target) => ({ id: `${source}-${target}`, source, target });
+
+function assertNoOverlaps(nodes) {
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const a = nodes[i].position;
+      const b = nodes[j].position;
+      const apart = a.x + WIDTH <= b.x || b.x + WIDTH <= a.x || a.y + HEIGHT <= b.y || b.y + HEIGHT <= a.y;
+      assert.ok(apart, `${nodes[i].id} overlaps ${nodes[j].id}`);
+    }
+  }
+}
+
+test('incremental layout leaves placed nodes alone when there is room', () => {
+  const nodes = [placed('p', 0, 0), placed('a', -400, 200), placed('b', 400, 200), fresh('n')];
+  const edges = [edge('p', 'a'), edge('p', 'b'), edge('p', 'n')];
+  const laid = layoutNodes(nodes, edges, { incremental: true });
+
+  for (const node of nodes.filter((n) => !n._needsLayout)) {
+    assert.deepEqual(laid.find((n) => n.id === node.id).position, node.position);
+  }
+  // The new child joins its siblings' row, under its parent
+  const n = laid.find((node) => node.id === 'n').position;
+  assert.equal(n.y, 200);
+  assert.equal(n.x, 0);
+  assertNoOverlaps(laid);
+});
+
+test('incremental layout makes room without overlaps or reordering', () => {
+  const row = ['a', 'b', 'c', 'd'];
+  const nodes = [
+    placed('p', 150, 0),
+    ...row.map((id, i) => placed(id, i * 110, 200)),
+    fresh('n1'), fresh('n2'), fresh('n3'),
+  ];
+  const edges = [...row, 'n1', 'n2', 'n3'].map((id) => edge('p', id));
+  const laid = layoutNodes(nodes, edges, { incremental: true });
+  const byId = new Map(laid.map((n) => [n.id, n.position]));
+
+  assertNoOverlaps(laid);
+  // Placed nodes keep their rank and their order along it
+  for (const id of row) assert.equal(byId.get(id).y, 200);
+  const xs = row.map((id) => byId.get(id).x);
+  assert.deepEqual(xs, [...xs].sort((a, b) => a - b));
+  for (const id of ['n1', 'n2', 'n3']) assert.equal(byId.get(id).y, 200);
+});
+
+test('new chains below placed nodes follow the topology', () => {
+  const nodes = [placed('p', 0, 0), fresh('a'), fresh('b')];
+  const laid = layoutNodes(nodes, [edge('p', 'a'), edge('a', 'b')], { incremental: true, rankSpacing: 100 });
+  const byId = new Map(laid.map((n) => [n.id, n.position]));
+
+  assert.deepEqual(byId.get('p'), { x: 0, y: 0 });
+  assert.ok(byId.get('a').y > byId.get('p').y);
+  assert.ok(byId.get('b').y > byId.get('a').y);
+  assertNoOverlaps(laid);
+});
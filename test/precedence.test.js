@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrecedence, evaluatePrecedence, precedenceRankBounds, PrecedenceSyntaxError } from '../src/precedence.js';
+import { parseQuery, QuerySyntaxError } from '../src/query.js';
+
+// Each input fails at the offset of the character it chokes on
+const failures = [
+  [':A >', 4, 'Expected a selector but found end of input'],
+  [':A > > :B', 5, "Expected a selector but found '>'"],
+  ['a b', 2, 'A selector can name only one id'],
+  ['[data.x=', 8, "Expected a value after '='"],
+  ['(:A & :B', 8, "Expected ')'"],
+  [':A > ** :B', 8, 'A wildcard must stand alone'],
+  ['"unterminated', 0, 'Unterminated string'],
+  [':A # :B', 3, "Unexpected character '#'"],
+];
+
+for (const [input, offset, message] of failures) {
+  test(`parsePrecedence(${JSON.stringify(input)}) fails at offset ${offset}`, () => {
+    assert.throws(() => parsePrecedence(input), (error) => {
+      assert.ok(error instanceof PrecedenceSyntaxError);
+      assert.equal(error.offset, offset);
+      assert.equal(error.input, input);
+      assert.ok(error.message.startsWith(message), error.message);
+      assert.ok(error.message.endsWith(`at offset ${offset}`), error.message);
+      return true;
+    });
+  });
+}
+
+test('query syntax errors report offsets the same way', () => {
+  assert.throws(() => parseQuery(':A > :B >'), (error) => {
+    assert.ok(error instanceof QuerySyntaxError);
+    assert.ok(error instanceof PrecedenceSyntaxError);
+    assert.equal(error.offset, 9);
+    return true;
+  });
+});
+
+test('quoted ids may contain spaces', () => {
+  const rules = parsePrecedence('"a b" > :B');
+  assert.deepEqual(rules.chains[0][0].selectors, [{ kind: 'id', id: 'a b' }]);
+});
+
+test('wildcard members get a band of layout rows between their anchors', () => {
+  const nodes = ['P', 'A', 'B', 'C', 'X'].map((id) => ({ id, type: id }));
+  const edges = [['P', 'A'], ['A', 'B'], ['B', 'C'], ['C', 'X']].map(([source, target]) => ({ id: source + target, source, target }));
+  const result = evaluatePrecedence(nodes, edges, parsePrecedence(':P > ** > :X'));
+  const { minRank, maxRank } = precedenceRankBounds(result, edges);
+
+  assert.deepEqual(minRank, { P: 0, A: 1, B: 1, C: 1, X: 4 });
+  assert.deepEqual(maxRank, { P: 0, A: 3, B: 3, C: 3, X: 4 });
+});
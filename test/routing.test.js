@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEdgeRouter, routeOrthogonal, separateChannels } from '../src/routing.js';
+
+// A 10×10 grid of nodes; each node of the first eight columns has an edge to its
+// right-hand neighbour, so the last column is connected to nothing
+function buildGrid() {
+  const router = createEdgeRouter();
+  const rect = (i, j) => ({ id: `n${i}-${j}`, x: i * 200, y: j * 120, width: 100, height: 40 });
+  const rects = [];
+  for (let i = 0; i < 10; i++) for (let j = 0; j < 10; j++) rects.push(rect(i, j));
+  router.setObstacles(rects);
+  for (let i = 0; i < 8; i++) {
+    for (let j = 0; j < 10; j++) {
+      const from = rect(i, j);
+      const to = rect(i + 1, j);
+      router.setRoute(`e${i}-${j}`, {
+        sourceX: from.x + from.width, sourceY: from.y + 20, sourcePosition: 'right',
+        targetX: to.x, targetY: to.y + 20, targetPosition: 'left',
+      });
+    }
+  }
+  router.update();
+  return { router, rect };
+}
+
+test('moving an unrelated node re-routes nothing', () => {
+  const { router, rect } = buildGrid();
+  const corner = rect(9, 9);
+  router.setObstacle(corner.id, { ...corner, x: corner.x + 300, y: corner.y + 300 });
+  assert.deepEqual(router.pending(), new Set());
+  assert.deepEqual(router.update(), new Set());
+});
+
+test('moving a node onto a route re-routes that edge only', () => {
+  const { router, rect } = buildGrid();
+  const node = rect(9, 9);
+  // Into the gap between n1-0 and n2-0, where e1-0 runs
+  router.setObstacle(node.id, { ...node, x: 330, y: 0, width: 40 });
+  assert.deepEqual(router.pending(), new Set(['e1-0']));
+  assert.ok(router.update().has('e1-0'));
+});
+
+test('moving a node a route went around re-routes that route', () => {
+  const router = createEdgeRouter();
+  router.setObstacles([
+    { id: 'a', x: 0, y: 0, width: 100, height: 40 },
+    { id: 'wall', x: 200, y: -100, width: 40, height: 240 },
+    { id: 'b', x: 400, y: 0, width: 100, height: 40 },
+  ]);
+  const endpoints = {
+    sourceX: 100, sourceY: 20, sourcePosition: 'right',
+    targetX: 400, targetY: 20, targetPosition: 'left',
+  };
+  router.setRoute('e', endpoints);
+  assert.ok(router.getPoints('e').length > 2);
+
+  router.setObstacle('wall', { x: 200, y: 500, width: 40, height: 240 });
+  assert.deepEqual(router.pending(), new Set(['e']));
+  assert.equal(router.getPoints('e').length, 2);
+});
+
+test('channels stay separated as routes come and go', () => {
+  const obstacles = [
+    { id: 'a', x: 0, y: 0, width: 100, height: 40 },
+    { id: 'b', x: 0, y: 200, width: 100, height: 40 },
+    { id: 'c', x: 400, y: 0, width: 100, height: 40 },
+    { id: 'd', x: 400, y: 200, width: 100, height: 40 },
+    { id: 'wall', x: 200, y: -100, width: 40, height: 440 },
+  ];
+  const endpoints = {
+    ac: { sourceX: 100, sourceY: 20, sourcePosition: 'right', targetX: 400, targetY: 20, targetPosition: 'left' },
+    bd: { sourceX: 100, sourceY: 220, sourcePosition: 'right', targetX: 400, targetY: 220, targetPosition: 'left' },
+    ad: { sourceX: 100, sourceY: 30, sourcePosition: 'right', targetX: 400, targetY: 210, targetPosition: 'left' },
+  };
+  const router = createEdgeRouter();
+  router.setObstacles(obstacles);
+  const expected = (ids) => separateChannels(new Map(ids.map((id) => [id, routeOrthogonal(endpoints[id], obstacles)])));
+
+  for (const id of Object.keys(endpoints)) router.setRoute(id, endpoints[id]);
+  router.update();
+  for (const [id, points] of expected(['ac', 'bd', 'ad'])) assert.deepEqual(router.getPoints(id), points);
+
+  router.removeRoute('ad');
+  router.update();
+  for (const [id, points] of expected(['ac', 'bd'])) assert.deepEqual(router.getPoints(id), points);
+});